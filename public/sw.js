@@ -0,0 +1,76 @@
+/**
+ * ScriptSnip service worker
+ *
+ * Caches the app shell and the FFmpeg core so ScriptSnip works fully offline after
+ * the first load. Build assets have hashed names and never change, so they are served
+ * cache-first; page navigations go network-first so new deployments are picked up.
+ */
+
+const CACHE_NAME = 'scriptsnip-v1';
+const APP_SHELL = ['/', '/manifest.webmanifest', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page sends the build assets it already loaded (the worker registers too late to see the
+// first visit fetch them) and the FFmpeg core URLs, so both are cached for the next offline load
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'precache') return;
+
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) =>
+      Promise.all(event.data.urls.map(async (url) => {
+        if (!(await cache.match(url))) {
+          await cache.add(url);
+        }
+      }))
+    )
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  event.respondWith(request.mode === 'navigate' ? networkFirst(request) : cacheFirst(request));
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match(request)) || (await cache.match('/')) || Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
@@ -1,4 +1,10 @@
-import React, { useState, useEffect, useRef, useCallback } from "react";
+import React, {
+  useState,
+  useEffect,
+  useRef,
+  useCallback,
+  useMemo,
+} from "react";
 import {
   Moon,
   Sun,
@@ -16,12 +22,25 @@ import {
 } from "lucide-react";
 
 // Import your existing engine modules
-import { CondenserEngine } from "./condenser-engine.js";
+import { CondenserClient } from "./condenser-client.js";
 import { FileManager } from "./file-manager.js";
 import { defaultConfig } from "./types.js";
-
-// Import testing utilities (for development) - temporarily disabled
-// import { runMatchingTests, testWithYourFiles } from './matcher-tests.js';
+import { CancelledError } from "./errors.js";
+import { AudioPreview } from "./audio-preview.js";
+import { WaveformBuilder } from "./waveform-builder.js";
+import WaveformTimeline from "./WaveformTimeline.jsx";
+import ResultPlayer from "./ResultPlayer.jsx";
+import MatchExplanation from "./MatchExplanation.jsx";
+import { ResultExporter } from "./result-exporter.js";
+import { FolderScanner } from "./folder-scanner.js";
+import { FRAME_RATE_SCALES } from "./subtitle-aligner.js";
+import { SUBTITLE_ENCODINGS } from "./encoding-detector.js";
+import { SubtitleProcessor } from "./subtitle-processor.js";
+import {
+  SubtitleFilter,
+  FILTER_RULE_TYPES,
+  DEFAULT_FILTER_RULES,
+} from "./subtitle-filter.js";
 
 function App() {
   // Theme state
@@ -44,14 +63,35 @@ function App() {
   const [results, setResults] = useState([]);
   const [error, setError] = useState("");
   const [showProgress, setShowProgress] = useState(false);
+  const [isStopping, setIsStopping] = useState(false);
+  const [probingFiles, setProbingFiles] = useState([]);
+  const [audioTrackOverrides, setAudioTrackOverrides] = useState(new Map());
+  const [subtitleTimings, setSubtitleTimings] = useState(new Map());
+  const [detectedEncodings, setDetectedEncodings] = useState(new Map());
+  const [subtitleEncodings, setSubtitleEncodings] = useState(new Map());
+  const [filterPreviewFile, setFilterPreviewFile] = useState("");
+  const [filterPreview, setFilterPreview] = useState(null);
+  const [reviewSource, setReviewSource] = useState(null);
+  const [lineOverrides, setLineOverrides] = useState(new Map());
+  const [waveform, setWaveform] = useState(null);
+  const [inspection, setInspection] = useState(null);
+  const [previewIndex, setPreviewIndex] = useState(null);
+  const [subtitleAssignments, setSubtitleAssignments] = useState(new Map());
+  const [explainedVideo, setExplainedVideo] = useState(null);
 
   // Refs for engine instances
   const fileManagerRef = useRef(new FileManager());
   const condenserEngineRef = useRef(null);
+  const probeSelectionRef = useRef(null);
+  const subtitleFilterRef = useRef(new SubtitleFilter());
+  const subtitleProcessorRef = useRef(new SubtitleProcessor());
+  const audioPreviewRef = useRef(new AudioPreview());
+  const resultExporterRef = useRef(new ResultExporter(fileManagerRef.current));
+  const folderScannerRef = useRef(new FolderScanner(fileManagerRef.current));
 
   // Initialize condenser engine
   useEffect(() => {
-    condenserEngineRef.current = new CondenserEngine((progressState) => {
+    condenserEngineRef.current = new CondenserClient((progressState) => {
       setProgress(progressState);
     });
 
@@ -64,6 +104,11 @@ function App() {
       window.fileManager = fileManagerRef.current;
     }
     */
+
+    return () => {
+      condenserEngineRef.current?.cleanup();
+      audioPreviewRef.current.close();
+    };
   }, []);
 
   // Theme effect
@@ -76,10 +121,80 @@ function App() {
     setTheme((prev) => (prev === "light" ? "dark" : "light"));
   };
 
+  // Probe videos for embedded subtitle tracks and selectable audio tracks
+  const probeMediaTracks = useCallback(
+    async (files) => {
+      const fileManager = fileManagerRef.current;
+      const candidates = fileManager
+        .validateFiles(files)
+        .videoFiles.filter(
+          (videoFile) => fileManager.getAudioTracks(videoFile) === undefined
+        );
+
+      probeSelectionRef.current = files;
+      setProbingFiles(candidates);
+
+      for (const videoFile of candidates) {
+        // Stop if the selection changed or processing took over FFmpeg
+        if (probeSelectionRef.current !== files) return;
+
+        try {
+          const tracks =
+            await condenserEngineRef.current.probeMediaTracks(videoFile);
+          if (tracks) {
+            fileManager.setEmbeddedSubtitleTracks(
+              videoFile,
+              tracks.subtitleTracks
+            );
+            fileManager.setAudioTracks(videoFile, tracks.audioTracks);
+          }
+        } catch (err) {
+          console.warn(`Could not probe ${videoFile.name}:`, err);
+        }
+        setProbingFiles((prev) => prev.filter((f) => f !== videoFile));
+      }
+    },
+    []
+  );
+
+  // Detect the character encoding of each text subtitle file
+  const detectSubtitleEncodings = useCallback(async (files) => {
+    const fileManager = fileManagerRef.current;
+    const detected = new Map();
+
+    for (const file of files.filter((f) => fileManager.isSubtitleFile(f))) {
+      try {
+        const encoding = await fileManager.detectSubtitleEncoding(file);
+        if (encoding) detected.set(file, encoding);
+      } catch (err) {
+        console.warn(`Could not detect the encoding of ${file.name}:`, err);
+      }
+    }
+
+    // Ignore the result if the selection changed meanwhile
+    if (probeSelectionRef.current === files) {
+      setDetectedEncodings(detected);
+    }
+  }, []);
+
   const handleFiles = useCallback(
     (files) => {
       setSelectedFiles(files);
       setError("");
+      setAudioTrackOverrides(new Map());
+      setSubtitleTimings(new Map());
+      setDetectedEncodings(new Map());
+      setSubtitleEncodings(new Map());
+      setFilterPreview(null);
+      setReviewSource(null);
+      setLineOverrides(new Map());
+      setWaveform(null);
+      setInspection(null);
+      setPreviewIndex(null);
+      setSubtitleAssignments(new Map());
+      setExplainedVideo(null);
+      probeMediaTracks(files);
+      detectSubtitleEncodings(files);
 
       // Show memory estimate for large batches
       const validation = fileManagerRef.current.validateFiles(files);
@@ -117,16 +232,35 @@ function App() {
         }
       }
     },
-    [config]
+    [config, probeMediaTracks, detectSubtitleEncodings]
+  );
+
+  // Record where scanned files sat within their folders, then select them
+  const handleScannedFiles = useCallback(
+    (scanned) => {
+      for (const { file, path } of scanned) {
+        fileManagerRef.current.setRelativePath(file, path);
+      }
+      handleFiles(scanned.map(({ file }) => file));
+    },
+    [handleFiles]
   );
 
   const handleDrop = useCallback(
-    (e) => {
+    async (e) => {
       e.preventDefault();
-      const files = Array.from(e.dataTransfer?.files || []);
-      handleFiles(files);
+      if (!e.dataTransfer) return;
+
+      try {
+        handleScannedFiles(
+          await folderScannerRef.current.scanDataTransfer(e.dataTransfer)
+        );
+      } catch (err) {
+        console.error("Reading the dropped files failed:", err);
+        setError(`Could not read the dropped files: ${err.message}`);
+      }
     },
-    [handleFiles]
+    [handleScannedFiles]
   );
 
   const handleDragOver = useCallback((e) => {
@@ -141,13 +275,22 @@ function App() {
     [handleFiles]
   );
 
+  const handleFolderInput = useCallback(
+    (e) => {
+      handleScannedFiles(
+        folderScannerRef.current.scanFileList(e.target.files || [])
+      );
+      // Allow picking the same folder again
+      e.target.value = "";
+    },
+    [handleScannedFiles]
+  );
+
   const startProcessing = async () => {
     if (isProcessing) {
-      // Stop processing
+      // Stop processing; the running request rejects with a CancelledError once FFmpeg is killed
       condenserEngineRef.current?.stop();
-      setIsProcessing(false);
-      setShowProgress(false);
-      setError("Processing stopped by user.");
+      setIsStopping(true);
       return;
     }
 
@@ -158,6 +301,25 @@ function App() {
       return;
     }
 
+    if (!config.noSubtitlesMode) {
+      const unchosen = fileManagerRef.current
+        .matchSubtitles(
+          validation.videoFiles,
+          selectedFiles,
+          config,
+          subtitleAssignments
+        )
+        .filter((match) => match.needsChoice);
+      if (unchosen.length > 0) {
+        setError(
+          `Choose which subtitle to use for ${unchosen.length} video(s) with several matching subtitles (highlighted in the file list).`
+        );
+        return;
+      }
+    }
+
+    probeSelectionRef.current = null;
+    setProbingFiles([]);
     setIsProcessing(true);
     setShowProgress(true);
     setError("");
@@ -172,10 +334,15 @@ function App() {
         const subtitleFile = fileManagerRef.current.findSubtitleWithSameName(
           videoFile,
           selectedFiles,
-          config
+          config,
+          subtitleAssignments
         );
 
-        if (!subtitleFile) {
+        if (
+          !config.noSubtitlesMode &&
+          !subtitleFile &&
+          !fileManagerRef.current.isEmbeddedSubtitleCandidate(videoFile)
+        ) {
           throw new Error(
             `No matching subtitle file found for ${videoFile.name}. Please ensure the subtitle file has the same name as the video file.`
           );
@@ -186,12 +353,32 @@ function App() {
           subtitleFile,
           config,
           1,
-          1
+          1,
+          {
+            audioStreamIndex: audioTrackOverrides.get(videoFile),
+            timing: subtitleTimings.get(videoFile),
+            subtitleEncoding: subtitleEncodings.get(videoFile),
+            lineOverrides: lineOverrides.get(videoFile),
+            sourcePath: fileManagerRef.current.getRelativePath(videoFile),
+          }
         );
         processResults = [result];
       } else {
         // Multiple file processing
-        const batchOptions = calculateBatchOptions(validation.videoFiles);
+        const batchOptions = {
+          ...calculateBatchOptions(validation.videoFiles),
+          audioTrackOverrides,
+          subtitleTimings,
+          subtitleEncodings,
+          subtitleLineOverrides: lineOverrides,
+          subtitleAssignments,
+          sourcePaths: new Map(
+            selectedFiles.map((file) => [
+              file,
+              fileManagerRef.current.getRelativePath(file),
+            ])
+          ),
+        };
         processResults = await condenserEngineRef.current.condenseMultipleFiles(
           selectedFiles,
           config,
@@ -201,17 +388,32 @@ function App() {
 
       if (processResults.length > 0) {
         setResults(processResults);
-        condenserEngineRef.current.downloadResults(processResults, config);
+        setPreviewIndex(null);
+        if (config.autoDownloadResults !== false) {
+          saveResults(processResults);
+        }
       } else {
         setError("No files were successfully processed.");
       }
     } catch (err) {
+      if (err instanceof CancelledError) {
+        // Keep whatever finished before the stop; it can be downloaded from the results list
+        setResults(err.results);
+        setPreviewIndex(null);
+        setError(
+          err.results.length > 0
+            ? `Processing stopped by user. ${err.results.length} finished file(s) kept below.`
+            : "Processing stopped by user."
+        );
+        return;
+      }
+
       console.error("Processing failed:", err);
 
       let errorMessage = err.message;
       if (errorMessage.includes("Failed to load FFmpeg")) {
         errorMessage =
-          "Failed to load FFmpeg. Please check your internet connection and try again.";
+          "Failed to load FFmpeg. Please reload the page and try again.";
       } else if (errorMessage.includes("No subtitle")) {
         errorMessage =
           "No matching subtitle file found. Make sure your subtitle file has the same name as your video file.";
@@ -220,10 +422,32 @@ function App() {
       setError(`Processing failed: ${errorMessage}`);
     } finally {
       setIsProcessing(false);
+      setIsStopping(false);
       setShowProgress(false);
     }
   };
 
+  const saveResults = async (resultsToSave) => {
+    try {
+      await condenserEngineRef.current.downloadResults(resultsToSave, config);
+    } catch (err) {
+      console.error("Saving results failed:", err);
+      setError(`Could not save the results: ${err.message}`);
+    }
+  };
+
+  const pickOutputDirectory = async () => {
+    try {
+      const directory = await resultExporterRef.current.pickDirectory();
+      setConfig((prev) => ({ ...prev, fixedOutputDir: directory }));
+    } catch (err) {
+      // AbortError: the picker was dismissed
+      if (err.name !== "AbortError") {
+        setError(`Could not open the output folder: ${err.message}`);
+      }
+    }
+  };
+
   const calculateBatchOptions = (videoFiles) => {
     const fileCount = videoFiles.length;
     const totalSizeMB =
@@ -247,15 +471,974 @@ function App() {
     return { batchSize, pauseBetweenBatches, maxConcurrent: 1 };
   };
 
-  const renderFileList = () => {
+  const setAudioTrackOverride = (videoFile, value) => {
+    setAudioTrackOverrides((prev) => {
+      const next = new Map(prev);
+      if (value === "") {
+        next.delete(videoFile);
+      } else {
+        next.set(videoFile, parseInt(value));
+      }
+      return next;
+    });
+  };
+
+  const setSubtitleTiming = (videoFile, changes) => {
+    setSubtitleTimings((prev) => {
+      const next = new Map(prev);
+      const timing = { offset: 0, scale: 1, ...prev.get(videoFile), ...changes };
+      if (timing.offset === 0 && timing.scale === 1) {
+        next.delete(videoFile);
+      } else {
+        next.set(videoFile, timing);
+      }
+      return next;
+    });
+  };
+
+  const renderSubtitleTimingControls = (file) => {
+    if (config.noSubtitlesMode) return null;
+
+    const timing = subtitleTimings.get(file) || { offset: 0, scale: 1 };
+
+    return (
+      <div className="file-timing-controls">
+        <label>
+          Subtitle offset (s)
+          <input
+            type="number"
+            step="0.1"
+            className="form-input"
+            value={timing.offset / 1000}
+            onChange={(e) =>
+              setSubtitleTiming(file, {
+                offset: Math.round((parseFloat(e.target.value) || 0) * 1000),
+              })
+            }
+            disabled={isProcessing}
+          />
+        </label>
+        <select
+          className="form-select"
+          value={timing.scale}
+          onChange={(e) =>
+            setSubtitleTiming(file, { scale: parseFloat(e.target.value) })
+          }
+          disabled={isProcessing}
+        >
+          {FRAME_RATE_SCALES.map(({ label, scale }) => (
+            <option key={label} value={scale}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+    );
+  };
+
+  // value: a subtitle File, null for no subtitle file, undefined to match automatically
+  const setSubtitleAssignment = (videoFile, value) => {
+    assignSubtitles([[videoFile, value]]);
+  };
+
+  const assignSubtitles = (pairs) => {
+    const update = (prev, apply) => {
+      const next = new Map(prev);
+      for (const pair of pairs) apply(next, ...pair);
+      return next;
+    };
+
+    setSubtitleAssignments((prev) =>
+      update(prev, (next, videoFile, value) => {
+        if (value === undefined) {
+          next.delete(videoFile);
+        } else {
+          next.set(videoFile, value);
+        }
+      })
+    );
+
+    // Encoding and line overrides belonged to the previous subtitle
+    setSubtitleEncodings((prev) =>
+      update(prev, (next, videoFile) => next.delete(videoFile))
+    );
+    setLineOverrides((prev) =>
+      update(prev, (next, videoFile) => next.delete(videoFile))
+    );
+  };
+
+  // Use a subtitle variant for a video, and the same variant (language, format) for every
+  // other video still waiting for a choice
+  const chooseSubtitleVariant = (videoFile, subtitleFile, matches) => {
+    const fileManager = fileManagerRef.current;
+    const key = fileManager.getSubtitleVariantKey(subtitleFile);
+    const pairs = [[videoFile, subtitleFile]];
+
+    for (const match of matches) {
+      if (match.videoFile === videoFile || !match.needsChoice) continue;
+      const same = match.alternatives.find(
+        (alternative) =>
+          fileManager.getSubtitleVariantKey(alternative.file) === key
+      );
+      if (same) pairs.push([match.videoFile, same.file]);
+    }
+
+    assignSubtitles(pairs);
+  };
+
+  const renderSubtitleChooser = (file, match, matches) => {
+    if (config.noSubtitlesMode || !match?.needsChoice) return null;
+
+    const fileManager = fileManagerRef.current;
+    return (
+      <div className="subtitle-chooser">
+        <span>Several subtitles fit this video. Use:</span>
+        {match.alternatives.map((alternative) => (
+          <button
+            key={fileManager.getRelativePath(alternative.file)}
+            className="btn btn-secondary btn-small"
+            onClick={() =>
+              chooseSubtitleVariant(file, alternative.file, matches)
+            }
+            disabled={isProcessing}
+          >
+            {alternative.file.name} (
+            {fileManager.describeSubtitleVariant(alternative.file)})
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  const renderMatchExplanationButton = (file, match) => {
+    if (config.noSubtitlesMode || !match) return null;
+
+    return (
+      <button
+        className="btn btn-secondary btn-small"
+        onClick={() =>
+          setExplainedVideo((prev) => (prev === file ? null : file))
+        }
+      >
+        Why this match?
+      </button>
+    );
+  };
+
+  const renderMatchExplanation = (file, match) => {
+    if (config.noSubtitlesMode || !match || explainedVideo !== file) {
+      return null;
+    }
+
+    const explanation = fileManagerRef.current.explainMatch(
+      file,
+      selectedFiles,
+      config
+    );
+    return (
+      <MatchExplanation
+        explanation={explanation}
+        match={match}
+        onClose={() => setExplainedVideo(null)}
+      />
+    );
+  };
+
+  const renderSubtitleAssignmentSelect = (file, match) => {
+    if (config.noSubtitlesMode || !match) return null;
+
+    const fileManager = fileManagerRef.current;
+    const subtitleFiles = selectedFiles.filter((f) =>
+      fileManager.isSubtitleFile(f)
+    );
+    if (subtitleFiles.length === 0) return null;
+
+    // Scored candidates first, then every other subtitle file
+    const others = subtitleFiles.filter(
+      (f) => !match.candidates.some((candidate) => candidate.file === f)
+    );
+    const options = [
+      ...match.candidates.map((candidate) => ({
+        file: candidate.file,
+        label: `${fileManager.getRelativePath(candidate.file)} (${
+          candidate.type
+        }, score ${Math.round(candidate.score)})`,
+      })),
+      ...others.map((f) => ({ file: f, label: fileManager.getRelativePath(f) })),
+    ];
+
+    const assigned = subtitleAssignments.get(file);
+    const value = !subtitleAssignments.has(file)
+      ? ""
+      : assigned
+      ? String(subtitleFiles.indexOf(assigned))
+      : "none";
+    const automatic = match.type === "manual" ? null : match.subtitleFile;
+
+    return (
+      <select
+        className={`form-select file-track-select ${
+          match.ambiguous ? "ambiguous" : ""
+        }`}
+        value={value}
+        onChange={(e) => {
+          const choice = e.target.value;
+          setSubtitleAssignment(
+            file,
+            choice === ""
+              ? undefined
+              : choice === "none"
+              ? null
+              : subtitleFiles[parseInt(choice)]
+          );
+        }}
+        disabled={isProcessing}
+      >
+        <option value="">
+          Subtitle: auto (
+          {automatic ? fileManager.getRelativePath(automatic) : "none"})
+        </option>
+        {options.map(({ file: f, label }) => (
+          <option key={subtitleFiles.indexOf(f)} value={subtitleFiles.indexOf(f)}>
+            Subtitle: {label}
+          </option>
+        ))}
+        <option value="none">No subtitle file</option>
+      </select>
+    );
+  };
+
+  const setSubtitleEncoding = (videoFile, value) => {
+    if ((subtitleEncodings.get(videoFile) ?? "") === value) return;
+
+    setSubtitleEncodings((prev) => {
+      const next = new Map(prev);
+      if (value === "") {
+        next.delete(videoFile);
+      } else {
+        next.set(videoFile, value);
+      }
+      return next;
+    });
+
+    // Line overrides point at lines decoded with the previous encoding
+    setLineOverrides((prev) => {
+      if (!prev.has(videoFile)) return prev;
+      const next = new Map(prev);
+      next.delete(videoFile);
+      return next;
+    });
+  };
+
+  const renderSubtitleEncodingSelect = (file, subtitleFile) => {
+    if (config.noSubtitlesMode) return null;
+
+    const detected = subtitleFile && detectedEncodings.get(subtitleFile);
+    if (!detected) return null;
+
+    return (
+      <select
+        className="form-select file-track-select"
+        value={subtitleEncodings.get(file) ?? ""}
+        onChange={(e) => setSubtitleEncoding(file, e.target.value)}
+        disabled={isProcessing}
+      >
+        <option value="">
+          Subtitle encoding: auto (
+          {fileManagerRef.current.describeEncoding(detected)})
+        </option>
+        {SUBTITLE_ENCODINGS.map(({ encoding, label }) => (
+          <option key={encoding} value={encoding}>
+            Subtitle encoding: {label}
+          </option>
+        ))}
+      </select>
+    );
+  };
+
+  const renderAudioTrackSelect = (file) => {
+    const audioTracks = fileManagerRef.current.getAudioTracks(file);
+    if (!audioTracks || audioTracks.length < 2) return null;
+
+    return (
+      <select
+        className="form-select file-track-select"
+        value={audioTrackOverrides.get(file) ?? ""}
+        onChange={(e) => setAudioTrackOverride(file, e.target.value)}
+        disabled={isProcessing}
+      >
+        <option value="">Audio: auto (preferred language)</option>
+        {audioTracks.map((track) => (
+          <option key={track.index} value={track.index}>
+            Audio: {fileManagerRef.current.describeTrack(track)}
+          </option>
+        ))}
+      </select>
+    );
+  };
+
+  const renderApplyTimingButton = (result) => {
+    const videoFile = selectedFiles.find(
+      (file) =>
+        fileManagerRef.current.getRelativePath(file) === result.sourcePath
+    );
+    if (!videoFile) return null;
+
+    return (
+      <button
+        className="btn btn-secondary btn-small"
+        onClick={() =>
+          setSubtitleTiming(videoFile, {
+            offset: result.suggestedTiming.offset,
+            scale: result.suggestedTiming.scale,
+          })
+        }
+        disabled={isProcessing}
+      >
+        Use for this file
+      </button>
+    );
+  };
+
+  const setFilterRules = (update) => {
+    setConfig((prev) => ({
+      ...prev,
+      filterRules: update(subtitleFilterRef.current.getRules(prev)),
+    }));
+    setFilterPreview(null);
+  };
+
+  const updateFilterRule = (index, changes) => {
+    setFilterRules((rules) =>
+      rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    );
+  };
+
+  const changeFilterRuleType = (index, type) => {
+    const usesPattern = subtitleFilterRef.current.usesPattern({ type });
+    setFilterRules((rules) =>
+      rules.map((rule, i) => {
+        if (i !== index) return rule;
+        const { pattern, flags, value, ...rest } = rule;
+        return usesPattern
+          ? { ...rest, type, pattern: pattern ?? "", flags: flags ?? "" }
+          : { ...rest, type, value: value ?? (type === "maxDuration" ? 10000 : 2) };
+      })
+    );
+  };
+
+  const moveFilterRule = (index, delta) => {
+    setFilterRules((rules) => {
+      const next = [...rules];
+      const [rule] = next.splice(index, 1);
+      next.splice(index + delta, 0, rule);
+      return next;
+    });
+  };
+
+  const exportFilterRules = () => {
+    const rules = subtitleFilterRef.current.getRules(config);
+    const json = subtitleFilterRef.current.exportRules(rules);
+    fileManagerRef.current.downloadFile(
+      new Blob([json], { type: "application/json" }),
+      "filter-rules.json"
+    );
+  };
+
+  const importFilterRules = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const rules = subtitleFilterRef.current.importRules(await file.text());
+      setFilterRules(() => rules);
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const runFilterPreview = async () => {
+    const subtitleFile = selectedFiles.find(
+      (f) => fileManagerRef.current.getRelativePath(f) === filterPreviewFile
+    );
+    if (!subtitleFile) return;
+
+    try {
+      const content = await fileManagerRef.current.readSubtitleText(subtitleFile);
+      setFilterPreview({
+        filename: fileManagerRef.current.getRelativePath(subtitleFile),
+        ...subtitleProcessorRef.current.previewFilters(content, config),
+      });
+      setError("");
+    } catch (err) {
+      setFilterPreview(null);
+      setError(`Filter preview failed: ${err.message}`);
+    }
+  };
+
+  const renderFilterPreview = () => {
+    if (!filterPreview) return null;
+
+    const formatTime = (ms) => fileManagerRef.current.formatDuration(ms);
+
+    return (
+      <div className="filter-preview">
+        <strong>{filterPreview.filename}</strong>: {filterPreview.kept} of{" "}
+        {filterPreview.total} lines kept
+        {filterPreview.groups.map((group) => (
+          <div key={group.name} className="filter-preview-group">
+            {group.name}: {group.subs.length} line(s) removed
+            <ul>
+              {group.subs.slice(0, 20).map((sub) => (
+                <li key={sub.id}>
+                  {formatTime(sub.startTime)} {sub.text.replace(/\n/g, " / ")}
+                </li>
+              ))}
+              {group.subs.length > 20 && (
+                <li>…and {group.subs.length - 20} more</li>
+              )}
+            </ul>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderFilterRules = () => {
+    const subtitleFilter = subtitleFilterRef.current;
+    const rules = subtitleFilter.getRules(config);
+    const subtitleFiles = selectedFiles.filter((f) =>
+      fileManagerRef.current.isSubtitleFile(f)
+    );
+
+    return (
+      <div className="filter-rules">
+        <label className="form-label">Filter Rules (applied in order)</label>
+        {rules.map((rule, index) => {
+          const usesPattern = subtitleFilter.usesPattern(rule);
+          const error = rule.enabled && subtitleFilter.validateRule(rule);
+
+          return (
+            <React.Fragment key={index}>
+              <div className="filter-rule">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(e) =>
+                    updateFilterRule(index, { enabled: e.target.checked })
+                  }
+                  title="Enabled"
+                />
+                <input
+                  type="text"
+                  className="form-input filter-rule-name"
+                  value={rule.name}
+                  onChange={(e) =>
+                    updateFilterRule(index, { name: e.target.value })
+                  }
+                  placeholder="Rule name"
+                />
+                <select
+                  className="form-select filter-rule-type"
+                  value={rule.type}
+                  onChange={(e) => changeFilterRuleType(index, e.target.value)}
+                >
+                  {FILTER_RULE_TYPES.map(({ type, label }) => (
+                    <option key={type} value={type}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                {usesPattern ? (
+                  <>
+                    <input
+                      type="text"
+                      className="form-input filter-rule-pattern"
+                      value={rule.pattern}
+                      onChange={(e) =>
+                        updateFilterRule(index, { pattern: e.target.value })
+                      }
+                      placeholder="Regular expression"
+                    />
+                    <input
+                      type="text"
+                      className="form-input filter-rule-flags"
+                      value={rule.flags || ""}
+                      onChange={(e) =>
+                        updateFilterRule(index, { flags: e.target.value })
+                      }
+                      placeholder="flags"
+                      title="Regular expression flags, e.g. i, m, s, u"
+                    />
+                  </>
+                ) : (
+                  <input
+                    type="number"
+                    min="0"
+                    className="form-input filter-rule-pattern"
+                    value={rule.value}
+                    onChange={(e) =>
+                      updateFilterRule(index, {
+                        value: parseInt(e.target.value) || 0,
+                      })
+                    }
+                  />
+                )}
+                <button
+                  className="btn btn-secondary btn-small"
+                  onClick={() => moveFilterRule(index, -1)}
+                  disabled={index === 0}
+                  title="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  className="btn btn-secondary btn-small"
+                  onClick={() => moveFilterRule(index, 1)}
+                  disabled={index === rules.length - 1}
+                  title="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  className="btn btn-secondary btn-small"
+                  onClick={() =>
+                    setFilterRules((prev) => prev.filter((_, i) => i !== index))
+                  }
+                  title="Remove rule"
+                >
+                  ×
+                </button>
+              </div>
+              {error && <div className="filter-rule-error">{error}</div>}
+            </React.Fragment>
+          );
+        })}
+        <div className="filter-rules-actions">
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={() =>
+              setFilterRules((prev) => [
+                ...prev,
+                {
+                  name: `Rule ${prev.length + 1}`,
+                  type: "exclude",
+                  pattern: "",
+                  flags: "",
+                  enabled: true,
+                },
+              ])
+            }
+          >
+            Add rule
+          </button>
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={() => setFilterRules(() => DEFAULT_FILTER_RULES)}
+          >
+            Reset to defaults
+          </button>
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={exportFilterRules}
+          >
+            Export JSON
+          </button>
+          <label className="btn btn-secondary btn-small">
+            Import JSON
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={importFilterRules}
+              style={{ display: "none" }}
+            />
+          </label>
+          {subtitleFiles.length > 0 && (
+            <>
+              <select
+                className="form-select"
+                value={filterPreviewFile}
+                onChange={(e) => setFilterPreviewFile(e.target.value)}
+              >
+                <option value="">Preview on subtitle file…</option>
+                {subtitleFiles.map((f) => {
+                  const path = fileManagerRef.current.getRelativePath(f);
+                  return (
+                    <option key={path} value={path}>
+                      {path}
+                    </option>
+                  );
+                })}
+              </select>
+              <button
+                className="btn btn-secondary btn-small"
+                onClick={runFilterPreview}
+                disabled={!filterPreviewFile}
+              >
+                Preview
+              </button>
+            </>
+          )}
+        </div>
+        {renderFilterPreview()}
+      </div>
+    );
+  };
+
+  const openSubtitleReview = async (videoFile, subtitleFile) => {
+    try {
+      const content = await fileManagerRef.current.readSubtitleText(
+        subtitleFile,
+        subtitleEncodings.get(videoFile)
+      );
+      setReviewSource({ videoFile, subtitleFile, content });
+      setError("");
+    } catch (err) {
+      setReviewSource(null);
+      setError(`Could not read ${subtitleFile.name}: ${err.message}`);
+    }
+  };
+
+  // Filter decisions for the subtitle file under review, with the line overrides applied
+  const review = useMemo(() => {
+    if (!reviewSource) return null;
+
+    const { videoFile, content } = reviewSource;
+    const subtitleProcessor = subtitleProcessorRef.current;
+    try {
+      const lines = subtitleProcessor.reviewSubtitles(
+        content,
+        config,
+        subtitleTimings.get(videoFile),
+        {},
+        lineOverrides.get(videoFile)
+      );
+      const periods = subtitleProcessor.createPeriods(
+        lines
+          .filter((line) => line.kept)
+          .map((line) => [line.sub.startTime, line.sub.endTime]),
+        config.padding
+      );
+      const duration = periods.reduce(
+        (sum, period) => sum + period.end - period.start,
+        0
+      );
+      return { lines, periods, duration };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [reviewSource, config, subtitleTimings, lineOverrides]);
+
+  const setLineOverride = (videoFile, line, kept) => {
+    setLineOverrides((prev) => {
+      const next = new Map(prev);
+      const overrides = new Map(prev.get(videoFile));
+
+      // Going back to the filter's own decision removes the override
+      const filterKept = line.overridden ? !line.kept : line.kept;
+      if (kept === filterKept) {
+        overrides.delete(line.lineIndex);
+      } else {
+        overrides.set(line.lineIndex, kept);
+      }
+
+      if (overrides.size > 0) {
+        next.set(videoFile, overrides);
+      } else {
+        next.delete(videoFile);
+      }
+      return next;
+    });
+  };
+
+  const loadWaveform = async (videoFile) => {
+    setWaveform({ videoFile, loading: true });
+    try {
+      const data = await condenserEngineRef.current.createWaveform(
+        videoFile,
+        config,
+        { audioStreamIndex: audioTrackOverrides.get(videoFile) }
+      );
+      setWaveform({ videoFile, ...data });
+    } catch (err) {
+      setWaveform(null);
+      setError(`Could not read the waveform of ${videoFile.name}: ${err.message}`);
+    }
+  };
+
+  const playSourceRegion = async (videoFile, start, end) => {
+    if (isProcessing || waveform?.loading) return;
+
+    try {
+      const { samples, sampleRate } =
+        await condenserEngineRef.current.readAudioRegion(
+          videoFile,
+          start,
+          end,
+          config,
+          { audioStreamIndex: audioTrackOverrides.get(videoFile) }
+        );
+      audioPreviewRef.current.playSamples(samples, sampleRate);
+    } catch (err) {
+      setError(`Playback failed: ${err.message}`);
+    }
+  };
+
+  // Subtitle lines showing at a time, marked if the filters or an override removed them
+  const getReviewLabel = (time) => {
+    return review.lines
+      .filter((line) => line.sub.startTime <= time && line.sub.endTime >= time)
+      .map((line) =>
+        line.kept
+          ? line.sub.text
+          : `${line.sub.text} [removed: ${line.reason || "forced out"}]`
+      )
+      .join("\n");
+  };
+
+  const inspectResult = async (result) => {
+    try {
+      const buffer = await audioPreviewRef.current.decode(result.audioBlob);
+      const builder = new WaveformBuilder();
+      const duration = buffer.duration * 1000;
+      const peaks = builder.createPeaks(duration);
+      builder.addSamples(peaks, 0, buffer.getChannelData(0), buffer.sampleRate);
+
+      // Condensed subtitle lines give the hover text
+      setInspection({
+        result,
+        buffer,
+        peaks,
+        peaksPerSecond: builder.peaksPerSecond,
+        duration,
+        lines: result.lines || [],
+      });
+    } catch (err) {
+      setError(`Could not decode ${result.originalFilename}: ${err.message}`);
+    }
+  };
+
+  const renderInspection = () => {
+    if (!inspection) return null;
+
+    const { result, buffer, lines } = inspection;
+    const segments = result.segments || [];
+    const fileManager = fileManagerRef.current;
+
+    const getLabel = (time) => {
+      const index = segments.findIndex(
+        (segment) => segment.start <= time && segment.end >= time
+      );
+      if (index === -1) return null;
+
+      const segment = segments[index];
+      const text = lines
+        .filter((line) => line.startTime <= time && line.endTime >= time)
+        .map((line) => line.text);
+      return [
+        `Segment ${index + 1} of ${segments.length}, from ${fileManager.formatDuration(
+          segment.sourceStart
+        )} in the original`,
+        ...text,
+      ].join("\n");
+    };
+
+    return (
+      <div className="card review-panel">
+        <div className="card-header">
+          <h3>Condensed timeline: {result.originalFilename}</h3>
+        </div>
+        <div className="card-content">
+          <WaveformTimeline
+            peaks={inspection.peaks}
+            peaksPerSecond={inspection.peaksPerSecond}
+            duration={inspection.duration}
+            regions={segments}
+            showBoundaries
+            getLabel={getLabel}
+            onPlay={(start, end) =>
+              audioPreviewRef.current.playBuffer(buffer, start, end)
+            }
+          />
+          <div className="filter-rules-actions">
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() => audioPreviewRef.current.stop()}
+            >
+              Stop playback
+            </button>
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() => {
+                audioPreviewRef.current.stop();
+                setInspection(null);
+              }}
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderSubtitleReviewButton = (file, subtitleFile) => {
+    if (config.noSubtitlesMode) return null;
+
+    // Only text subtitle files can be reviewed (embedded and image-based tracks can't)
+    if (!subtitleFile || !detectedEncodings.get(subtitleFile)) return null;
+
+    const overrideCount = lineOverrides.get(file)?.size || 0;
+
+    return (
+      <button
+        className="btn btn-secondary btn-small"
+        onClick={() => openSubtitleReview(file, subtitleFile)}
+        disabled={isProcessing}
+      >
+        Review lines
+        {overrideCount > 0 && ` (${overrideCount} changed)`}
+      </button>
+    );
+  };
+
+  const renderReviewPanel = () => {
+    if (!reviewSource || !review) return null;
+
+    const { videoFile, subtitleFile } = reviewSource;
+    const fileManager = fileManagerRef.current;
+
+    return (
+      <div className="card review-panel">
+        <div className="card-header">
+          <h3>
+            Review: {fileManagerRef.current.getRelativePath(subtitleFile)} →{" "}
+            {fileManagerRef.current.getRelativePath(videoFile)}
+          </h3>
+        </div>
+        <div className="card-content">
+          {review.error ? (
+            <div className="error-message">
+              <AlertCircle size={16} />
+              {review.error}
+            </div>
+          ) : (
+            <>
+              <div className="review-summary">
+                {review.lines.filter((line) => line.kept).length} of{" "}
+                {review.lines.length} lines kept · {review.periods.length}{" "}
+                merged periods · projected condensed duration{" "}
+                {fileManager.formatDuration(review.duration)}
+              </div>
+              {waveform?.videoFile === videoFile && waveform.peaks && (
+                <WaveformTimeline
+                  peaks={waveform.peaks}
+                  peaksPerSecond={waveform.peaksPerSecond}
+                  duration={waveform.duration}
+                  regions={review.periods}
+                  getLabel={getReviewLabel}
+                  onPlay={(start, end) =>
+                    playSourceRegion(videoFile, start, end)
+                  }
+                />
+              )}
+              <div className="review-lines">
+                {review.lines.map((line) => (
+                  <label
+                    key={line.lineIndex}
+                    className={`review-line ${line.kept ? "" : "removed"}`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={line.kept}
+                      onChange={(e) =>
+                        setLineOverride(videoFile, line, e.target.checked)
+                      }
+                      disabled={isProcessing}
+                    />
+                    <span className="review-line-time">
+                      {fileManager.formatDuration(line.sub.startTime)}
+                    </span>
+                    <span className="review-line-text">
+                      {line.sub.text.replace(/\n/g, " / ")}
+                    </span>
+                    <span className="review-line-reason">
+                      {line.overridden
+                        ? line.kept
+                          ? `Forced in (${line.reason})`
+                          : "Forced out"
+                        : line.reason}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+          <div className="filter-rules-actions">
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() => loadWaveform(videoFile)}
+              disabled={
+                isProcessing ||
+                waveform?.loading ||
+                waveform?.videoFile === videoFile
+              }
+            >
+              {waveform?.loading && waveform.videoFile === videoFile
+                ? "Reading waveform..."
+                : "Show waveform"}
+            </button>
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() => audioPreviewRef.current.stop()}
+            >
+              Stop playback
+            </button>
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() =>
+                setLineOverrides((prev) => {
+                  const next = new Map(prev);
+                  next.delete(videoFile);
+                  return next;
+                })
+              }
+              disabled={isProcessing || !lineOverrides.has(videoFile)}
+            >
+              Reset changes
+            </button>
+            <button
+              className="btn btn-secondary btn-small"
+              onClick={() => setReviewSource(null)}
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // Subtitle matches for the file list, recomputed when the files, manual picks or
+  // settings change, or a probe finds embedded tracks
+  const matchingStats = useMemo(() => {
     if (selectedFiles.length === 0) return null;
 
     const validation = fileManagerRef.current.validateFiles(selectedFiles);
-    const matchingStats = fileManagerRef.current.getMatchingStats(
+    return fileManagerRef.current.getMatchingStats(
       validation.videoFiles,
       selectedFiles,
-      config
+      config,
+      subtitleAssignments
     );
+  }, [selectedFiles, config, subtitleAssignments, probingFiles]);
+
+  const renderFileList = () => {
+    if (selectedFiles.length === 0) return null;
+
+    const validation = fileManagerRef.current.validateFiles(selectedFiles);
 
     return (
       <div className="file-list">
@@ -264,6 +1447,8 @@ function App() {
           let statusText = "Unsupported";
           let icon = <AlertCircle size={16} />;
           let subtitle = null;
+          let subtitleFile = null;
+          let match = null;
 
           if (fileManagerRef.current.isVideoFile(file)) {
             statusClass = "status-video";
@@ -272,11 +1457,23 @@ function App() {
 
             // Find matching subtitle
             const matchInfo = matchingStats.matchedFiles.find(
-              (m) => m.video === file.name
+              (m) => m.videoFile === file
             );
-            if (matchInfo) {
+            match = matchingStats.matches.find((m) => m.videoFile === file);
+            if (config.noSubtitlesMode) {
+              statusText += " (speech detection)";
+            } else if (matchInfo) {
               subtitle = matchInfo.subtitle;
-              statusText += ` (${matchInfo.type} match)`;
+              subtitleFile = matchInfo.subtitleFile;
+              statusText += ` (${matchInfo.type} match${
+                match?.needsChoice
+                  ? ", choose subtitle"
+                  : matchInfo.ambiguous
+                  ? ", ambiguous"
+                  : ""
+              })`;
+            } else if (probingFiles.includes(file)) {
+              statusText += " (checking embedded subtitles...)";
             } else {
               statusText += " (no subtitle)";
               statusClass += " no-match";
@@ -288,15 +1485,32 @@ function App() {
           }
 
           return (
-            <div key={index} className="file-item">
+            <div
+              key={index}
+              className={`file-item ${
+                match?.ambiguous || match?.needsChoice ? "ambiguous" : ""
+              } ${explainedVideo === file ? "explaining" : ""}`}
+            >
               <div className="file-info">
-                <div className="file-name">{file.name}</div>
+                <div className="file-name">
+                  {fileManagerRef.current.getRelativePath(file)}
+                </div>
                 <div className="file-size">
                   {fileManagerRef.current.formatFileSize(file.size)}
                 </div>
                 {subtitle && (
                   <div className="file-subtitle-match">→ {subtitle}</div>
                 )}
+                {renderMatchExplanationButton(file, match)}
+                {renderMatchExplanation(file, match)}
+                {renderSubtitleChooser(file, match, matchingStats.matches)}
+                {renderSubtitleAssignmentSelect(file, match)}
+                {subtitleFile &&
+                  renderSubtitleEncodingSelect(file, subtitleFile)}
+                {subtitleFile && renderSubtitleReviewButton(file, subtitleFile)}
+                {renderAudioTrackSelect(file)}
+                {fileManagerRef.current.isVideoFile(file) &&
+                  renderSubtitleTimingControls(file)}
               </div>
               <div className={`file-status ${statusClass}`}>
                 {icon}
@@ -307,13 +1521,24 @@ function App() {
         })}
 
         {/* Show matching summary */}
-        {validation.videoFiles.length > 0 && (
+        {config.noSubtitlesMode && validation.videoFiles.length > 0 && (
+          <div className="matching-summary">
+            <div className="summary-item intelligent">
+              <Info size={16} />
+              Subtitles are ignored: speech is detected in the audio of all{" "}
+              {validation.videoFiles.length} file(s)
+            </div>
+          </div>
+        )}
+        {!config.noSubtitlesMode && validation.videoFiles.length > 0 && (
           <div className="matching-summary">
             <div className="summary-item">
               <CheckCircle size={16} />
               {matchingStats.exactMatches +
-                matchingStats.intelligentMatches} of {matchingStats.total}{" "}
-              videos have matching subtitles
+                matchingStats.intelligentMatches +
+                matchingStats.manualMatches +
+                matchingStats.embeddedMatches}{" "}
+              of {matchingStats.total} videos have matching subtitles
             </div>
             {matchingStats.intelligentMatches > 0 && (
               <div className="summary-item intelligent">
@@ -322,6 +1547,25 @@ function App() {
                 pattern matching
               </div>
             )}
+            {matchingStats.embeddedMatches > 0 && (
+              <div className="summary-item intelligent">
+                <Info size={16} />
+                {matchingStats.embeddedMatches} using embedded subtitle tracks
+              </div>
+            )}
+            {matchingStats.manualMatches > 0 && (
+              <div className="summary-item intelligent">
+                <Info size={16} />
+                {matchingStats.manualMatches} assigned by hand
+              </div>
+            )}
+            {matchingStats.ambiguousMatches > 0 && (
+              <div className="summary-item warning">
+                <AlertCircle size={16} />
+                {matchingStats.ambiguousMatches} ambiguous match(es) highlighted
+                above; check them or pick the subtitle by hand
+              </div>
+            )}
             {matchingStats.noMatches > 0 && (
               <div className="summary-item warning">
                 <AlertCircle size={16} />
@@ -354,7 +1598,7 @@ function App() {
             size={48}
             style={{ margin: "0 auto 1rem", color: "var(--text-secondary)" }}
           />
-          <h3>Drop video and subtitle files here</h3>
+          <h3>Drop video and subtitle files or folders here</h3>
           <p>or</p>
           <button
             className="btn btn-primary"
@@ -362,19 +1606,35 @@ function App() {
           >
             <Upload size={16} />
             Select Files
+          </button>{" "}
+          <button
+            className="btn btn-secondary"
+            onClick={() => document.getElementById("folder-input")?.click()}
+          >
+            <Upload size={16} />
+            Select Folder
           </button>
           <input
             type="file"
             id="file-input"
             multiple
-            accept=".mp4,.mkv,.avi,.mov,.flv,.webm,.mp3,.wav,.flac,.m4a,.aac,.srt,.ass,.ssa,.vtt"
+            accept=".mp4,.mkv,.avi,.mov,.flv,.webm,.mp3,.wav,.flac,.m4a,.aac,.srt,.ass,.ssa,.vtt,.ttml,.dfxp,.sbv,.sub,.smi,.sami,.json3,.sup,.idx"
             onChange={handleFileInput}
             style={{ display: "none" }}
           />
+          <input
+            type="file"
+            id="folder-input"
+            webkitdirectory=""
+            onChange={handleFolderInput}
+            style={{ display: "none" }}
+          />
         </div>
 
         {renderFileList()}
 
+        {renderReviewPanel()}
+
         {error && (
           <div className="error-message">
             <AlertCircle size={16} />
@@ -457,13 +1717,19 @@ function App() {
           }`}
           onClick={startProcessing}
           disabled={
-            !isProcessing &&
+            isStopping ||
+            (!isProcessing &&
             selectedFiles.filter((f) => fileManagerRef.current.isVideoFile(f))
-              .length === 0
+              .length === 0)
           }
           style={{ width: "100%", marginTop: "1rem" }}
         >
-          {isProcessing ? (
+          {isStopping ? (
+            <>
+              <Square size={16} />
+              Stopping...
+            </>
+          ) : isProcessing ? (
             <>
               <Square size={16} />
               Stop Processing
@@ -488,6 +1754,8 @@ function App() {
           )}
         </button>
 
+        {renderInspection()}
+
         {results.length > 0 && (
           <div className="results-section">
             <h3 style={{ marginBottom: "1rem" }}>Processing Results</h3>
@@ -499,32 +1767,95 @@ function App() {
               ).toFixed(1);
 
               return (
-                <div key={index} className="result-item">
-                  <div className="result-info">
-                    <h4>
-                      {fileManagerRef.current.generateOutputFilename(
-                        result.originalFilename,
-                        config.outputFormat
+                <React.Fragment key={index}>
+                  <div className="result-item">
+                    <div className="result-info">
+                      <h4>
+                        {fileManagerRef.current.generateOutputFilename(
+                          result.sourcePath || result.originalFilename,
+                          config.outputFormat
+                        )}
+                      </h4>
+                      <div className="result-stats">
+                        Original:{" "}
+                        {fileManagerRef.current.formatDuration(
+                          result.originalDuration
+                        )}{" "}
+                        → Condensed:{" "}
+                        {fileManagerRef.current.formatDuration(
+                          result.condensedDuration
+                        )}
+                        ({compressionRatio}% shorter, {result.periodsCount}{" "}
+                        segments)
+                      </div>
+                      {result.timing && (
+                        <div className="result-stats">
+                          Subtitle timing
+                          {result.timing.source === "auto"
+                            ? " (auto-synced)"
+                            : ""}
+                          : {fileManagerRef.current.describeTiming(result.timing)}
+                        </div>
+                      )}
+                      {result.suggestedTiming && (
+                        <div className="result-stats">
+                          Detected subtitle offset:{" "}
+                          {fileManagerRef.current.describeTiming(
+                            result.suggestedTiming
+                          )}{" "}
+                          ({result.suggestedTiming.reliable
+                            ? "confident"
+                            : "low confidence"}
+                          ){" "}
+                          {renderApplyTimingButton(result)}
+                        </div>
                       )}
-                    </h4>
-                    <div className="result-stats">
-                      Original:{" "}
-                      {fileManagerRef.current.formatDuration(
-                        result.originalDuration
-                      )}{" "}
-                      → Condensed:{" "}
-                      {fileManagerRef.current.formatDuration(
-                        result.condensedDuration
+                      {result.speechRatio !== null &&
+                        result.speechRatio !== undefined && (
+                          <div className="result-stats">
+                            Detected speech:{" "}
+                            {(result.speechRatio * 100).toFixed(1)}% of the
+                            audio
+                          </div>
+                        )}
+                      {result.subtitleEncoding &&
+                        result.subtitleEncoding !== "utf-8" && (
+                          <div className="result-stats">
+                            Subtitles read as{" "}
+                            {fileManagerRef.current.describeEncoding(
+                              result.subtitleEncoding
+                            )}
+                            , written as UTF-8
+                          </div>
+                        )}
+                      {result.subtitleNotice && (
+                        <div className="result-stats">{result.subtitleNotice}</div>
                       )}
-                      ({compressionRatio}% shorter, {result.periodsCount}{" "}
-                      segments)
                     </div>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() =>
+                        setPreviewIndex(previewIndex === index ? null : index)
+                      }
+                    >
+                      {previewIndex === index ? "Close preview" : "Preview"}
+                    </button>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => inspectResult(result)}
+                    >
+                      Inspect timeline
+                    </button>
+                    <button
+                      className="btn btn-primary"
+                      onClick={() => saveResults([result])}
+                    >
+                      <Download size={16} />
+                      {config.fixedOutputDir ? "Save to folder" : "Download"}
+                    </button>
                   </div>
-                  <button className="btn btn-primary">
-                    <Download size={16} />
-                    Re-download
-                  </button>
-                </div>
+                  {previewIndex === index && <ResultPlayer result={result} />}
+                </React.Fragment>
               );
             })}
           </div>
@@ -582,6 +1913,98 @@ function App() {
                 <option value="ogg">OGG</option>
               </select>
             </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="preferred-audio-languages">
+                Preferred Audio Languages
+              </label>
+              <input
+                type="text"
+                id="preferred-audio-languages"
+                className="form-input"
+                value={config.preferredAudioLanguages || ""}
+                onChange={(e) =>
+                  setConfig((prev) => ({
+                    ...prev,
+                    preferredAudioLanguages: e.target.value,
+                  }))
+                }
+                placeholder="e.g., jpn,ja,japanese"
+              />
+            </div>
+            <div className="form-checkbox">
+              <input
+                type="checkbox"
+                id="no-subtitles-mode"
+                checked={config.noSubtitlesMode || false}
+                onChange={(e) =>
+                  setConfig((prev) => ({
+                    ...prev,
+                    noSubtitlesMode: e.target.checked,
+                  }))
+                }
+              />
+              <label htmlFor="no-subtitles-mode">
+                Condense without subtitles (detect speech in the audio)
+              </label>
+            </div>
+            <div className="form-checkbox">
+              <input
+                type="checkbox"
+                id="vad-enabled"
+                checked={config.vadEnabled || false}
+                onChange={(e) =>
+                  setConfig((prev) => ({
+                    ...prev,
+                    vadEnabled: e.target.checked,
+                  }))
+                }
+              />
+              <label htmlFor="vad-enabled">
+                Trim silence inside subtitle periods (voice activity detection)
+              </label>
+            </div>
+            {(config.vadEnabled || config.noSubtitlesMode) && (
+              <>
+                <div className="form-group">
+                  <label className="form-label" htmlFor="vad-aggressiveness">
+                    Detection Aggressiveness
+                  </label>
+                  <select
+                    id="vad-aggressiveness"
+                    className="form-select"
+                    value={config.vadAggressiveness ?? 2}
+                    onChange={(e) =>
+                      setConfig((prev) => ({
+                        ...prev,
+                        vadAggressiveness: parseInt(e.target.value),
+                      }))
+                    }
+                  >
+                    <option value={0}>Gentle (keep most audio)</option>
+                    <option value={1}>Moderate</option>
+                    <option value={2}>Aggressive</option>
+                    <option value={3}>Very aggressive</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label className="form-label" htmlFor="vad-min-speech">
+                    Minimum Speech Length (ms)
+                  </label>
+                  <input
+                    type="number"
+                    id="vad-min-speech"
+                    className="form-input"
+                    value={config.vadMinSpeechLength ?? 250}
+                    onChange={(e) =>
+                      setConfig((prev) => ({
+                        ...prev,
+                        vadMinSpeechLength: parseInt(e.target.value) || 250,
+                      }))
+                    }
+                  />
+                </div>
+              </>
+            )}
           </div>
         </div>
       </div>
@@ -592,55 +2015,139 @@ function App() {
         </div>
         <div className="card-content">
           <div className="config-grid">
-            <div className="form-checkbox">
+            {renderFilterRules()}
+            <div className="form-group">
+              <label className="form-label" htmlFor="sub-suffix">
+                Subtitle Suffix
+              </label>
               <input
-                type="checkbox"
-                id="filter-parentheses"
-                checked={config.filterParentheses || false}
+                type="text"
+                id="sub-suffix"
+                className="form-input"
+                value={config.subSuffix || ""}
                 onChange={(e) =>
+                  setConfig((prev) => ({ ...prev, subSuffix: e.target.value }))
+                }
+                placeholder="e.g., _en, _retimed"
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="minimum-match-score">
+                Minimum Match Score (0–100)
+              </label>
+              <input
+                type="number"
+                id="minimum-match-score"
+                className="form-input"
+                min="0"
+                max="100"
+                value={config.minimumMatchScore ?? 40}
+                onChange={(e) => {
+                  const value = parseInt(e.target.value);
                   setConfig((prev) => ({
                     ...prev,
-                    filterParentheses: e.target.checked,
+                    minimumMatchScore: Number.isNaN(value)
+                      ? 40
+                      : Math.min(100, Math.max(0, value)),
+                  }));
+                }}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="excluded-styles">
+                Excluded ASS Styles
+              </label>
+              <input
+                type="text"
+                id="excluded-styles"
+                className="form-input"
+                value={config.excludedStyles || ""}
+                onChange={(e) =>
+                  setConfig((prev) => ({
+                    ...prev,
+                    excludedStyles: e.target.value,
                   }))
                 }
+                placeholder="e.g., Sign*, OP*, ED*, Karaoke"
               />
-              <label htmlFor="filter-parentheses">
-                Filter text in parentheses/brackets
-              </label>
             </div>
             <div className="form-group">
-              <label className="form-label" htmlFor="filtered-characters">
-                Filtered Characters
+              <label className="form-label" htmlFor="excluded-actors">
+                Excluded ASS Actors
               </label>
               <input
                 type="text"
-                id="filtered-characters"
+                id="excluded-actors"
                 className="form-input"
-                value={config.filteredCharacters || "♩♪♫♬〜〜"}
+                value={config.excludedActors || ""}
                 onChange={(e) =>
                   setConfig((prev) => ({
                     ...prev,
-                    filteredCharacters: e.target.value,
+                    excludedActors: e.target.value,
                   }))
                 }
-                placeholder="Characters to filter out"
+                placeholder="e.g., Sign*, TL Note"
               />
             </div>
             <div className="form-group">
-              <label className="form-label" htmlFor="sub-suffix">
-                Subtitle Suffix
+              <label
+                className="form-label"
+                htmlFor="preferred-subtitle-languages"
+              >
+                Preferred Subtitle Languages
               </label>
               <input
                 type="text"
-                id="sub-suffix"
+                id="preferred-subtitle-languages"
                 className="form-input"
-                value={config.subSuffix || ""}
+                value={config.preferredSubtitleLanguages || ""}
                 onChange={(e) =>
-                  setConfig((prev) => ({ ...prev, subSuffix: e.target.value }))
+                  setConfig((prev) => ({
+                    ...prev,
+                    preferredSubtitleLanguages: e.target.value,
+                  }))
                 }
-                placeholder="e.g., _en, _retimed"
+                placeholder="e.g., jpn,ja,japanese"
               />
             </div>
+            <div className="form-checkbox">
+              <input
+                type="checkbox"
+                id="ask-when-multiple-srt"
+                checked={config.askWhenMultipleSrt ?? true}
+                onChange={(e) =>
+                  setConfig((prev) => ({
+                    ...prev,
+                    askWhenMultipleSrt: e.target.checked,
+                  }))
+                }
+              />
+              <label htmlFor="ask-when-multiple-srt">
+                Ask which subtitle to use when a video has several (e.g.
+                ep01.jpn.srt, ep01.eng.srt) and the preferred languages don't
+                decide
+              </label>
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="subtitle-sync">
+                Subtitle Auto-Sync
+              </label>
+              <select
+                id="subtitle-sync"
+                className="form-select"
+                value={config.subtitleSync || "off"}
+                onChange={(e) =>
+                  setConfig((prev) => ({
+                    ...prev,
+                    subtitleSync: e.target.value,
+                  }))
+                }
+              >
+                <option value="off">Off</option>
+                <option value="suggest">Detect offset and suggest it</option>
+                <option value="apply">Detect offset and apply it</option>
+              </select>
+            </div>
           </div>
         </div>
       </div>
@@ -651,6 +2158,89 @@ function App() {
         </div>
         <div className="card-content">
           <div className="config-grid">
+            <div className="form-checkbox">
+              <input
+                type="checkbox"
+                id="auto-download-results"
+                checked={config.autoDownloadResults ?? true}
+                onChange={(e) =>
+                  setConfig((prev) => ({
+                    ...prev,
+                    autoDownloadResults: e.target.checked,
+                  }))
+                }
+              />
+              <label htmlFor="auto-download-results">
+                Save results automatically when processing finishes
+              </label>
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="download-mode">
+                Download As
+              </label>
+              <select
+                id="download-mode"
+                className="form-select"
+                value={config.downloadMode || "files"}
+                disabled={!!config.fixedOutputDir}
+                onChange={(e) =>
+                  setConfig((prev) => ({
+                    ...prev,
+                    downloadMode: e.target.value,
+                  }))
+                }
+              >
+                <option value="files">Separate files</option>
+                <option value="zip">One ZIP archive with a manifest</option>
+              </select>
+            </div>
+            {resultExporterRef.current.isDirectoryOutputSupported() && (
+              <div className="form-group">
+                <label className="form-label">Output Folder</label>
+                <div className="output-folder">
+                  <span>
+                    {config.fixedOutputDir
+                      ? config.fixedOutputDir.name
+                      : "None (download instead)"}
+                  </span>
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={pickOutputDirectory}
+                  >
+                    Choose…
+                  </button>
+                  {config.fixedOutputDir && (
+                    <button
+                      className="btn btn-secondary btn-small"
+                      onClick={() =>
+                        setConfig((prev) => ({
+                          ...prev,
+                          fixedOutputDir: null,
+                        }))
+                      }
+                    >
+                      Clear
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+            <div className="form-checkbox">
+              <input
+                type="checkbox"
+                id="output-subfolders"
+                checked={config.fixedOutputDirWithSubfolders ?? true}
+                onChange={(e) =>
+                  setConfig((prev) => ({
+                    ...prev,
+                    fixedOutputDirWithSubfolders: e.target.checked,
+                  }))
+                }
+              />
+              <label htmlFor="output-subfolders">
+                Recreate source subfolders (output folder and ZIP)
+              </label>
+            </div>
             <div className="form-checkbox">
               <input
                 type="checkbox"
@@ -687,6 +2277,7 @@ function App() {
               >
                 <option value="srt">SRT</option>
                 <option value="lrc">LRC</option>
+                <option value="vtt">WebVTT</option>
               </select>
             </div>
           </div>
@@ -757,7 +2348,8 @@ function App() {
           }}
         >
           All processing happens locally in your browser. No files are uploaded
-          to any server.
+          to any server, and FFmpeg ships with the app, so after the first
+          visit ScriptSnip also works offline and can be installed as an app.
         </p>
 
         <h4 style={{ marginBottom: "1rem", color: "var(--text-primary)" }}>
@@ -0,0 +1,187 @@
+import React from "react";
+
+// Runner-up candidates listed below the chosen one
+const MAX_RUNNERS_UP = 5;
+
+const ZERO_SCORE_REASONS = {
+  "no-episode": "no episode number found",
+  "kind-mismatch": "special/OVA vs. regular episode",
+  "episode-mismatch": "different episode",
+};
+
+/**
+ * Format score points with a sign, e.g. +50, -10, +8.6
+ */
+function formatPoints(points) {
+  const rounded = Math.round(points * 10) / 10;
+  return `${rounded >= 0 ? "+" : ""}${rounded}`;
+}
+
+/**
+ * Season, episode, title and pattern extracted from one filename
+ */
+function renderInfoRow(label, info, episode, pattern) {
+  return (
+    <tr>
+      <th>{label}</th>
+      <td>{info.season ?? "–"}</td>
+      <td>{episode ?? "–"}</td>
+      <td>{info.title || "–"}</td>
+      <td>{pattern || "none"}</td>
+    </tr>
+  );
+}
+
+/**
+ * The points that make up a candidate's score
+ */
+function renderBreakdown(candidate) {
+  const { breakdown } = candidate;
+  if (breakdown.reason) {
+    return (
+      <p className="match-explanation-note">
+        Scored 0: {ZERO_SCORE_REASONS[breakdown.reason]}
+      </p>
+    );
+  }
+
+  const titlePercent = Math.round(breakdown.titleSimilarity * 100);
+  const rows =
+    candidate.matchType === "cross-format"
+      ? [
+          [
+            `Episode (sequential #${breakdown.videoEpisode} on both sides)`,
+            breakdown.episode,
+          ],
+          [`Title words in common (Jaccard ${titlePercent}%)`, breakdown.title],
+          ["Cross-format bonus", breakdown.crossFormat],
+        ]
+      : [
+          [
+            breakdown.episode === 50 ? "Episode" : "Episode (ranges overlap)",
+            breakdown.episode,
+          ],
+          ["Season", breakdown.season],
+          [`Title words in common (Jaccard ${titlePercent}%)`, breakdown.title],
+          ["Same episode pattern", breakdown.pattern],
+          ["Low-confidence episode number", breakdown.confidence],
+        ];
+
+  return (
+    <table className="match-explanation-breakdown">
+      <tbody>
+        {rows.map(([label, points]) => (
+          <tr key={label}>
+            <td>{label}</td>
+            <td>{formatPoints(points)}</td>
+          </tr>
+        ))}
+        <tr className="total">
+          <td>Score (0–100)</td>
+          <td>{Math.round(candidate.score * 10) / 10}</td>
+        </tr>
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * "Why this match?" popover for a video in the file list: what was read from the video's
+ * and the chosen subtitle's names, how the subtitle scored, and the runners-up.
+ * explanation comes from FileManager.explainMatch, match from FileManager.matchSubtitles.
+ */
+function MatchExplanation({ explanation, match, onClose }) {
+  const chosen = explanation.candidates.find(
+    (candidate) => candidate.file === match.subtitleFile
+  );
+  const runnersUp = explanation.candidates
+    .filter((candidate) => candidate !== chosen)
+    .slice(0, MAX_RUNNERS_UP);
+
+  let summary;
+  if (match.type === "manual") {
+    summary = "Chosen by hand.";
+  } else if (match.type === "exact") {
+    summary =
+      "Named exactly like the video (with the subtitle suffix or a language tag), which beats any score.";
+  } else if (match.subtitleFile) {
+    summary = `Matched by episode numbering: scored ${
+      Math.round(match.score * 10) / 10
+    }, minimum ${explanation.minimumScore}.`;
+  } else if (match.candidates.length > 0) {
+    summary = "Its subtitles fit other videos better and went to them.";
+  } else {
+    summary = `No subtitle scored ${explanation.minimumScore} or more.`;
+  }
+
+  return (
+    <div className="match-explanation" role="dialog">
+      <div className="match-explanation-header">
+        <strong>Why this match?</strong>
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={onClose}
+          aria-label="Close"
+        >
+          ×
+        </button>
+      </div>
+      <p>{summary}</p>
+
+      <table className="match-explanation-info">
+        <thead>
+          <tr>
+            <th></th>
+            <th>Season</th>
+            <th>Episode</th>
+            <th>Title</th>
+            <th>Pattern</th>
+          </tr>
+        </thead>
+        <tbody>
+          {renderInfoRow(
+            "Video",
+            explanation.videoInfo,
+            explanation.episode,
+            explanation.pattern
+          )}
+          {chosen &&
+            renderInfoRow(
+              "Subtitle",
+              chosen.subtitleInfo,
+              chosen.episode,
+              chosen.pattern
+            )}
+        </tbody>
+      </table>
+
+      {chosen && !chosen.exact && renderBreakdown(chosen)}
+
+      {runnersUp.length > 0 && (
+        <>
+          <div className="match-explanation-label">
+            {chosen ? "Runners-up" : "Candidates"}
+          </div>
+          <ul className="match-explanation-candidates">
+            {runnersUp.map((candidate) => (
+              <li key={candidate.subtitleFile}>
+                <span>{candidate.subtitleFile}</span>
+                <span>
+                  {candidate.exact
+                    ? "exact name"
+                    : candidate.breakdown.reason
+                    ? `0, ${ZERO_SCORE_REASONS[candidate.breakdown.reason]}`
+                    : `${Math.round(candidate.score * 10) / 10}${
+                        candidate.wouldMatch ? "" : ", below minimum"
+                      }`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MatchExplanation;
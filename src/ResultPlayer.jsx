@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useRef, useMemo } from "react";
+
+const PLAYBACK_RATES = [0.5, 0.75, 0.9, 1, 1.1, 1.25, 1.5, 2];
+
+/**
+ * Format milliseconds as m:ss.s
+ */
+function formatTimestamp(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = ((ms % 60000) / 1000).toFixed(1).padStart(4, "0");
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Player for a condensed result: plays its audioBlob with the condensed subtitle
+ * lines in sync (or its segments when there are no lines), per-line navigation,
+ * A-B repeat and pitch-preserving speed control.
+ */
+function ResultPlayer({ result }) {
+  const audioRef = useRef(null);
+  const activeLineRef = useRef(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [loop, setLoop] = useState({ a: null, b: null });
+
+  const [audioUrl, setAudioUrl] = useState(null);
+
+  // Create and revoke the blob URL in one effect, so StrictMode's re-run makes a fresh one
+  useEffect(() => {
+    const url = URL.createObjectURL(result.audioBlob);
+    setAudioUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [result.audioBlob]);
+
+  // Navigate by subtitle lines, or by condensed segments when the result has none
+  const lines = useMemo(() => {
+    if (result.lines?.length) return result.lines;
+    return (result.segments || []).map((segment, index) => ({
+      id: index + 1,
+      startTime: segment.start,
+      endTime: segment.end,
+      text: `Segment ${index + 1} (${formatTimestamp(segment.sourceStart)} in the original)`,
+    }));
+  }, [result]);
+
+  const activeIndex = lines.findIndex(
+    (line) => line.startTime <= currentTime && line.endTime > currentTime
+  );
+
+  // Follow playback closely (timeupdate only fires a few times a second) and apply A-B repeat
+  useEffect(() => {
+    const audio = audioRef.current;
+    let frame = null;
+
+    const tick = () => {
+      let time = audio.currentTime * 1000;
+      if (loop.a !== null && loop.b !== null && time >= loop.b) {
+        audio.currentTime = loop.a / 1000;
+        time = loop.a;
+      }
+      setCurrentTime(time);
+      if (!audio.paused) frame = requestAnimationFrame(tick);
+    };
+
+    const start = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(tick);
+    };
+
+    audio.addEventListener("play", start);
+    audio.addEventListener("seeked", tick);
+    if (!audio.paused) start();
+
+    return () => {
+      cancelAnimationFrame(frame);
+      audio.removeEventListener("play", start);
+      audio.removeEventListener("seeked", tick);
+    };
+  }, [loop]);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    audio.playbackRate = playbackRate;
+    audio.preservesPitch = true;
+    audio.webkitPreservesPitch = true;
+    audio.mozPreservesPitch = true;
+  }, [playbackRate, audioUrl]);
+
+  useEffect(() => {
+    activeLineRef.current?.scrollIntoView({ block: "nearest" });
+  }, [activeIndex]);
+
+  const seek = (ms) => {
+    audioRef.current.currentTime = ms / 1000;
+    setCurrentTime(ms);
+  };
+
+  const seekLine = (delta) => {
+    // From between lines, "next" is the first line after the current time
+    const index =
+      activeIndex !== -1
+        ? activeIndex + delta
+        : delta > 0
+        ? lines.findIndex((line) => line.startTime > currentTime)
+        : lines.findLastIndex((line) => line.endTime <= currentTime);
+    const line = lines[index];
+    if (line) seek(line.startTime);
+  };
+
+  const loopActiveLine = () => {
+    const line = lines[activeIndex];
+    if (line) setLoop({ a: line.startTime, b: line.endTime });
+  };
+
+  return (
+    <div className="result-player">
+      <audio ref={audioRef} src={audioUrl} controls preload="metadata" />
+      <div className="result-player-controls">
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={() => seekLine(-1)}
+        >
+          ◀ Line
+        </button>
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={() => seekLine(1)}
+        >
+          Line ▶
+        </button>
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={() => setLoop((prev) => ({ ...prev, a: currentTime }))}
+        >
+          Set A{loop.a !== null && ` (${formatTimestamp(loop.a)})`}
+        </button>
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={() =>
+            setLoop((prev) =>
+              prev.a !== null && currentTime > prev.a
+                ? { ...prev, b: currentTime }
+                : prev
+            )
+          }
+          disabled={loop.a === null}
+        >
+          Set B{loop.b !== null && ` (${formatTimestamp(loop.b)})`}
+        </button>
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={loopActiveLine}
+          disabled={activeIndex === -1}
+        >
+          Repeat line
+        </button>
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={() => setLoop({ a: null, b: null })}
+          disabled={loop.a === null && loop.b === null}
+        >
+          Clear A-B
+        </button>
+        <label>
+          Speed
+          <select
+            className="form-select"
+            value={playbackRate}
+            onChange={(e) => setPlaybackRate(parseFloat(e.target.value))}
+          >
+            {PLAYBACK_RATES.map((rate) => (
+              <option key={rate} value={rate}>
+                {rate}×
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="result-player-lines">
+        {lines.map((line, index) => (
+          <div
+            key={line.id}
+            ref={index === activeIndex ? activeLineRef : null}
+            className={`result-player-line ${
+              index === activeIndex ? "active" : ""
+            }`}
+            onClick={() => seek(line.startTime)}
+          >
+            <span className="result-player-line-time">
+              {formatTimestamp(line.startTime)}
+            </span>
+            <span>{line.text}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ResultPlayer;
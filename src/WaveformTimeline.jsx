@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useRef } from "react";
+
+const CANVAS_HEIGHT = 120;
+
+// Visible span choices; 0 shows the whole file
+const ZOOM_LEVELS = [
+  { label: "Whole file", span: 0 },
+  { label: "10 min", span: 600000 },
+  { label: "2 min", span: 120000 },
+  { label: "30 s", span: 30000 },
+];
+
+/**
+ * Find the region under a time, or the gap between regions around it
+ */
+function findRegionAt(regions, time, duration) {
+  let gapStart = 0;
+  for (const region of regions) {
+    if (time < region.start) {
+      return { start: gapStart, end: region.start, kept: false };
+    }
+    if (time <= region.end) {
+      return { ...region, kept: true };
+    }
+    gapStart = region.end;
+  }
+  return { start: gapStart, end: duration, kept: false };
+}
+
+/**
+ * Format milliseconds as m:ss.s
+ */
+function formatTimestamp(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = ((ms % 60000) / 1000).toFixed(1).padStart(4, "0");
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Canvas timeline of an audio waveform with kept regions overlaid.
+ *
+ * peaks/peaksPerSecond/duration come from WaveformBuilder; regions are the kept
+ * { start, end } periods in ms. showBoundaries marks every region edge (segments of a
+ * condensed result). getLabel(time) gives hover text; clicking calls onPlay(start, end)
+ * with the region (or gap between regions) under the cursor.
+ */
+function WaveformTimeline({
+  peaks,
+  peaksPerSecond,
+  duration,
+  regions,
+  showBoundaries = false,
+  getLabel,
+  onPlay,
+}) {
+  const canvasRef = useRef(null);
+  const [span, setSpan] = useState(0);
+  const [viewStart, setViewStart] = useState(0);
+  const [hover, setHover] = useState(null);
+
+  const visibleSpan = span > 0 && span < duration ? span : duration;
+  const maxViewStart = Math.max(0, duration - visibleSpan);
+  const start = Math.min(viewStart, maxViewStart);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    canvas.width = width * ratio;
+    canvas.height = CANVAS_HEIGHT * ratio;
+
+    const context = canvas.getContext("2d");
+    context.scale(ratio, ratio);
+    context.clearRect(0, 0, width, CANVAS_HEIGHT);
+
+    const styles = getComputedStyle(document.documentElement);
+    const accent = styles.getPropertyValue("--accent-primary").trim() || "#667eea";
+    const muted = styles.getPropertyValue("--text-secondary").trim() || "#666666";
+    const toX = (time) => ((time - start) / visibleSpan) * width;
+
+    // Kept regions
+    context.fillStyle = accent;
+    context.globalAlpha = 0.15;
+    for (const region of regions) {
+      if (region.end < start || region.start > start + visibleSpan) continue;
+      context.fillRect(toX(region.start), 0, toX(region.end) - toX(region.start), CANVAS_HEIGHT);
+    }
+
+    // Waveform: the loudest peak under each pixel column, coloured by whether it's kept
+    const middle = CANVAS_HEIGHT / 2;
+    let regionIndex = 0;
+    for (let x = 0; x < width; x++) {
+      const from = Math.floor(((start + (x / width) * visibleSpan) / 1000) * peaksPerSecond);
+      const to = Math.max(from + 1, Math.floor(((start + ((x + 1) / width) * visibleSpan) / 1000) * peaksPerSecond));
+      let level = 0;
+      for (let i = from; i < to && i < peaks.length; i++) {
+        if (peaks[i] > level) level = peaks[i];
+      }
+
+      const time = start + ((x + 0.5) / width) * visibleSpan;
+      while (regionIndex < regions.length && regions[regionIndex].end < time) regionIndex++;
+      const kept = regionIndex < regions.length && regions[regionIndex].start <= time;
+      const height = Math.max(1, Math.min(1, level) * (CANVAS_HEIGHT - 4));
+      context.globalAlpha = kept ? 0.9 : 0.35;
+      context.fillStyle = kept ? accent : muted;
+      context.fillRect(x, middle - height / 2, 1, height);
+    }
+
+    if (showBoundaries) {
+      context.globalAlpha = 0.6;
+      context.fillStyle = muted;
+      for (const region of regions) {
+        const x = toX(region.start);
+        if (x >= 0 && x <= width) context.fillRect(x, 0, 1, CANVAS_HEIGHT);
+      }
+    }
+
+    if (hover) {
+      context.globalAlpha = 1;
+      context.fillStyle = muted;
+      context.fillRect(toX(hover.time), 0, 1, CANVAS_HEIGHT);
+    }
+  }, [peaks, peaksPerSecond, duration, regions, showBoundaries, start, visibleSpan, hover]);
+
+  const getTimeAt = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = Math.min(Math.max(e.clientX - rect.left, 0), rect.width);
+    return { time: start + (x / rect.width) * visibleSpan, x };
+  };
+
+  const handleClick = (e) => {
+    const { time } = getTimeAt(e);
+    const region = findRegionAt(regions, time, duration);
+    onPlay?.(region.start, region.end);
+  };
+
+  const label = hover && getLabel?.(hover.time);
+  const hoverRegion = hover && findRegionAt(regions, hover.time, duration);
+
+  return (
+    <div className="waveform-timeline">
+      <div className="waveform-controls">
+        <select
+          className="form-select"
+          value={span}
+          onChange={(e) => setSpan(parseInt(e.target.value))}
+        >
+          {ZOOM_LEVELS.map((level) => (
+            <option key={level.span} value={level.span}>
+              {level.label}
+            </option>
+          ))}
+        </select>
+        {maxViewStart > 0 && (
+          <input
+            type="range"
+            min="0"
+            max={maxViewStart}
+            step="100"
+            value={start}
+            onChange={(e) => setViewStart(parseInt(e.target.value))}
+          />
+        )}
+        <span>
+          {formatTimestamp(start)} – {formatTimestamp(start + visibleSpan)}
+        </span>
+      </div>
+      <div className="waveform-canvas">
+        <canvas
+          ref={canvasRef}
+          style={{ height: CANVAS_HEIGHT }}
+          onMouseMove={(e) => setHover(getTimeAt(e))}
+          onMouseLeave={() => setHover(null)}
+          onClick={handleClick}
+        />
+        {hover && (
+          <div
+            className="waveform-tooltip"
+            style={{ left: hover.x }}
+          >
+            <div>
+              {formatTimestamp(hover.time)} ·{" "}
+              {hoverRegion.kept ? "kept" : "removed"} (
+              {formatTimestamp(hoverRegion.start)}–
+              {formatTimestamp(hoverRegion.end)}, click to play)
+            </div>
+            {label && <div className="waveform-tooltip-text">{label}</div>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WaveformTimeline;
@@ -0,0 +1,90 @@
+/**
+ * Audio Preview
+ *
+ * Plays short stretches of audio on the main thread with Web Audio: regions of a decoded
+ * result, or PCM read from a video by the condenser worker. Starting a new region stops
+ * the one playing.
+ */
+export class AudioPreview {
+  constructor() {
+    this.context = null;
+    this.source = null;
+  }
+
+  /**
+   * Create the AudioContext on first use (browsers only allow it after a user gesture)
+   */
+  getContext() {
+    if (!this.context) {
+      this.context = new AudioContext();
+    }
+    return this.context;
+  }
+
+  /**
+   * Decode an audio Blob (e.g. a condensed result) into an AudioBuffer
+   */
+  async decode(blob) {
+    const data = await blob.arrayBuffer();
+    return this.getContext().decodeAudioData(data);
+  }
+
+  /**
+   * Play the part of an AudioBuffer between startMs and endMs
+   */
+  playBuffer(buffer, startMs, endMs) {
+    const duration = Math.max(0, endMs - startMs) / 1000;
+    this.play(buffer, startMs / 1000, duration);
+  }
+
+  /**
+   * Play mono PCM samples
+   */
+  playSamples(samples, sampleRate) {
+    if (samples.length === 0) return;
+
+    const buffer = this.getContext().createBuffer(1, samples.length, sampleRate);
+    buffer.copyToChannel(samples, 0);
+    this.play(buffer, 0, buffer.duration);
+  }
+
+  /**
+   * Start a buffer source, replacing whatever is playing
+   */
+  play(buffer, offsetSeconds, durationSeconds) {
+    const context = this.getContext();
+    this.stop();
+
+    // Resume in case the context started suspended (autoplay policy)
+    context.resume();
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.onended = () => {
+      if (this.source === source) this.source = null;
+    };
+    source.start(0, offsetSeconds, durationSeconds);
+    this.source = source;
+  }
+
+  /**
+   * Stop playback
+   */
+  stop() {
+    if (this.source) {
+      this.source.onended = null;
+      this.source.stop();
+      this.source = null;
+    }
+  }
+
+  /**
+   * Stop playback and release the AudioContext
+   */
+  async close() {
+    this.stop();
+    await this.context?.close();
+    this.context = null;
+  }
+}
@@ -1,17 +1,52 @@
-import { FFmpeg } from '@ffmpeg/ffmpeg';
+import { FFmpeg, FFFSType } from '@ffmpeg/ffmpeg';
+import { CORE_URLS, CORE_MT_URLS } from './ffmpeg-core-urls.js';
+import { CancelledError, throwIfCancelled } from './errors.js';
+
+// Subtitle codecs FFmpeg can convert to text (everything else is bitmap-based)
+const TEXT_SUBTITLE_CODECS = new Set(['ass', 'ssa', 'subrip', 'srt', 'webvtt', 'mov_text', 'text']);
+
+// Image-based subtitle codecs whose timings can be read, with the container they are demuxed to
+const BITMAP_SUBTITLE_FORMATS = {
+  'hdmv_pgs_subtitle': 'sup', // Blu-ray PGS
+  'dvd_subtitle': 'vob'       // DVD VobSub, as an MPEG program stream
+};
+
+// Input files are mounted read-only here instead of being copied into the wasm heap
+const INPUT_MOUNT_POINT = '/input';
+
+// Samples per audio frame before aselect, so period cuts land within 10ms at 44.1kHz
+const SELECT_FRAME_SAMPLES = 441;
+
+const CODEC_MAP = {
+  'mp3': ['-acodec', 'libmp3lame', '-b:a', '192k'],
+  'wav': ['-acodec', 'pcm_s16le'],
+  'flac': ['-acodec', 'flac'],
+  'aac': ['-acodec', 'aac', '-b:a', '192k']
+};
 
 export class AudioProcessor {
   constructor(onProgress) {
     this.ffmpeg = new FFmpeg();
     this.isLoaded = false;
     this.onProgress = onProgress;
+    this.inputFile = null; // File currently mounted (or written) as the FFmpeg input
+    this.inputPath = null;
+    this.logCapture = null;
+    this.progressHandler = null;
     this.setupFFmpegLogging();
   }
 
   setupFFmpegLogging() {
     this.ffmpeg.on('log', ({ message }) => {
+      if (this.logCapture) {
+        this.logCapture.push(message);
+      }
       console.log('FFmpeg:', message);
     });
+
+    this.ffmpeg.on('progress', (event) => {
+      this.progressHandler?.(event);
+    });
   }
 
   /**
@@ -31,10 +66,7 @@ export class AudioProcessor {
       console.log('Initializing FFmpeg...');
       
       // Use a simpler loading approach
-      await this.ffmpeg.load({
-        coreURL: "https://unpkg.com/@ffmpeg/core@0.12.4/dist/esm/ffmpeg-core.js",
-        wasmURL: "https://unpkg.com/@ffmpeg/core@0.12.4/dist/esm/ffmpeg-core.wasm",
-      });
+      await this.ffmpeg.load(CORE_URLS);
 
       this.isLoaded = true;
       console.log('FFmpeg loaded successfully');
@@ -49,18 +81,11 @@ export class AudioProcessor {
     } catch (error) {
       console.error('FFmpeg loading failed:', error);
       
-      // Try alternative approach with manual file loading
+      // Try the multi-threaded core as an alternative
       try {
         console.log('Trying alternative FFmpeg loading method...');
         
-        const coreURL = "https://unpkg.com/@ffmpeg/core-mt@0.12.4/dist/esm/ffmpeg-core.js";
-        const wasmURL = "https://unpkg.com/@ffmpeg/core-mt@0.12.4/dist/esm/ffmpeg-core.wasm";
-        
-        await this.ffmpeg.load({
-          coreURL,
-          wasmURL,
-          workerURL: "https://unpkg.com/@ffmpeg/core-mt@0.12.4/dist/esm/ffmpeg-core.worker.js"
-        });
+        await this.ffmpeg.load(CORE_MT_URLS);
 
         this.isLoaded = true;
         console.log('FFmpeg loaded with alternative method');
@@ -80,252 +105,328 @@ export class AudioProcessor {
   }
 
   /**
-   * Extract audio from video file (simplified approach)
+   * Make a file available to FFmpeg without copying it into memory.
+   * WORKERFS reads the File lazily in slices; if mounting fails the file is written to MEMFS instead.
    */
-  async extractAudio(videoFile) {
+  async mountInputFile(videoFile, signal) {
+    throwIfCancelled(signal);
+
     if (!this.isLoaded) {
       await this.initialize();
     }
 
-    this.onProgress?.({
-      stage: 'Extracting audio',
-      progress: 0,
-      total: 100,
-      message: 'Extracting audio from video...'
-    });
+    if (this.inputFile === videoFile) return this.inputPath;
+
+    await this.releaseInputFile();
 
     try {
-      console.log(`Processing video file: ${videoFile.name} (${(videoFile.size / 1024 / 1024).toFixed(1)} MB)`);
-      
-      // Write input file
+      await this.ffmpeg.createDir(INPUT_MOUNT_POINT).catch(() => {}); // Exists after the first mount
+      await this.ffmpeg.mount(FFFSType.WORKERFS, { files: [videoFile] }, INPUT_MOUNT_POINT);
+      this.inputPath = `${INPUT_MOUNT_POINT}/${videoFile.name}`;
+    } catch (error) {
+      console.warn('WORKERFS mount failed, copying input into memory instead:', error);
       const inputData = new Uint8Array(await videoFile.arrayBuffer());
       await this.ffmpeg.writeFile('input.mkv', inputData);
+      this.inputPath = 'input.mkv';
+    }
 
-      this.onProgress?.({
-        stage: 'Extracting audio',
-        progress: 25,
-        total: 100,
-        message: 'Processing with FFmpeg...'
-      });
-
-      console.log('Starting FFmpeg audio extraction...');
+    this.inputFile = videoFile;
+    return this.inputPath;
+  }
 
-      // Extract audio with simpler parameters for better compatibility
-      await this.ffmpeg.exec([
-        '-i', 'input.mkv',
-        '-vn',                    // no video
-        '-acodec', 'pcm_s16le',   // uncompressed audio
-        '-ar', '44100',           // sample rate
-        '-ac', '2',               // stereo
-        'output.wav'
-      ]);
+  /**
+   * Unmount (or delete) the current input file
+   */
+  async releaseInputFile() {
+    if (!this.inputPath) return;
 
-      console.log('FFmpeg extraction completed');
+    try {
+      if (this.inputPath === 'input.mkv') {
+        await this.ffmpeg.deleteFile('input.mkv');
+      } else {
+        await this.ffmpeg.unmount(INPUT_MOUNT_POINT);
+      }
+    } catch (error) {
+      console.warn('Failed to release FFmpeg input file:', error);
+    }
 
-      this.onProgress?.({
-        stage: 'Extracting audio',
-        progress: 75,
-        total: 100,
-        message: 'Reading extracted audio...'
-      });
+    this.inputFile = null;
+    this.inputPath = null;
+  }
 
-      // Read the output
-      const audioData = await this.ffmpeg.readFile('output.wav');
-      console.log(`Extracted audio data: ${audioData.length} bytes`);
-      
-      const audioBuffer = await this.decodeAudioData(audioData);
-      console.log(`Decoded audio buffer: ${audioBuffer.duration.toFixed(2)}s, ${audioBuffer.sampleRate}Hz`);
+  /**
+   * Run an FFmpeg command that can be cancelled mid-run.
+   * Aborting the signal terminates the FFmpeg worker (and with it the whole virtual FS),
+   * since exec cannot otherwise be interrupted; the next call reloads FFmpeg.
+   */
+  async exec(args, signal) {
+    throwIfCancelled(signal);
 
-      this.onProgress?.({
-        stage: 'Extracting audio',
-        progress: 100,
-        total: 100,
-        message: 'Audio extraction complete'
-      });
+    const onAbort = () => this.terminateFFmpeg();
+    signal?.addEventListener('abort', onAbort, { once: true });
 
-      return audioBuffer;
+    try {
+      const exitCode = await this.ffmpeg.exec(args);
+      throwIfCancelled(signal);
+      return exitCode;
     } catch (error) {
-      console.error('Audio extraction failed:', error);
-      throw new Error(`Failed to extract audio from ${videoFile.name}: ${error.message}`);
+      throwIfCancelled(signal);
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
     }
   }
 
   /**
-   * Extract audio segments based on periods
+   * Run FFmpeg and return its log output instead of only printing it
    */
-  async extractAudioSegments(periods, audioBuffer) {
-    this.onProgress?.({
-      stage: 'Processing segments',
-      progress: 0,
-      total: periods.length,
-      message: 'Extracting audio segments...'
-    });
+  async execWithLog(args, signal) {
+    this.logCapture = [];
+    try {
+      await this.exec(args, signal);
+      return this.logCapture;
+    } finally {
+      this.logCapture = null;
+    }
+  }
+
+  /**
+   * Kill the running FFmpeg job. Its worker and in-memory files are discarded.
+   */
+  terminateFFmpeg() {
+    console.log('Terminating FFmpeg...');
+    this.ffmpeg.terminate();
+    this.isLoaded = false;
+    this.inputFile = null;
+    this.inputPath = null;
+  }
+
+  /**
+   * Probe a media file's duration and streams.
+   * The file is mounted rather than copied, so this is cheap even for large files.
+   * Returns null when FFmpeg could not read the container.
+   */
+  async probeMedia(videoFile, { signal } = {}) {
+    const inputPath = await this.mountInputFile(videoFile, signal);
 
-    const segments = [];
-    console.log(`Extracting ${periods.length} audio segments from ${audioBuffer.duration.toFixed(2)}s audio`);
+    // Without an output FFmpeg exits with an error after printing the input info, which is all we need
+    const logLines = await this.execWithLog(['-hide_banner', '-i', inputPath], signal);
+    const streams = this.parseStreamInfo(logLines);
+    if (streams.length === 0) return null;
 
-    for (let i = 0; i < periods.length; i++) {
-      const period = periods[i];
-      
-      // Convert milliseconds to samples
-      const startSample = Math.floor(period.start * audioBuffer.sampleRate / 1000);
-      const endSample = Math.floor(period.end * audioBuffer.sampleRate / 1000);
-      const segmentLength = Math.max(0, Math.min(endSample - startSample, audioBuffer.length - startSample));
+    return {
+      duration: this.parseDuration(logLines),
+      streams
+    };
+  }
 
-      if (segmentLength <= 0) {
-        console.warn(`Skipping invalid segment ${i + 1}: start=${period.start}ms, end=${period.end}ms`);
+  /**
+   * Probe the streams of a media file, or null if the container could not be read
+   */
+  async probeStreams(videoFile, { signal } = {}) {
+    const info = await this.probeMedia(videoFile, { signal });
+    return info ? info.streams : null;
+  }
+
+  /**
+   * Parse the input duration ("Duration: 00:23:40.05") from FFmpeg output, in milliseconds
+   */
+  parseDuration(logLines) {
+    for (const line of logLines) {
+      const match = line.match(/Duration: (\d+):(\d{2}):(\d{2})\.(\d+)/);
+      if (match) {
+        const fraction = parseFloat(`0.${match[4]}`);
+        return (parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseInt(match[3]) + fraction) * 1000;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse "Stream #0:N(lang): Type: codec ..." lines and their Metadata blocks from FFmpeg output
+   */
+  parseStreamInfo(logLines) {
+    const streams = [];
+    let current = null;
+
+    for (const line of logLines) {
+      const streamMatch = line.match(/Stream #\d+:(\d+)(?:\[[^\]]*\])?(?:\(([^)]*)\))?: (Video|Audio|Subtitle|Data|Attachment): ([^\s,]+)(.*)$/);
+      if (streamMatch) {
+        const details = streamMatch[5];
+        const channelMatch = details.match(/(\d+) channels|\b(mono|stereo|5\.1|7\.1)\b/);
+        const fpsMatch = details.match(/([\d.]+) fps/);
+
+        current = {
+          index: parseInt(streamMatch[1]),
+          type: streamMatch[3].toLowerCase(),
+          codec: streamMatch[4],
+          language: streamMatch[2] && streamMatch[2] !== 'und' ? streamMatch[2] : null,
+          title: null,
+          isDefault: details.includes('(default)'),
+          channels: channelMatch ? this.parseChannelCount(channelMatch) : null,
+          fps: fpsMatch ? parseFloat(fpsMatch[1]) : null
+        };
+        streams.push(current);
         continue;
       }
 
-      // Create new audio buffer for this segment
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const segment = audioContext.createBuffer(
-        audioBuffer.numberOfChannels,
-        segmentLength,
-        audioBuffer.sampleRate
-      );
-
-      // Copy audio data for each channel
-      for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
-        const sourceData = audioBuffer.getChannelData(channel);
-        const segmentData = segment.getChannelData(channel);
-
-        for (let j = 0; j < segmentLength; j++) {
-          const sourceIndex = startSample + j;
-          segmentData[j] = sourceIndex < sourceData.length ? sourceData[sourceIndex] : 0;
-        }
+      // Metadata lines belong to the last stream seen (container metadata comes before any stream)
+      const titleMatch = line.match(/^\s+title\s*:\s*(.*)$/);
+      if (titleMatch && current && current.title === null) {
+        current.title = titleMatch[1].trim();
       }
+    }
 
-      segments.push(segment);
+    return streams;
+  }
 
-      // Progress update
-      this.onProgress?.({
-        stage: 'Processing segments',
-        progress: i + 1,
-        total: periods.length,
-        message: `Extracted segment ${i + 1}/${periods.length} (${(period.end - period.start)}ms)`
-      });
+  /**
+   * Convert an FFmpeg channel description to a channel count
+   */
+  parseChannelCount(channelMatch) {
+    if (channelMatch[1]) return parseInt(channelMatch[1]);
 
-      // Log progress every 10 segments
-      if ((i + 1) % 10 === 0 || i === periods.length - 1) {
-        console.log(`Extracted ${i + 1}/${periods.length} segments`);
-      }
-    }
+    const layouts = { mono: 1, stereo: 2, '5.1': 6, '7.1': 8 };
+    return layouts[channelMatch[2]];
+  }
 
-    console.log(`Successfully extracted ${segments.length} audio segments`);
-    return segments;
+  /**
+   * Check if a probed subtitle stream can be converted to text
+   */
+  isTextSubtitleStream(stream) {
+    return stream.type === 'subtitle' && TEXT_SUBTITLE_CODECS.has(stream.codec);
   }
 
   /**
-   * Concatenate audio segments
+   * Check whether a probed stream is an image-based subtitle track (PGS or VobSub)
    */
-  async concatenateAudioSegments(segments) {
-    if (segments.length === 0) {
-      throw new Error('No audio segments to concatenate');
-    }
+  isBitmapSubtitleStream(stream) {
+    return stream.type === 'subtitle' && stream.codec in BITMAP_SUBTITLE_FORMATS;
+  }
 
-    this.onProgress?.({
-      stage: 'Concatenating',
-      progress: 0,
-      total: 100,
-      message: 'Concatenating audio segments...'
-    });
+  /**
+   * Demux an embedded PGS or VobSub stream without decoding it.
+   * Returns { format: 'sup' | 'vob', data } for BitmapSubtitleParser.
+   */
+  async extractBitmapSubtitleStream(videoFile, stream, { signal } = {}) {
+    const inputPath = await this.mountInputFile(videoFile, signal);
+    const format = BITMAP_SUBTITLE_FORMATS[stream.codec];
+    const outputFile = `subtitle.${format}`;
 
-    // Calculate total length
-    const totalLength = segments.reduce((sum, segment) => sum + segment.length, 0);
-    console.log(`Concatenating ${segments.length} segments into ${(totalLength / segments[0].sampleRate).toFixed(2)}s audio`);
-    
-    // Create output buffer
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const outputBuffer = audioContext.createBuffer(
-      segments[0].numberOfChannels,
-      totalLength,
-      segments[0].sampleRate
-    );
-
-    // Concatenate all segments
-    let currentOffset = 0;
-    for (let segIndex = 0; segIndex < segments.length; segIndex++) {
-      const segment = segments[segIndex];
-      
-      for (let channel = 0; channel < segment.numberOfChannels; channel++) {
-        const sourceData = segment.getChannelData(channel);
-        const outputData = outputBuffer.getChannelData(channel);
-        
-        for (let i = 0; i < segment.length; i++) {
-          outputData[currentOffset + i] = sourceData[i];
-        }
-      }
-      
-      currentOffset += segment.length;
+    try {
+      await this.exec([
+        '-i', inputPath,
+        '-map', `0:${stream.index}`,
+        '-c:s', 'copy',
+        '-f', format,
+        outputFile
+      ], signal);
 
-      // Progress update
-      const progress = Math.round((segIndex + 1) / segments.length * 100);
-      this.onProgress?.({
-        stage: 'Concatenating',
-        progress,
-        total: 100,
-        message: `Concatenating segment ${segIndex + 1}/${segments.length}`
-      });
+      return { format, data: await this.ffmpeg.readFile(outputFile) };
+    } catch (error) {
+      if (error instanceof CancelledError) throw error;
+      throw new Error(`Failed to extract subtitle stream #${stream.index} from ${videoFile.name}: ${error.message}`);
+    } finally {
+      await this.ffmpeg.deleteFile(outputFile).catch(() => {});
     }
+  }
+
+  /**
+   * Extract an embedded text subtitle stream as ASS or SRT content
+   */
+  async extractSubtitleStream(videoFile, stream, { signal } = {}) {
+    const inputPath = await this.mountInputFile(videoFile, signal);
+
+    // Keep ASS/SSA as-is so styling survives, convert everything else to SRT
+    const keepsASS = stream.codec === 'ass' || stream.codec === 'ssa';
+    const outputFile = keepsASS ? 'subtitle.ass' : 'subtitle.srt';
 
-    console.log('Audio concatenation completed');
-    return outputBuffer;
+    try {
+      await this.exec([
+        '-i', inputPath,
+        '-map', `0:${stream.index}`,
+        '-c:s', keepsASS ? 'copy' : 'srt',
+        outputFile
+      ], signal);
+
+      return await this.ffmpeg.readFile(outputFile, 'utf8');
+    } catch (error) {
+      if (error instanceof CancelledError) throw error;
+      throw new Error(`Failed to extract subtitle stream #${stream.index} from ${videoFile.name}: ${error.message}`);
+    } finally {
+      await this.ffmpeg.deleteFile(outputFile).catch(() => {});
+    }
   }
 
   /**
-   * Export audio buffer to specified format
+   * Cut the periods out of a video's audio and encode them straight to the output format.
+   * FFmpeg decodes, selects and encodes in one streaming pass, so no PCM ever reaches JS memory.
+   * streamIndex selects a specific audio stream; null lets FFmpeg pick its default
    */
-  async exportAudio(audioBuffer, format) {
-    if (!this.isLoaded) {
-      await this.initialize();
+  async condenseAudio(videoFile, periods, format, { streamIndex = null, signal } = {}) {
+    if (periods.length === 0) {
+      throw new Error('No audio segments to concatenate');
     }
 
     this.onProgress?.({
-      stage: 'Exporting',
+      stage: 'Extracting audio',
       progress: 0,
       total: 100,
-      message: `Exporting to ${format.toUpperCase()}...`
+      message: 'Reading video file...'
     });
 
+    const filterFile = 'periods.filter';
+    const outputFile = `output.${format}`;
+
     try {
-      console.log(`Exporting ${audioBuffer.duration.toFixed(2)}s audio to ${format}`);
-      
-      // Convert AudioBuffer to WAV first
-      const wavBlob = this.audioBufferToWav(audioBuffer);
-      const wavData = new Uint8Array(await wavBlob.arrayBuffer());
-      
-      await this.ffmpeg.writeFile('temp.wav', wavData);
+      console.log(`Processing video file: ${videoFile.name} (${(videoFile.size / 1024 / 1024).toFixed(1)} MB)`);
+
+      const inputPath = await this.mountInputFile(videoFile, signal);
+      await this.ffmpeg.writeFile(filterFile, this.buildSelectFilter(periods));
 
       this.onProgress?.({
-        stage: 'Exporting',
-        progress: 50,
+        stage: 'Extracting audio',
+        progress: 100,
         total: 100,
-        message: `Converting to ${format.toUpperCase()}...`
+        message: 'Video file ready'
       });
 
-      // Convert to desired format
-      const outputFile = `output.${format}`;
-      const codecMap = {
-        'mp3': ['-acodec', 'libmp3lame', '-b:a', '192k'],
-        'wav': ['-acodec', 'pcm_s16le'],
-        'flac': ['-acodec', 'flac'],
-        'aac': ['-acodec', 'aac', '-b:a', '192k']
+      const condensedDuration = periods.reduce((sum, period) => sum + (period.end - period.start), 0);
+      const mapArgs = streamIndex !== null ? ['-map', `0:${streamIndex}`] : [];
+      const codecArgs = CODEC_MAP[format] || CODEC_MAP['mp3'];
+
+      // FFmpeg reports the output timestamp, which runs on the condensed timeline
+      this.progressHandler = ({ time }) => {
+        const progress = Math.min(100, Math.max(0, (time / 1000) / condensedDuration * 100));
+        this.onProgress?.({
+          stage: 'Condensing audio',
+          progress,
+          total: 100,
+          message: `Condensing ${periods.length} segments to ${format.toUpperCase()}...`
+        });
       };
 
-      const codecArgs = codecMap[format] || codecMap['mp3'];
+      console.log(`Condensing ${periods.length} segments (${(condensedDuration / 1000).toFixed(2)}s) to ${format}`);
 
-      await this.ffmpeg.exec([
-        '-i', 'temp.wav',
+      await this.exec([
+        '-i', inputPath,
+        ...mapArgs,
+        '-vn',                    // no video
+        '-filter_script:a', filterFile,
+        '-ar', '44100',           // sample rate
+        '-ac', '2',               // stereo
         ...codecArgs,
         outputFile
-      ]);
+      ], signal);
 
       const outputData = await this.ffmpeg.readFile(outputFile);
-      console.log(`Export completed: ${outputData.length} bytes`);
-      
+      if (outputData.length === 0) {
+        throw new Error('FFmpeg produced no output');
+      }
+      console.log(`Condensed audio: ${outputData.length} bytes`);
+
       this.onProgress?.({
-        stage: 'Exporting',
+        stage: 'Condensing audio',
         progress: 100,
         total: 100,
         message: `Export to ${format.toUpperCase()} complete`
@@ -333,25 +434,64 @@ export class AudioProcessor {
 
       return new Blob([outputData], { type: `audio/${format}` });
     } catch (error) {
-      console.error('Audio export failed:', error);
-      throw new Error(`Failed to export audio: ${error.message}`);
+      if (error instanceof CancelledError) throw error;
+      console.error('Audio condensing failed:', error);
+      throw new Error(`Failed to condense audio from ${videoFile.name}: ${error.message}`);
+    } finally {
+      // After a cancel FFmpeg is terminated and these are already gone
+      this.progressHandler = null;
+      await this.ffmpeg.deleteFile(filterFile).catch(() => {});
+      await this.ffmpeg.deleteFile(outputFile).catch(() => {});
     }
   }
 
   /**
-   * Decode audio data to AudioBuffer
+   * Decode one window of a video's audio to mono float PCM for analysis.
+   * Only the window is decoded (input seeking), so callers can walk a long file
+   * while holding a single window in memory. Returns a Float32Array at sampleRate.
    */
-  async decodeAudioData(audioData) {
+  async readPcmWindow(videoFile, startMs, durationMs, { streamIndex = null, sampleRate = 16000, signal } = {}) {
+    const inputPath = await this.mountInputFile(videoFile, signal);
+    const outputFile = 'window.pcm';
+    const mapArgs = streamIndex !== null ? ['-map', `0:${streamIndex}`] : [];
+
     try {
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const buffer = audioData instanceof Uint8Array ? audioData.buffer.slice(audioData.byteOffset, audioData.byteOffset + audioData.byteLength) : audioData;
-      return await audioContext.decodeAudioData(buffer);
+      await this.exec([
+        '-ss', (startMs / 1000).toFixed(3),
+        '-t', (durationMs / 1000).toFixed(3),
+        '-i', inputPath,
+        ...mapArgs,
+        '-vn',
+        '-ac', '1',
+        '-ar', String(sampleRate),
+        '-f', 'f32le',
+        outputFile
+      ], signal);
+
+      const data = await this.ffmpeg.readFile(outputFile);
+      // Copy so the samples are 4-byte aligned regardless of the transfer buffer
+      const bytes = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength - (data.byteLength % 4));
+      return new Float32Array(bytes);
     } catch (error) {
-      console.error('Audio decoding failed:', error);
-      throw new Error(`Failed to decode audio data: ${error.message}`);
+      if (error instanceof CancelledError) throw error;
+      throw new Error(`Failed to read audio from ${videoFile.name} at ${(startMs / 1000).toFixed(1)}s: ${error.message}`);
+    } finally {
+      await this.ffmpeg.deleteFile(outputFile).catch(() => {});
     }
   }
 
+  /**
+   * Build an audio filter graph that keeps only the given periods and closes the gaps.
+   * Frames are split small first because aselect keeps or drops whole frames.
+   */
+  buildSelectFilter(periods) {
+    const selection = periods
+      .map(period => `between(t,${(period.start / 1000).toFixed(3)},${(period.end / 1000).toFixed(3)})`)
+      .join('+');
+
+    return `asetnsamples=n=${SELECT_FRAME_SAMPLES}:p=0,aselect='${selection}',asetpts=N/SR/TB`;
+  }
+
   /**
    * Convert AudioBuffer to WAV blob
    */
@@ -405,13 +545,6 @@ export class AudioProcessor {
     return new Blob([buffer], { type: 'audio/wav' });
   }
 
-  /**
-   * Get audio duration from buffer
-   */
-  getAudioDuration(audioBuffer) {
-    return audioBuffer.length / audioBuffer.sampleRate * 1000; // milliseconds
-  }
-
   /**
    * Cleanup resources
    */
@@ -423,6 +556,8 @@ export class AudioProcessor {
         console.warn('Error during FFmpeg cleanup:', error);
       }
       this.isLoaded = false;
+      this.inputFile = null;
+      this.inputPath = null;
     }
   }
 }
@@ -0,0 +1,289 @@
+/**
+ * Bitmap Subtitle Parser
+ *
+ * Reads display timings from image-based subtitles, which carry no text:
+ * PGS (.sup, Blu-ray) presentation segments, VobSub (DVD) subpicture packets in an
+ * MPEG program stream, and VobSub .idx timestamps. Entries have the usual
+ * {id, startTime, endTime, text} shape with empty text.
+ */
+
+// PGS timestamps and MPEG PTS run on a 90kHz clock
+const PTS_CLOCK_RATE = 90000;
+
+// VobSub control sequence dates count in units of 1024 ticks of the 90kHz clock
+const SPU_DATE_UNIT_MS = 1024 / PTS_CLOCK_RATE * 1000;
+
+// How long a line is assumed to stay up when the stream never says when it's cleared
+const DEFAULT_DISPLAY_MS = 5000;
+
+const PGS_PRESENTATION_SEGMENT = 0x16;
+const PRIVATE_STREAM_1 = 0xbd;
+
+export class BitmapSubtitleParser {
+  /**
+   * Detect bitmap subtitle data by its first bytes: 'sup' (PGS), 'vob' (VobSub program stream) or null
+   */
+  detectFormat(bytes) {
+    if (bytes[0] === 0x50 && bytes[1] === 0x47) return 'sup';
+    if (bytes[0] === 0 && bytes[1] === 0 && bytes[2] === 1 && bytes[3] === 0xba) return 'vob';
+    return null;
+  }
+
+  /**
+   * Parse bitmap subtitle data of a detected format
+   */
+  parse(format, bytes) {
+    switch (format) {
+      case 'sup':
+        return this.parsePGS(bytes);
+      case 'vob':
+        return this.parseVobSub(bytes);
+      default:
+        throw new Error(`Unsupported bitmap subtitle format: ${format}`);
+    }
+  }
+
+  /**
+   * Parse PGS (.sup) data. A presentation segment with composition objects shows
+   * a subtitle; one without objects clears the screen.
+   */
+  parsePGS(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const entries = [];
+    let shownAt = null;
+    let offset = 0;
+
+    while (offset + 13 <= bytes.length) {
+      // Every segment starts with "PG", PTS, DTS, type and size
+      if (bytes[offset] !== 0x50 || bytes[offset + 1] !== 0x47) {
+        throw new Error(`Invalid PGS segment at byte ${offset}`);
+      }
+
+      const time = Math.round(view.getUint32(offset + 2) / PTS_CLOCK_RATE * 1000);
+      const type = bytes[offset + 10];
+      const size = view.getUint16(offset + 11);
+      const data = offset + 13;
+
+      if (type === PGS_PRESENTATION_SEGMENT && data + 11 <= bytes.length) {
+        const objectCount = bytes[data + 10];
+
+        if (shownAt !== null && time > shownAt) {
+          entries.push({ startTime: shownAt, endTime: time });
+        }
+        shownAt = objectCount > 0 ? time : null;
+      }
+
+      offset = data + size;
+    }
+
+    if (shownAt !== null) {
+      entries.push({ startTime: shownAt, endTime: shownAt + DEFAULT_DISPLAY_MS });
+    }
+
+    return this.toEntries(entries);
+  }
+
+  /**
+   * Parse VobSub subpictures from an MPEG program stream (a .sub file, or a dvd_subtitle
+   * stream remuxed by FFmpeg). Display start and stop come from each subpicture's
+   * control sequences, relative to its packet PTS.
+   * substreamId picks one subpicture stream (0x20-0x3f); defaults to the first one found.
+   */
+  parseVobSub(bytes, substreamId = null) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const entries = [];
+    let unit = null; // Subpicture being reassembled: { pts, data: [], length, size }
+    let offset = 0;
+
+    while (offset + 6 <= bytes.length) {
+      if (bytes[offset] !== 0 || bytes[offset + 1] !== 0 || bytes[offset + 2] !== 1) {
+        offset++;
+        continue;
+      }
+
+      const streamId = bytes[offset + 3];
+
+      // Pack header: MPEG-2 (with stuffing) or MPEG-1
+      if (streamId === 0xba) {
+        offset += (bytes[offset + 4] & 0xc0) === 0x40 ? 14 + (bytes[offset + 13] & 0x07) : 12;
+        continue;
+      }
+
+      const packetEnd = offset + 6 + view.getUint16(offset + 4);
+      if (streamId !== PRIVATE_STREAM_1 || packetEnd > bytes.length) {
+        offset = packetEnd;
+        continue;
+      }
+
+      const headerLength = bytes[offset + 8];
+      const hasPTS = (bytes[offset + 7] & 0x80) !== 0;
+      const payloadStart = offset + 9 + headerLength;
+      const substream = bytes[payloadStart];
+
+      if (substream >= 0x20 && substream <= 0x3f && (substreamId === null || substream === substreamId)) {
+        substreamId = substream;
+        const payload = bytes.subarray(payloadStart + 1, packetEnd);
+
+        if (hasPTS) {
+          unit = { pts: this.readPTS(bytes, offset + 9), data: [], length: 0, size: null };
+        }
+
+        if (unit) {
+          unit.data.push(payload);
+          unit.length += payload.length;
+          if (unit.size === null && unit.length >= 2) {
+            const first = this.concat(unit.data, 2);
+            unit.size = (first[0] << 8) | first[1];
+          }
+
+          if (unit.size !== null && unit.length >= unit.size) {
+            const entry = this.parseSubpicture(this.concat(unit.data, unit.size), unit.pts);
+            if (entry) entries.push(entry);
+            unit = null;
+          }
+        }
+      }
+
+      offset = packetEnd;
+    }
+
+    // Lines without a stop command stay up until the next one
+    for (let i = 0; i < entries.length; i++) {
+      if (entries[i].endTime === null) {
+        const next = entries[i + 1]?.startTime ?? Infinity;
+        entries[i].endTime = Math.min(next, entries[i].startTime + DEFAULT_DISPLAY_MS);
+      }
+    }
+
+    return this.toEntries(entries);
+  }
+
+  /**
+   * Read the display start/stop dates from a subpicture's control sequences
+   */
+  parseSubpicture(data, pts) {
+    if (data.length < 4) return null;
+
+    let sequenceOffset = (data[2] << 8) | data[3];
+    let start = null;
+    let stop = null;
+
+    while (sequenceOffset + 4 <= data.length) {
+      const date = ((data[sequenceOffset] << 8) | data[sequenceOffset + 1]) * SPU_DATE_UNIT_MS;
+      const nextOffset = (data[sequenceOffset + 2] << 8) | data[sequenceOffset + 3];
+      let position = sequenceOffset + 4;
+
+      while (position < data.length && data[position] !== 0xff) {
+        const command = data[position++];
+        if (command === 0x00 || command === 0x01) {
+          start ??= date;
+        } else if (command === 0x02) {
+          stop = date;
+        } else if (command === 0x03 || command === 0x04) {
+          position += 2; // palette / alpha
+        } else if (command === 0x05) {
+          position += 6; // display area
+        } else if (command === 0x06) {
+          position += 4; // pixel data offsets
+        } else if (command === 0x07) {
+          position += (data[position] << 8) | data[position + 1]; // color/contrast change, sized
+        } else {
+          break; // Unknown command: the rest of this sequence can't be read
+        }
+      }
+
+      if (nextOffset === sequenceOffset) break;
+      sequenceOffset = nextOffset;
+    }
+
+    if (start === null) return null;
+    return {
+      startTime: Math.round(pts + start),
+      endTime: stop !== null && stop > start ? Math.round(pts + stop) : null
+    };
+  }
+
+  /**
+   * Read a 33-bit PES timestamp in milliseconds
+   */
+  readPTS(bytes, offset) {
+    const ticks =
+      (bytes[offset] & 0x0e) * 536870912 + // bits 32-30, shifted left by 29
+      (bytes[offset + 1] << 22) +
+      ((bytes[offset + 2] >> 1) << 15) +
+      (bytes[offset + 3] << 7) +
+      (bytes[offset + 4] >> 1);
+    return ticks / PTS_CLOCK_RATE * 1000;
+  }
+
+  /**
+   * Parse VobSub .idx timestamps ("timestamp: 00:01:02:345, filepos: ...") of the first language.
+   * The .idx does not store when a line is cleared, so each line lasts until the next one
+   * (at most DEFAULT_DISPLAY_MS).
+   */
+  parseVobSubIdx(content) {
+    const starts = [];
+    let delay = 0;
+    let languageCount = 0;
+
+    for (const line of content.split(/\r?\n/)) {
+      const trimmedLine = line.trim();
+      if (trimmedLine.startsWith('#')) continue;
+
+      if (/^id:/i.test(trimmedLine)) {
+        languageCount++;
+        if (languageCount > 1) break;
+        continue;
+      }
+
+      const delayMatch = trimmedLine.match(/^delay:\s*([+-]?)(\d+):(\d{2}):(\d{2}):(\d{3})/i);
+      if (delayMatch) {
+        const amount = this.parseIdxTime(delayMatch.slice(2));
+        delay += delayMatch[1] === '-' ? -amount : amount;
+        continue;
+      }
+
+      const timestampMatch = trimmedLine.match(/^timestamp:\s*(\d+):(\d{2}):(\d{2}):(\d{3})/i);
+      if (timestampMatch) {
+        starts.push(this.parseIdxTime(timestampMatch.slice(1)) + delay);
+      }
+    }
+
+    const entries = starts.map((startTime, i) => ({
+      startTime: Math.max(0, startTime),
+      endTime: Math.min(starts[i + 1] ?? Infinity, startTime + DEFAULT_DISPLAY_MS)
+    }));
+    return this.toEntries(entries.filter(entry => entry.endTime > entry.startTime));
+  }
+
+  /**
+   * Convert [hours, minutes, seconds, milliseconds] strings to milliseconds
+   */
+  parseIdxTime([hours, minutes, seconds, milliseconds]) {
+    return parseInt(hours) * 3600000 + parseInt(minutes) * 60000 + parseInt(seconds) * 1000 + parseInt(milliseconds);
+  }
+
+  /**
+   * Join the first `length` bytes of a list of chunks
+   */
+  concat(chunks, length) {
+    const result = new Uint8Array(length);
+    let position = 0;
+    for (const chunk of chunks) {
+      if (position >= length) break;
+      const part = chunk.subarray(0, length - position);
+      result.set(part, position);
+      position += part.length;
+    }
+    return result;
+  }
+
+  /**
+   * Number and sort timing entries like parsed subtitles
+   */
+  toEntries(timings) {
+    return timings
+      .sort((a, b) => a.startTime - b.startTime)
+      .map((timing, index) => ({ id: index + 1, startTime: timing.startTime, endTime: timing.endTime, text: '' }));
+  }
+}
@@ -0,0 +1,236 @@
+import { FileManager } from './file-manager.js';
+import { ResultExporter } from './result-exporter.js';
+import { CancelledError } from './errors.js';
+
+/**
+ * Main-thread client for the condenser worker.
+ * Mirrors the CondenserEngine API, while all processing runs in condenser-worker.js.
+ * Results come back with their audio and subtitle Blobs intact.
+ */
+export class CondenserClient {
+  constructor(onProgress) {
+    this.onProgress = onProgress;
+    this.fileManager = new FileManager();
+    this.resultExporter = new ResultExporter(this.fileManager);
+    this.worker = null;
+    this.pendingRequests = new Map(); // request id -> { resolve, reject }
+    this.nextRequestId = 1;
+    this.pendingProbes = new Set(); // Track probes not yet answered
+    this.isProcessing = false;
+  }
+
+  /**
+   * Create the worker on first use
+   */
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./condenser-worker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => this.handleWorkerError(event);
+    }
+    return this.worker;
+  }
+
+  /**
+   * Send a request to the worker and wait for its result or error reply
+   */
+  request(type, payload = {}) {
+    const id = this.nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, { resolve, reject });
+      this.getWorker().postMessage({ type, id, ...payload });
+    });
+  }
+
+  /**
+   * Route replies from the worker
+   */
+  handleMessage(message) {
+    if (message.type === 'progress') {
+      this.onProgress?.(message.progress);
+      return;
+    }
+
+    const pending = this.pendingRequests.get(message.id);
+    if (!pending) return;
+    this.pendingRequests.delete(message.id);
+
+    if (message.type === 'result') {
+      pending.resolve(message.result);
+    } else if (message.type === 'cancelled') {
+      pending.reject(new CancelledError(message.message, message.results));
+    } else {
+      pending.reject(new Error(message.message));
+    }
+  }
+
+  /**
+   * Fail every outstanding request if the worker itself crashes
+   */
+  handleWorkerError(event) {
+    console.error('Condenser worker error:', event);
+    const error = new Error(event.message || 'Condenser worker crashed');
+
+    for (const pending of this.pendingRequests.values()) {
+      pending.reject(error);
+    }
+    this.pendingRequests.clear();
+    this.worker?.terminate();
+    this.worker = null;
+  }
+
+  /**
+   * Condense one video (see CondenserEngine.condenseSingleFile)
+   */
+  async condenseSingleFile(videoFile, subtitleFile, config, fileIndex = 1, totalFiles = 1, options = {}) {
+    return this.runCondenser('single', { videoFile, subtitleFile, config, fileIndex, totalFiles, options });
+  }
+
+  /**
+   * Condense a batch of files (see CondenserEngine.condenseMultipleFiles)
+   */
+  async condenseMultipleFiles(files, config, options = {}) {
+    return this.runCondenser('multiple', { files, config, options });
+  }
+
+  /**
+   * Start a condense run in the worker, once the track probes sent before it have finished
+   */
+  async runCondenser(mode, args) {
+    this.isProcessing = true;
+    try {
+      await Promise.allSettled(this.pendingProbes);
+      return await this.request('start', { mode, args });
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Probe a video's embedded subtitle and audio tracks (see CondenserEngine.probeMediaTracks)
+   */
+  async probeMediaTracks(videoFile) {
+    const probe = this.request('probe', { file: videoFile });
+    this.pendingProbes.add(probe);
+    try {
+      return await probe;
+    } finally {
+      this.pendingProbes.delete(probe);
+    }
+  }
+
+  /**
+   * Read a video's waveform peaks for the timeline (see CondenserEngine.createWaveform)
+   */
+  async createWaveform(videoFile, config, options = {}) {
+    return this.request('waveform', { file: videoFile, config, options });
+  }
+
+  /**
+   * Read a stretch of a video's audio for playback (see CondenserEngine.readAudioRegion)
+   */
+  async readAudioRegion(videoFile, startMs, endMs, config, options = {}) {
+    return this.request('region', { file: videoFile, start: startMs, end: endMs, config, options });
+  }
+
+  /**
+   * Stop processing (for user control). The running request rejects with a CancelledError
+   * holding the files that already finished.
+   */
+  stop() {
+    this.worker?.postMessage({ type: 'stop' });
+  }
+
+  /**
+   * Check if currently processing
+   */
+  isCurrentlyProcessing() {
+    return this.isProcessing;
+  }
+
+  /**
+   * Format time in a human-readable format
+   */
+  formatTime(milliseconds) {
+    if (!milliseconds) return null;
+
+    const minutes = Math.floor(milliseconds / 60000);
+    const seconds = Math.floor((milliseconds % 60000) / 1000);
+
+    if (minutes > 0) {
+      return `${minutes}m ${seconds}s`;
+    } else {
+      return `${seconds}s`;
+    }
+  }
+
+  /**
+   * Estimate memory usage for a batch
+   */
+  estimateMemoryUsage(files) {
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    // Videos are mounted rather than copied and FFmpeg streams the audio, so memory is the
+    // FFmpeg heap plus the encoded outputs kept for download (a few % of the video size)
+    const ffmpegHeapMB = 256;
+    const estimatedMemoryMB = ffmpegHeapMB + (totalSize * 0.03) / (1024 * 1024);
+    return {
+      totalFileSizeMB: totalSize / (1024 * 1024),
+      estimatedMemoryMB,
+      recommendation: estimatedMemoryMB > 2000 ? 'Consider processing fewer files at once' : 'Should be fine'
+    };
+  }
+
+  /**
+   * Save processing results: into config.fixedOutputDir (a directory handle) when set,
+   * as one ZIP when config.downloadMode is 'zip' and there are several results,
+   * otherwise as separate downloads
+   */
+  async downloadResults(results, config) {
+    if (config.fixedOutputDir) {
+      console.log(`Writing ${results.length} result(s) to ${config.fixedOutputDir.name}...`);
+      await this.resultExporter.writeToDirectory(config.fixedOutputDir, results, config);
+      return;
+    }
+
+    if (config.downloadMode === 'zip' && results.length > 1) {
+      console.log(`Packaging ${results.length} results into a ZIP archive...`);
+      const zip = await this.resultExporter.createZip(results, config);
+      this.fileManager.downloadFile(zip, this.resultExporter.getZipFilename());
+      return;
+    }
+
+    console.log(`Downloading ${results.length} result files...`);
+
+    const files = this.resultExporter.getOutputFiles(results, config, false);
+    for (let i = 0; i < files.length; i++) {
+      this.fileManager.downloadFile(files[i].blob, files[i].path);
+
+      // Small delay between downloads to avoid browser limits
+      if (i < files.length - 1) {
+        await this.sleep(200);
+      }
+    }
+  }
+
+  /**
+   * Utility function for delays
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Shut down FFmpeg and the worker
+   */
+  async cleanup() {
+    if (!this.worker) return;
+
+    try {
+      await this.request('cleanup');
+    } finally {
+      this.worker?.terminate();
+      this.worker = null;
+    }
+  }
+}
@@ -1,14 +1,32 @@
 import { SubtitleProcessor } from './subtitle-processor.js';
 import { AudioProcessor } from './audio-processor.js';
 import { FileManager } from './file-manager.js';
+import { VoiceActivityDetector } from './voice-activity-detector.js';
+import { SubtitleAligner } from './subtitle-aligner.js';
+import { BitmapSubtitleParser } from './bitmap-subtitle-parser.js';
+import { EncodingDetector } from './encoding-detector.js';
+import { WaveformBuilder, WAVEFORM_SAMPLE_RATE } from './waveform-builder.js';
+import { CancelledError, throwIfCancelled } from './errors.js';
+
+// Audio analysed for speech is decoded in windows of this length (5 minutes of 16kHz mono is ~19MB)
+const SPEECH_WINDOW_MS = 5 * 60 * 1000;
+const SPEECH_SAMPLE_RATE = 16000;
+
+// Audio regions played from the timeline are decoded at this rate and cut off after this long
+const PREVIEW_SAMPLE_RATE = 22050;
+const PREVIEW_MAX_MS = 30000;
 
 export class CondenserEngine {
   constructor(onProgress) {
     this.subtitleProcessor = new SubtitleProcessor();
     this.audioProcessor = new AudioProcessor((progressData) => this.handleAudioProgress(progressData));
     this.fileManager = new FileManager();
+    this.bitmapSubtitleParser = new BitmapSubtitleParser();
+    this.encodingDetector = new EncodingDetector();
     this.isProcessing = false;
     this.shouldStop = false;
+    this.abortController = null;
+    this.audioReadControllers = new Set(); // One per running waveform or audio preview read
     this.onProgress = onProgress;
     this.currentProgress = {
       stage: '',
@@ -33,10 +51,9 @@ export class CondenserEngine {
     this.stageWeights = {
       'Reading subtitles': { start: 0, weight: 2 },
       'Analyzing subtitles': { start: 2, weight: 3 },
-      'Extracting audio': { start: 5, weight: 40 },
-      'Processing segments': { start: 45, weight: 25 },
-      'Concatenating': { start: 70, weight: 15 },
-      'Exporting': { start: 85, weight: 12 },
+      'Extracting audio': { start: 5, weight: 5 },
+      'Detecting speech': { start: 10, weight: 20 },
+      'Condensing audio': { start: 30, weight: 67 },
       'Creating subtitles': { start: 97, weight: 2 },
       'Complete': { start: 99, weight: 1 }
     };
@@ -233,27 +250,22 @@ export class CondenserEngine {
     return null;
   }
 
-  /**
-   * Format time in a human-readable format
-   */
-  formatTime(milliseconds) {
-    if (!milliseconds) return null;
-    
-    const minutes = Math.floor(milliseconds / 60000);
-    const seconds = Math.floor((milliseconds % 60000) / 1000);
-    
-    if (minutes > 0) {
-      return `${minutes}m ${seconds}s`;
-    } else {
-      return `${seconds}s`;
-    }
-  }
-
   /**
    * Main condensing function (port from Python condense function)
+   * options.audioStreamIndex overrides the audio stream picked from config.preferredAudioLanguages.
+   * options.signal cancels the file mid-run with a CancelledError; without one, stop() does.
+   * options.timing ({ offset, scale }) shifts and stretches the subtitle timings; config.subtitleSync
+   * ('suggest' or 'apply') also aligns them against speech detected in the audio. A manual timing is
+   * never replaced: with 'apply' the detected timing is then only returned as suggestedTiming.
+   * options.subtitleEncoding overrides the character encoding detected for subtitleFile.
+   * options.lineOverrides (Map of subtitle line index -> true/false) forces reviewed lines in or out.
+   * options.sourcePath is the video's path within a picked folder, returned for saving into subfolders.
+   * With config.noSubtitlesMode the periods come from speech detected in the audio and
+   * subtitleFile is ignored.
    */
-  async condenseSingleFile(videoFile, subtitleFile, config, fileIndex = 1, totalFiles = 1) {
+  async condenseSingleFile(videoFile, subtitleFile, config, fileIndex = 1, totalFiles = 1, options = {}) {
     const startTime = Date.now();
+    const signal = options.signal ?? this.createAbortSignal();
     
     // Reset progress tracking for new file
     this.progressHistory = [];
@@ -266,55 +278,150 @@ export class CondenserEngine {
     this.currentProgress.startTime = this.currentProgress.startTime || startTime;
 
     try {
-      // 1. Get subtitle content
-      let subtitleContent;
-      if (subtitleFile) {
-        this.startSmoothProgress('Reading subtitles', `Reading subtitles for ${videoFile.name}...`, 500);
-        subtitleContent = await subtitleFile.text();
+      // 1-2. Subtitle periods; in no-subtitles mode periods come from the audio instead (step 3)
+      let subtitles = null;
+      let periods = null;
+      let timing = this.normalizeTiming(options.timing, 'manual');
+      if (!config.noSubtitlesMode) {
+        subtitles = await this.readSubtitles(videoFile, subtitleFile, config, signal, options.subtitleEncoding);
+        subtitles.lineOverrides = options.lineOverrides || null;
+
+        // Frame-based subtitles (MicroDVD) are timed with the video's frame rate
+        if (subtitles.content && this.subtitleProcessor.needsFrameRate(subtitles.content)) {
+          subtitles.parseOptions = { frameRate: await this.getVideoFrameRate(videoFile, signal) };
+        }
+
+        // 2. Extract periods from subtitles (Python: extract_periods)
+        throwIfCancelled(signal);
+        this.startSmoothProgress('Analyzing subtitles', 'Extracting speech periods from subtitles...', 800);
+        periods = this.extractSubtitlePeriods(subtitles, config, timing);
         this.stopSmoothProgress();
-        this.setStageComplete('Reading subtitles', 'Subtitle content loaded');
-      } else {
-        throw new Error('No subtitle file provided. Embedded subtitle extraction not yet implemented.');
+        this.setStageComplete('Analyzing subtitles', `Found ${periods.length} speech periods`);
+        
+        if (periods.length === 0) {
+          throw new Error('No valid subtitle periods found after filtering');
+        }
       }
 
-      // 2. Extract periods from subtitles (Python: extract_periods)
-      this.startSmoothProgress('Analyzing subtitles', 'Extracting speech periods from subtitles...', 800);
-      const periods = this.subtitleProcessor.extractPeriods(subtitleContent, config);
+      // 3. Probe the video for its duration and audio streams
+      this.startSmoothProgress('Extracting audio', `Reading ${videoFile.name}...`, 1000);
+      const mediaInfo = await this.audioProcessor.probeMedia(videoFile, { signal });
       this.stopSmoothProgress();
-      this.setStageComplete('Analyzing subtitles', `Found ${periods.length} speech periods`);
-      
-      if (periods.length === 0) {
-        throw new Error('No valid subtitle periods found after filtering');
+      if (!mediaInfo) {
+        throw new Error(`Could not read media streams from ${videoFile.name}`);
       }
 
-      // 3. Extract audio from video (Python: FFmpeg audio extraction)
-      // Audio processor will handle its own progress updates with real data
-      const audioBuffer = await this.audioProcessor.extractAudio(videoFile);
-      const originalDuration = this.audioProcessor.getAudioDuration(audioBuffer);
+      const audioTracks = mediaInfo.streams.filter(stream => stream.type === 'audio');
+      this.fileManager.setAudioTracks(videoFile, audioTracks);
+      if (audioTracks.length === 0) {
+        throw new Error(`No audio stream found in ${videoFile.name}`);
+      }
 
-      // 4. Extract audio segments (Python: extract_audio_parts)
-      // Audio processor will handle its own progress updates with real data
-      const audioSegments = await this.audioProcessor.extractAudioSegments(periods, audioBuffer);
-      
-      // 5. Concatenate segments (Python: concatenate_audio_parts)
-      // Audio processor will handle its own progress updates with real data
-      const condensedAudioBuffer = await this.audioProcessor.concatenateAudioSegments(audioSegments);
-      const condensedDuration = this.audioProcessor.getAudioDuration(condensedAudioBuffer);
+      const originalDuration = mediaInfo.duration ?? periods?.[periods.length - 1].end;
+      if (!originalDuration) {
+        throw new Error(`Could not determine the duration of ${videoFile.name}`);
+      }
+
+      const audioStreamIndex = this.resolveAudioStream(videoFile, audioTracks, config, options.audioStreamIndex);
+
+      // Speech mask of the whole file, shared by subtitle sync and silence trimming
+      let speechMask = null;
+      let suggestedTiming = null;
+      if (subtitles && this.isSubtitleSyncEnabled(config)) {
+        speechMask = await this.analyzeSpeech(
+          videoFile,
+          this.createSpeechDetector(config),
+          originalDuration,
+          null,
+          { streamIndex: audioStreamIndex, signal }
+        );
 
-      // 6. Export to desired format
+        const detected = this.alignSubtitles(subtitles, speechMask, config);
+        const detectedText = this.fileManager.describeTiming(detected);
+        if (config.subtitleSync === 'apply' && detected.reliable && !timing) {
+          timing = detected;
+          periods = this.extractSubtitlePeriods(subtitles, config, timing);
+        } else {
+          suggestedTiming = detected;
+        }
+        this.setStageComplete(
+          'Detecting speech',
+          timing?.source === 'manual' && config.subtitleSync === 'apply'
+            ? `Kept manual subtitle timing ${this.fileManager.describeTiming(timing)} (detected ${detectedText})`
+            : `Subtitle timing: ${detectedText}`
+        );
+      }
+
+      let speechRatio = null;
+      if (config.noSubtitlesMode) {
+        const speech = await this.detectSpeechPeriods(
+          videoFile,
+          originalDuration,
+          config,
+          { streamIndex: audioStreamIndex, signal }
+        );
+        periods = speech.periods;
+        speechRatio = speech.speechRatio;
+        if (periods.length === 0) {
+          throw new Error(`No speech detected in ${videoFile.name}`);
+        }
+      }
+
+      let condensePeriods = this.clipPeriodsToDuration(periods, originalDuration);
+      if (condensePeriods.length === 0) {
+        throw new Error('All subtitle periods lie beyond the end of the audio');
+      }
+
+      // Optionally trim silence inside the periods and drop periods without any voice
+      // (periods detected from the audio are already speech)
+      if (config.vadEnabled && !config.noSubtitlesMode) {
+        condensePeriods = await this.trimPeriodsToSpeech(
+          videoFile,
+          condensePeriods,
+          originalDuration,
+          config,
+          { streamIndex: audioStreamIndex, signal, mask: speechMask }
+        );
+        if (condensePeriods.length === 0) {
+          throw new Error('No speech detected in any subtitle period');
+        }
+      }
+
+      // 4. Cut, concatenate and export in one FFmpeg pass (Python: extract_audio_parts + concatenate_audio_parts)
       // Audio processor will handle its own progress updates with real data
-      const audioBlob = await this.audioProcessor.exportAudio(condensedAudioBuffer, config.outputFormat);
+      const audioBlob = await this.audioProcessor.condenseAudio(
+        videoFile,
+        condensePeriods,
+        config.outputFormat,
+        { streamIndex: audioStreamIndex, signal }
+      );
+      const condensedDuration = this.getPeriodsDuration(condensePeriods);
+
+      // 5. Create condensed subtitles if requested (Python: condense_subtitles)
+      throwIfCancelled(signal);
+      // The condensed lines are always returned for the preview player; the file only on request
+      const condensedLines = subtitles?.content
+        ? this.subtitleProcessor.getCondensedSubtitleEntries(
+          condensePeriods,
+          subtitles.content,
+          timing,
+          subtitles.parseOptions
+        )
+        : [];
 
-      // 7. Create condensed subtitles if requested (Python: condense_subtitles)
       let subtitleBlob;
-      if (config.outputCondensedSubtitles) {
+      let subtitleNotice = null;
+      if (config.outputCondensedSubtitles && subtitles?.bitmapSubs) {
+        subtitleNotice = 'Condensed subtitles are not available for image-based (PGS/VobSub) subtitles, which contain no text';
+        console.warn(`${videoFile.name}: ${subtitleNotice}`);
+      } else if (config.outputCondensedSubtitles && subtitles) {
         this.startSmoothProgress('Creating subtitles', 'Creating condensed subtitles...', 300);
-        const condensedSubtitleContent = this.subtitleProcessor.createCondensedSubtitles(
-          periods,
-          subtitleContent,
+        const condensedSubtitleContent = this.subtitleProcessor.formatSubtitles(
+          condensedLines,
           config.condensedSubtitlesFormat
         );
-        subtitleBlob = new Blob([condensedSubtitleContent], { type: 'text/plain' });
+        // Whatever the source encoding, condensed subtitles are written as UTF-8
+        subtitleBlob = new Blob([condensedSubtitleContent], { type: 'text/plain;charset=utf-8' });
         this.stopSmoothProgress();
         this.setStageComplete('Creating subtitles', 'Condensed subtitles created');
       }
@@ -328,26 +435,431 @@ export class CondenserEngine {
         audioBlob,
         subtitleBlob,
         originalFilename: videoFile.name,
+        sourcePath: options.sourcePath || videoFile.name,
         processingTime,
-        periodsCount: periods.length,
+        periodsCount: condensePeriods.length,
         originalDuration,
-        condensedDuration
+        condensedDuration,
+        speechRatio,
+        timing,
+        suggestedTiming,
+        subtitleNotice,
+        subtitleEncoding: subtitles?.encoding || null,
+        segments: this.getCondensedSegments(condensePeriods),
+        lines: condensedLines
       };
 
     } catch (error) {
       this.stopSmoothProgress(); // Clean up on error
+      if (error instanceof CancelledError) throw error;
       throw new Error(`Processing failed: ${error.message}`);
+    } finally {
+      await this.audioProcessor.releaseInputFile();
+    }
+  }
+
+  /**
+   * Read the subtitle file, or extract the embedded subtitle track when there is none.
+   * Returns { content, parseOptions, encoding } for text subtitles, or { bitmapSubs } holding the
+   * display timings of image-based (PGS/VobSub) subtitles.
+   * encoding overrides the detected character encoding of a subtitle file.
+   */
+  async readSubtitles(videoFile, subtitleFile, config, signal, encoding = null) {
+    if (subtitleFile) {
+      this.startSmoothProgress('Reading subtitles', `Reading subtitles for ${videoFile.name}...`, 500);
+      const subtitles = await this.readSubtitleFile(subtitleFile, encoding);
+      this.stopSmoothProgress();
+      this.setStageComplete('Reading subtitles', 'Subtitle content loaded');
+      return subtitles;
+    }
+
+    this.startSmoothProgress('Reading subtitles', `Extracting embedded subtitles from ${videoFile.name}...`, 5000);
+    const subtitles = await this.extractEmbeddedSubtitles(videoFile, config, signal);
+    this.stopSmoothProgress();
+    this.setStageComplete('Reading subtitles', 'Embedded subtitle track extracted');
+    return subtitles;
+  }
+
+  /**
+   * Read an external subtitle file. PGS .sup files, VobSub .sub files and VobSub .idx
+   * indexes give timings only; a .sub that isn't VobSub is MicroDVD text.
+   * Text is decoded with the given encoding, or the one detected from the file's bytes.
+   */
+  async readSubtitleFile(subtitleFile, encoding = null) {
+    const extension = this.fileManager.getFileExtension(subtitleFile.name);
+
+    if (extension === '.idx') {
+      return { bitmapSubs: this.bitmapSubtitleParser.parseVobSubIdx(await subtitleFile.text()) };
     }
+
+    const bytes = new Uint8Array(await subtitleFile.arrayBuffer());
+    if (extension === '.sup' || extension === '.sub') {
+      const format = this.bitmapSubtitleParser.detectFormat(bytes);
+      if (format) {
+        return { bitmapSubs: this.bitmapSubtitleParser.parse(format, bytes) };
+      }
+    }
+
+    const decoded = this.encodingDetector.decode(bytes, encoding);
+    console.log(`Reading ${subtitleFile.name} as ${decoded.encoding} (${decoded.source})`);
+    return { content: decoded.text, parseOptions: {}, encoding: decoded.encoding };
+  }
+
+  /**
+   * Turn subtitles into padded, merged periods.
+   * Image-based subtitles have no text to filter, so every displayed image counts as a line.
+   */
+  extractSubtitlePeriods(subtitles, config, timing = null) {
+    if (subtitles.bitmapSubs) {
+      const subs = this.subtitleProcessor.applyTiming(subtitles.bitmapSubs, timing);
+      return this.subtitleProcessor.createPeriods(
+        subs.map(sub => [sub.startTime, sub.endTime]),
+        config.padding
+      );
+    }
+
+    return this.subtitleProcessor.extractPeriods(
+      subtitles.content,
+      config,
+      timing,
+      subtitles.parseOptions,
+      subtitles.lineOverrides
+    );
+  }
+
+  /**
+   * Run voice activity detection over the parts of the file covered by `ranges`
+   * (the whole file when null) and return the speech mask.
+   * The audio is decoded one window at a time, so memory stays bounded for long files.
+   */
+  async analyzeSpeech(videoFile, detector, duration, ranges, { streamIndex = null, signal } = {}) {
+    const track = detector.createFeatureTrack(duration);
+
+    const windows = [];
+    for (let start = 0; start < duration; start += SPEECH_WINDOW_MS) {
+      const end = Math.min(start + SPEECH_WINDOW_MS, duration);
+      if (!ranges || ranges.some(range => range.start < end && range.end > start)) {
+        windows.push({ start, end });
+      }
+    }
+
+    for (let i = 0; i < windows.length; i++) {
+      this.updateProgress('Detecting speech', i, windows.length, `Detecting speech (${i + 1}/${windows.length})...`);
+
+      const { start, end } = windows[i];
+      const samples = await this.audioProcessor.readPcmWindow(videoFile, start, end - start, {
+        streamIndex,
+        sampleRate: SPEECH_SAMPLE_RATE,
+        signal
+      });
+      detector.analyzeWindow(track, start, samples, SPEECH_SAMPLE_RATE);
+    }
+
+    return detector.classify(track);
+  }
+
+  /**
+   * Create a VoiceActivityDetector from the config
+   */
+  createSpeechDetector(config) {
+    return new VoiceActivityDetector({
+      aggressiveness: config.vadAggressiveness,
+      minSpeechMs: config.vadMinSpeechLength
+    });
+  }
+
+  /**
+   * Tighten periods to the speech found inside them with voice activity detection.
+   * Only the parts of the file covered by periods are decoded, unless a mask is passed in.
+   */
+  async trimPeriodsToSpeech(videoFile, periods, duration, config, { streamIndex = null, signal, mask = null } = {}) {
+    const detector = this.createSpeechDetector(config);
+    mask ??= await this.analyzeSpeech(videoFile, detector, duration, periods, { streamIndex, signal });
+
+    const tightened = detector.tightenPeriods(periods, mask);
+    const removed = this.getPeriodsDuration(periods) - this.getPeriodsDuration(tightened);
+    console.log(`Voice activity detection kept ${tightened.length} periods, removed ${(removed / 1000).toFixed(1)}s of silence`);
+
+    this.setStageComplete('Detecting speech', `Removed ${(removed / 1000).toFixed(1)}s of silence`);
+    return tightened;
+  }
+
+  /**
+   * Frame rate of the video's first video stream, or null for audio-only files
+   */
+  async getVideoFrameRate(videoFile, signal) {
+    const mediaInfo = await this.audioProcessor.probeMedia(videoFile, { signal });
+    const videoStream = mediaInfo?.streams.find(stream => stream.type === 'video' && stream.fps);
+    if (videoStream) {
+      console.log(`Timing frame-based subtitles at ${videoStream.fps} fps from ${videoFile.name}`);
+    }
+    return videoStream?.fps ?? null;
+  }
+
+  /**
+   * Check whether subtitles should be aligned against the audio
+   */
+  isSubtitleSyncEnabled(config) {
+    return config.subtitleSync === 'suggest' || config.subtitleSync === 'apply';
+  }
+
+  /**
+   * Find the subtitle shift and stretch that best matches the detected speech.
+   * Returns { offset, scale, confidence, reliable, source: 'auto' }.
+   */
+  alignSubtitles(subtitles, speechMask, config) {
+    const subs = subtitles.bitmapSubs ||
+      this.subtitleProcessor.getFilteredSubtitles(
+        subtitles.content,
+        config,
+        null,
+        subtitles.parseOptions,
+        subtitles.lineOverrides
+      );
+    const aligner = new SubtitleAligner();
+    const detected = aligner.align(
+      subs.map(sub => [sub.startTime, sub.endTime]),
+      speechMask,
+      this.createSpeechDetector(config).frameMs
+    );
+
+    console.log(`Subtitle alignment: ${this.fileManager.describeTiming(detected)} (confidence ${detected.confidence.toFixed(1)})`);
+    return { ...detected, source: 'auto' };
+  }
+
+  /**
+   * Fill in a partial { offset, scale } timing; null when it changes nothing
+   */
+  normalizeTiming(timing, source) {
+    const offset = timing?.offset || 0;
+    const scale = timing?.scale || 1;
+    if (offset === 0 && scale === 1) return null;
+    return { offset, scale, source };
   }
 
   /**
-   * Process multiple files with batching and memory management
+   * Find speech periods in a file without subtitles.
+   * Detected speech is padded and merged exactly like subtitle lines.
+   * Returns { periods, speechRatio } where speechRatio is detected speech / total duration.
+   */
+  async detectSpeechPeriods(videoFile, duration, config, { streamIndex = null, signal } = {}) {
+    const detector = this.createSpeechDetector(config);
+    const mask = await this.analyzeSpeech(videoFile, detector, duration, null, { streamIndex, signal });
+
+    const regions = detector.getSpeechRegions(mask);
+    const speechRatio = this.getPeriodsDuration(regions) / duration;
+    const periods = this.subtitleProcessor.createPeriods(
+      regions.map(region => [region.start, region.end]),
+      config.padding
+    );
+
+    const speechPercent = (speechRatio * 100).toFixed(1);
+    console.log(`Detected ${regions.length} speech regions in ${videoFile.name} (${speechPercent}% speech)`);
+    this.setStageComplete('Detecting speech', `Found ${periods.length} speech periods (${speechPercent}% speech)`);
+    return { periods, speechRatio };
+  }
+
+  /**
+   * Drop periods that start after the end of the media and trim the one that runs past it
+   */
+  clipPeriodsToDuration(periods, duration) {
+    if (!duration) return periods;
+
+    return periods
+      .filter(period => period.start < duration)
+      .map(period => ({ ...period, end: Math.min(period.end, duration) }));
+  }
+
+  /**
+   * Total length of a list of periods in milliseconds
+   */
+  getPeriodsDuration(periods) {
+    return periods.reduce((sum, period) => sum + (period.end - period.start), 0);
+  }
+
+  /**
+   * Where each period ends up in the condensed audio:
+   * [{ start, end, sourceStart, sourceEnd }] with start/end on the condensed timeline
+   */
+  getCondensedSegments(periods) {
+    let position = 0;
+    return periods.map(period => {
+      const start = position;
+      position += period.end - period.start;
+      return { start, end: position, sourceStart: period.start, sourceEnd: period.end };
+    });
+  }
+
+  /**
+   * Peak levels of a video's audio for the timeline: { peaks, peaksPerSecond, duration }.
+   * The audio stream is picked like condenseSingleFile does (options.audioStreamIndex overrides).
+   */
+  async createWaveform(videoFile, config, options = {}) {
+    return this.runAudioRead(videoFile, async (signal) => {
+      const mediaInfo = await this.audioProcessor.probeMedia(videoFile, { signal });
+      const audioTracks = mediaInfo?.streams.filter(stream => stream.type === 'audio') || [];
+      if (audioTracks.length === 0) {
+        throw new Error(`No audio stream found in ${videoFile.name}`);
+      }
+      if (!mediaInfo.duration) {
+        throw new Error(`Could not determine the duration of ${videoFile.name}`);
+      }
+
+      const duration = mediaInfo.duration;
+      const streamIndex = this.resolveAudioStream(videoFile, audioTracks, config, options.audioStreamIndex);
+      const builder = new WaveformBuilder();
+      const peaks = builder.createPeaks(duration);
+
+      const windowCount = Math.ceil(duration / SPEECH_WINDOW_MS);
+      for (let i = 0; i < windowCount; i++) {
+        const start = i * SPEECH_WINDOW_MS;
+        const samples = await this.audioProcessor.readPcmWindow(
+          videoFile,
+          start,
+          Math.min(SPEECH_WINDOW_MS, duration - start),
+          { streamIndex, sampleRate: WAVEFORM_SAMPLE_RATE, signal }
+        );
+        builder.addSamples(peaks, start, samples, WAVEFORM_SAMPLE_RATE);
+      }
+
+      return { peaks, peaksPerSecond: builder.peaksPerSecond, duration };
+    });
+  }
+
+  /**
+   * Read a stretch of a video's audio for playback: { samples, sampleRate } (mono).
+   * Long stretches are cut off after PREVIEW_MAX_MS.
+   */
+  async readAudioRegion(videoFile, startMs, endMs, config, options = {}) {
+    return this.runAudioRead(videoFile, async (signal) => {
+      const mediaInfo = await this.audioProcessor.probeMedia(videoFile, { signal });
+      const audioTracks = mediaInfo?.streams.filter(stream => stream.type === 'audio') || [];
+      const streamIndex = this.resolveAudioStream(videoFile, audioTracks, config, options.audioStreamIndex);
+
+      const samples = await this.audioProcessor.readPcmWindow(
+        videoFile,
+        startMs,
+        Math.min(endMs - startMs, PREVIEW_MAX_MS),
+        { streamIndex, sampleRate: PREVIEW_SAMPLE_RATE, signal }
+      );
+      return { samples, sampleRate: PREVIEW_SAMPLE_RATE };
+    });
+  }
+
+  /**
+   * Run a waveform or preview read with its own abort signal, which stop() also aborts.
+   * The run signal of a condense is left alone, and so is an input the read didn't mount.
+   */
+  async runAudioRead(videoFile, read) {
+    const controller = new AbortController();
+    const mountedBefore = this.audioProcessor.inputFile;
+    this.audioReadControllers.add(controller);
+
+    try {
+      return await read(controller.signal);
+    } finally {
+      this.audioReadControllers.delete(controller);
+      if (mountedBefore !== videoFile && this.audioProcessor.inputFile === videoFile) {
+        await this.audioProcessor.releaseInputFile();
+      }
+    }
+  }
+
+  /**
+   * Embedded subtitle tracks the engine can use: text tracks first, then image-based ones
+   */
+  getUsableSubtitleTracks(streams) {
+    return [
+      ...streams.filter(stream => this.audioProcessor.isTextSubtitleStream(stream)),
+      ...streams.filter(stream => this.audioProcessor.isBitmapSubtitleStream(stream))
+    ];
+  }
+
+  /**
+   * Probe a video for embedded subtitle tracks and audio tracks and remember the result.
+   * The file is mounted rather than copied, so this is cheap enough to run on file selection.
+   * Returns null when the container could not be read.
+   */
+  async probeMediaTracks(videoFile) {
+    const streams = await this.audioProcessor.probeStreams(videoFile);
+    if (!streams) return null;
+
+    const subtitleTracks = this.getUsableSubtitleTracks(streams);
+    const audioTracks = streams.filter(stream => stream.type === 'audio');
+    this.fileManager.setEmbeddedSubtitleTracks(videoFile, subtitleTracks);
+    this.fileManager.setAudioTracks(videoFile, audioTracks);
+    return { subtitleTracks, audioTracks };
+  }
+
+  /**
+   * Resolve which audio stream to extract: the per-file override, else the preferred language.
+   * Returns null to let FFmpeg pick its default stream.
+   */
+  resolveAudioStream(videoFile, tracks, config, audioStreamIndex = null) {
+    if (audioStreamIndex !== null && audioStreamIndex !== undefined) {
+      return audioStreamIndex;
+    }
+
+    if (!this.fileManager.parseLanguageList(config.preferredAudioLanguages).length) {
+      return null;
+    }
+
+    // A single track needs no -map; FFmpeg's default already is that track
+    if (tracks.length <= 1) return null;
+
+    const track = this.fileManager.selectAudioTrack(tracks, config);
+    console.log(`Using audio ${this.fileManager.describeTrack(track)} from ${videoFile.name}`);
+    return track.index;
+  }
+
+  /**
+   * Extract the preferred embedded subtitle track from a video (see readSubtitles for the result)
+   */
+  async extractEmbeddedSubtitles(videoFile, config, signal) {
+    const streams = await this.audioProcessor.probeStreams(videoFile, { signal });
+    const tracks = this.getUsableSubtitleTracks(streams || []);
+    this.fileManager.setEmbeddedSubtitleTracks(videoFile, tracks);
+
+    const track = this.fileManager.selectSubtitleTrack(tracks, config);
+    if (!track) {
+      throw new Error(`No subtitle file provided and no embedded subtitle track found in ${videoFile.name}`);
+    }
+
+    console.log(`Using embedded subtitle ${this.fileManager.describeTrack(track)} from ${videoFile.name}`);
+
+    if (this.audioProcessor.isBitmapSubtitleStream(track)) {
+      const { format, data } = await this.audioProcessor.extractBitmapSubtitleStream(videoFile, track, { signal });
+      return { bitmapSubs: this.bitmapSubtitleParser.parse(format, data) };
+    }
+
+    const content = await this.audioProcessor.extractSubtitleStream(videoFile, track, { signal });
+    return { content, parseOptions: {} };
+  }
+
+  /**
+   * Start a new cancellable run; stop() aborts the returned signal
+   */
+  createAbortSignal() {
+    this.shouldStop = false;
+    this.abortController = new AbortController();
+    return this.abortController.signal;
+  }
+
+  /**
+   * Process multiple files with batching and memory management.
+   * If stopped, throws a CancelledError carrying the files that finished before the stop.
    */
   async condenseMultipleFiles(files, config, options = {}) {
     const {
       batchSize = 3,           // Process 3 files at a time
       pauseBetweenBatches = 1000, // 1 second pause between batches
-      maxConcurrent = 1        // Process 1 file at a time for memory safety
+      maxConcurrent = 1,       // Process 1 file at a time for memory safety
+      audioTrackOverrides = new Map(), // Video file -> audio stream index chosen in the file list
+      subtitleTimings = new Map(), // Video file -> { offset, scale } set in the file list
+      subtitleEncodings = new Map(), // Video file -> character encoding of its subtitle file chosen in the file list
+      subtitleLineOverrides = new Map(), // Video file -> Map of subtitle line index -> forced in/out from the review panel
+      subtitleAssignments = new Map(), // Video file -> subtitle file (or null for none) picked in the file list
+      sourcePaths = new Map() // File -> path within a dropped or picked folder
     } = options;
 
     const validation = this.fileManager.validateFiles(files);
@@ -356,30 +868,38 @@ export class CondenserEngine {
       throw new Error('No video files found in selection');
     }
 
+    // Paths don't survive posting Files to the worker, but matching prefers subtitles from the video's folder
+    this.fileManager.setRelativePaths(sourcePaths);
+
     this.isProcessing = true;
-    this.shouldStop = false;
+    const signal = this.createAbortSignal();
 
     const results = [];
     const errors = [];
     
     // Find matching subtitles (Python logic)
-    const { matches: subtitleMatches, invalidVideos } = this.fileManager.findMatchingSubtitles(
+    const { matches: subtitleMatches, invalidVideos, embeddedVideos } = this.fileManager.findMatchingSubtitles(
       validation.videoFiles,
       files,
-      config
+      config,
+      subtitleAssignments
     );
 
     if (invalidVideos.length > 0) {
       console.warn(`Videos without matching subtitles: ${invalidVideos.map(f => f.name).join(', ')}`);
     }
 
+    if (embeddedVideos.length > 0) {
+      console.log(`Videos using embedded subtitles: ${embeddedVideos.map(f => f.name).join(', ')}`);
+    }
+
     // Create processing queue with only valid video-subtitle pairs
     const processingQueue = [];
     for (let i = 0; i < validation.videoFiles.length; i++) {
       const videoFile = validation.videoFiles[i];
       const subtitleFile = subtitleMatches[i];
       
-      if (subtitleFile) {
+      if (subtitleFile || embeddedVideos.includes(videoFile) || config.noSubtitlesMode) {
         processingQueue.push({ videoFile, subtitleFile, index: i + 1 });
       }
     }
@@ -414,19 +934,28 @@ export class CondenserEngine {
               item.subtitleFile, 
               config, 
               item.index, 
-              processingQueue.length
+              processingQueue.length,
+              {
+                audioStreamIndex: audioTrackOverrides.get(item.videoFile),
+                timing: subtitleTimings.get(item.videoFile),
+                subtitleEncoding: subtitleEncodings.get(item.videoFile),
+                lineOverrides: subtitleLineOverrides.get(item.videoFile),
+                sourcePath: sourcePaths.get(item.videoFile),
+                signal
+              }
             );
             results.push(result);
             
             // Force garbage collection hint
-            if (window.gc) {
-              window.gc();
+            if (globalThis.gc) {
+              globalThis.gc();
             }
             
             // Small pause between files
             await this.sleep(500);
             
           } catch (error) {
+            if (error instanceof CancelledError) break;
             console.error(`Failed to process ${item.videoFile.name}:`, error);
             errors.push({ filename: item.videoFile.name, error: error.message });
           }
@@ -443,10 +972,19 @@ export class CondenserEngine {
               item.subtitleFile, 
               config, 
               item.index, 
-              processingQueue.length
+              processingQueue.length,
+              {
+                audioStreamIndex: audioTrackOverrides.get(item.videoFile),
+                timing: subtitleTimings.get(item.videoFile),
+                subtitleEncoding: subtitleEncodings.get(item.videoFile),
+                lineOverrides: subtitleLineOverrides.get(item.videoFile),
+                sourcePath: sourcePaths.get(item.videoFile),
+                signal
+              }
             );
             return result;
           } catch (error) {
+            if (error instanceof CancelledError) return null;
             console.error(`Failed to process ${item.videoFile.name}:`, error);
             errors.push({ filename: item.videoFile.name, error: error.message });
             return null;
@@ -463,14 +1001,19 @@ export class CondenserEngine {
         await this.sleep(pauseBetweenBatches);
         
         // Request garbage collection if available
-        if (window.gc) {
-          window.gc();
+        if (globalThis.gc) {
+          globalThis.gc();
         }
       }
     }
 
     this.isProcessing = false;
 
+    if (this.shouldStop) {
+      console.log(`Processing stopped by user after ${results.length}/${processingQueue.length} files`);
+      throw new CancelledError('Processing stopped by user', results);
+    }
+
     if (errors.length > 0) {
       console.warn(`Processing completed with ${errors.length} errors:`, errors);
     }
@@ -485,6 +1028,10 @@ export class CondenserEngine {
   stop() {
     console.log('Stop requested...');
     this.shouldStop = true;
+    this.abortController?.abort();
+    for (const controller of this.audioReadControllers) {
+      controller.abort();
+    }
     this.stopSmoothProgress();
   }
 
@@ -495,52 +1042,6 @@ export class CondenserEngine {
     return this.isProcessing;
   }
 
-  /**
-   * Estimate memory usage for a batch
-   */
-  estimateMemoryUsage(files) {
-    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
-    // Rough estimate: video file size + extracted audio (10-20% of video) + processing overhead
-    const estimatedMemoryMB = (totalSize * 1.5) / (1024 * 1024);
-    return {
-      totalFileSizeMB: totalSize / (1024 * 1024),
-      estimatedMemoryMB,
-      recommendation: estimatedMemoryMB > 2000 ? 'Consider processing fewer files at once' : 'Should be fine'
-    };
-  }
-
-  /**
-   * Download processing results with rate limiting
-   */
-  async downloadResults(results, config) {
-    console.log(`Downloading ${results.length} result files...`);
-    
-    for (let i = 0; i < results.length; i++) {
-      const result = results[i];
-      
-      // Download audio file
-      const audioFilename = this.fileManager.generateOutputFilename(
-        result.originalFilename,
-        config.outputFormat
-      );
-      this.fileManager.downloadFile(result.audioBlob, audioFilename);
-
-      // Download subtitle file if available
-      if (result.subtitleBlob) {
-        const subtitleFilename = this.fileManager.generateOutputFilename(
-          result.originalFilename,
-          config.condensedSubtitlesFormat
-        );
-        this.fileManager.downloadFile(result.subtitleBlob, subtitleFilename);
-      }
-
-      // Small delay between downloads to avoid browser limits
-      if (i < results.length - 1) {
-        await this.sleep(200);
-      }
-    }
-  }
-
   /**
    * Set a stage as complete and move to its end position
    */
@@ -0,0 +1,109 @@
+/**
+ * Condenser Worker
+ *
+ * Hosts the CondenserEngine in a dedicated worker so subtitle parsing, FFmpeg
+ * coordination and progress bookkeeping never block the UI thread.
+ *
+ * Requests (from CondenserClient):
+ *   { type: 'start', id, mode: 'single' | 'multiple', args }
+ *   { type: 'probe', id, file }
+ *   { type: 'waveform', id, file, config, options }
+ *   { type: 'region', id, file, start, end, config, options }
+ *   { type: 'stop' }
+ *   { type: 'cleanup', id }
+ *
+ * Requests share one engine and one FFmpeg input mount, so they run one at a time in
+ * the order they arrive; only 'stop' is handled at once, aborting the running request.
+ *
+ * Replies:
+ *   { type: 'progress', progress }
+ *   { type: 'result', id, result }
+ *   { type: 'cancelled', id, message, results }
+ *   { type: 'error', id, message }
+ */
+
+import { CondenserEngine } from './condenser-engine.js';
+import { CancelledError } from './errors.js';
+
+// Minimum time between progress messages, so the UI isn't re-rendered on every FFmpeg log line
+const PROGRESS_INTERVAL_MS = 100;
+
+let lastProgressTime = 0;
+let lastProgressStage = null;
+
+const engine = new CondenserEngine((progress) => {
+  const now = Date.now();
+  if (progress.stage === lastProgressStage && now - lastProgressTime < PROGRESS_INTERVAL_MS) {
+    return;
+  }
+
+  lastProgressTime = now;
+  lastProgressStage = progress.stage;
+  self.postMessage({ type: 'progress', progress });
+});
+
+// Tail of the request queue
+let queue = Promise.resolve();
+
+self.onmessage = (event) => {
+  if (event.data.type === 'stop') {
+    engine.stop();
+    return;
+  }
+
+  queue = queue.then(() => handleRequest(event.data));
+};
+
+/**
+ * Run one request and post its reply. Never rejects, so the queue keeps going.
+ */
+async function handleRequest(data) {
+  const { type, id } = data;
+
+  try {
+    let result;
+
+    switch (type) {
+      case 'start':
+        result = await runCondenser(data);
+        break;
+      case 'probe':
+        result = await engine.probeMediaTracks(data.file);
+        break;
+      case 'waveform':
+        result = await engine.createWaveform(data.file, data.config, data.options);
+        break;
+      case 'region': {
+        const { file, start, end, config, options } = data;
+        result = await engine.readAudioRegion(file, start, end, config, options);
+        break;
+      }
+      case 'cleanup':
+        await engine.cleanup();
+        break;
+      default:
+        throw new Error(`Unknown condenser worker request: ${type}`);
+    }
+
+    self.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    if (error instanceof CancelledError) {
+      self.postMessage({ type: 'cancelled', id, message: error.message, results: error.results });
+    } else {
+      self.postMessage({ type: 'error', id, message: error.message });
+    }
+  }
+}
+
+/**
+ * Run a single-file or batch condense request
+ */
+async function runCondenser({ mode, args }) {
+  if (mode === 'single') {
+    const { videoFile, subtitleFile, config, fileIndex, totalFiles, options } = args;
+    return engine.condenseSingleFile(videoFile, subtitleFile, config, fileIndex, totalFiles, options);
+  }
+
+  const { files, config, options } = args;
+  return engine.condenseMultipleFiles(files, config, options);
+}
@@ -0,0 +1,219 @@
+/**
+ * Encoding Detector
+ *
+ * Works out the character encoding of subtitle files that aren't UTF-8 (Shift_JIS,
+ * GBK, Big5, EUC-KR, Windows-1251, ...). A byte order mark wins; otherwise valid
+ * UTF-8 is taken as UTF-8, and legacy encodings are scored by how plausible the
+ * text they decode to looks for the language they're used for.
+ */
+
+// Encodings offered for manual override, with labels for the UI
+export const SUBTITLE_ENCODINGS = [
+  { encoding: 'utf-8', label: 'UTF-8' },
+  { encoding: 'utf-16le', label: 'UTF-16 LE' },
+  { encoding: 'utf-16be', label: 'UTF-16 BE' },
+  { encoding: 'shift_jis', label: 'Shift_JIS (Japanese)' },
+  { encoding: 'euc-jp', label: 'EUC-JP (Japanese)' },
+  { encoding: 'gbk', label: 'GBK (Simplified Chinese)' },
+  { encoding: 'big5', label: 'Big5 (Traditional Chinese)' },
+  { encoding: 'euc-kr', label: 'EUC-KR (Korean)' },
+  { encoding: 'windows-1251', label: 'Windows-1251 (Cyrillic)' },
+  { encoding: 'koi8-r', label: 'KOI8-R (Russian)' },
+  { encoding: 'windows-1250', label: 'Windows-1250 (Central European)' },
+  { encoding: 'windows-1252', label: 'Windows-1252 (Western)' },
+  { encoding: 'windows-1253', label: 'Windows-1253 (Greek)' },
+  { encoding: 'windows-1254', label: 'Windows-1254 (Turkish)' },
+  { encoding: 'windows-1255', label: 'Windows-1255 (Hebrew)' },
+  { encoding: 'windows-1256', label: 'Windows-1256 (Arabic)' },
+  { encoding: 'windows-874', label: 'Windows-874 (Thai)' }
+];
+
+// Only the start of a file is scored; subtitles don't change encoding halfway through
+export const ENCODING_SAMPLE_BYTES = 64 * 1024;
+
+// Legacy encodings tried when the data isn't UTF-8, in order of preference on a tie
+const DETECTED_ENCODINGS = ['shift_jis', 'euc-jp', 'gbk', 'big5', 'euc-kr', 'windows-1251', 'windows-1252'];
+
+// Used when nothing scores: every byte decodes in Windows-1252
+const FALLBACK_ENCODING = 'windows-1252';
+
+// Frequent hanzi written the same in simplified and traditional Chinese
+const COMMON_HANZI = '的一是不了人我在有他中大上到和地也子道出而要就下得可你年生自那能事其所去行家十用天如然作方成者多日都三小二同起好看分此心前面又定只主公知想';
+
+// Frequent hanzi that differ between simplified and traditional Chinese
+const COMMON_SIMPLIFIED_HANZI = '这们个来说国时会对过还没么样为里吗见经后发学进种将无当与从着现话让给听';
+const COMMON_TRADITIONAL_HANZI = '這們個來說國時會對過還沒麼樣為裡嗎見經後發學進種將無當與從著現話讓給聽';
+
+export class EncodingDetector {
+  constructor() {
+    this.simplifiedHanzi = new Set(COMMON_HANZI + COMMON_SIMPLIFIED_HANZI);
+    this.traditionalHanzi = new Set(COMMON_HANZI + COMMON_TRADITIONAL_HANZI);
+  }
+
+  /**
+   * Detect the encoding of subtitle bytes.
+   * Returns { encoding, source } where source is 'bom', 'utf-8', 'heuristic' or 'fallback'.
+   */
+  detect(bytes) {
+    const bomEncoding = this.getBOMEncoding(bytes);
+    if (bomEncoding) return { encoding: bomEncoding, source: 'bom' };
+
+    const sample = bytes.subarray(0, ENCODING_SAMPLE_BYTES);
+    const utf16Encoding = this.guessUTF16(sample);
+    if (utf16Encoding) return { encoding: utf16Encoding, source: 'heuristic' };
+
+    if (this.isValidUTF8(sample)) return { encoding: 'utf-8', source: 'utf-8' };
+
+    let best = null;
+    for (const encoding of DETECTED_ENCODINGS) {
+      const text = new TextDecoder(encoding).decode(sample);
+      const score = this.score(text, encoding);
+      if (!best || score > best.score) {
+        best = { encoding, score };
+      }
+    }
+
+    if (best.score <= 0) return { encoding: FALLBACK_ENCODING, source: 'fallback' };
+    return { encoding: best.encoding, source: 'heuristic' };
+  }
+
+  /**
+   * Decode subtitle bytes to text, detecting the encoding unless one is given.
+   * Returns { text, encoding, source } (source is 'override' for a given encoding).
+   */
+  decode(bytes, encoding = null) {
+    const detected = encoding ? { encoding, source: 'override' } : this.detect(bytes);
+
+    let decoder;
+    try {
+      decoder = new TextDecoder(detected.encoding);
+    } catch {
+      throw new Error(`Unsupported subtitle encoding: ${detected.encoding}`);
+    }
+
+    // TextDecoder drops a matching byte order mark
+    return { text: decoder.decode(bytes), ...detected };
+  }
+
+  /**
+   * Encoding named by a byte order mark, or null
+   */
+  getBOMEncoding(bytes) {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+    return null;
+  }
+
+  /**
+   * Recognise UTF-16 without a BOM: mostly-ASCII text leaves every other byte zero
+   */
+  guessUTF16(bytes) {
+    const pairs = Math.floor(bytes.length / 2);
+    if (pairs < 8) return null;
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+      if (bytes[i] === 0) evenZeros++;
+      if (bytes[i + 1] === 0) oddZeros++;
+    }
+
+    if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return 'utf-16le';
+    if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return 'utf-16be';
+    return null;
+  }
+
+  /**
+   * Check whether bytes are valid UTF-8, allowing a character cut off at the end of a sample
+   */
+  isValidUTF8(bytes) {
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    try {
+      decoder.decode(bytes, { stream: true });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Score how plausible decoded text is for the language an encoding is used for.
+   * ASCII is identical in all candidates, so only other characters count.
+   */
+  score(text, encoding) {
+    let total = 0;
+    let previous = '';
+
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      if (code < 0x80) {
+        previous = char;
+        continue;
+      }
+
+      if (code === 0xfffd) {
+        total -= 5; // Byte sequence that isn't valid in this encoding
+      } else {
+        total += this.scoreCharacter(char, code, previous, encoding);
+      }
+      previous = char;
+    }
+
+    return total;
+  }
+
+  /**
+   * Score one non-ASCII character decoded with an encoding
+   */
+  scoreCharacter(char, code, previous, encoding) {
+    const isKana = code >= 0x3040 && code <= 0x30ff;
+    const isHanzi = code >= 0x4e00 && code <= 0x9fff;
+    const isHangul = code >= 0xac00 && code <= 0xd7a3;
+    const isHalfWidthKana = code >= 0xff61 && code <= 0xff9f;
+    const isCJKPunctuation = (code >= 0x3000 && code <= 0x303f) || (code >= 0xff01 && code <= 0xff5e);
+    const previousIsASCIILetter = /[A-Za-z]/.test(previous);
+
+    switch (encoding) {
+      case 'shift_jis':
+      case 'euc-jp':
+        if (isKana) return 2;
+        if (isHanzi) return 0.5;
+        if (isCJKPunctuation) return 1;
+        // Stray single bytes decode to half-width katakana in Shift_JIS
+        return isHalfWidthKana ? -1 : 0;
+      case 'gbk':
+      case 'big5': {
+        const common = encoding === 'gbk' ? this.simplifiedHanzi : this.traditionalHanzi;
+        if (common.has(char)) return 3;
+        if (isHanzi) return 0.5;
+        return isCJKPunctuation ? 1 : 0;
+      }
+      case 'euc-kr':
+        if (isHangul) return 2;
+        if (isCJKPunctuation) return 1;
+        // Korean subtitles rarely use hanja; Chinese text decoded as EUC-KR is full of them
+        return isHanzi ? -1 : 0;
+      case 'windows-1251':
+        // Cyrillic words are all Cyrillic; Latin text decoded as Cyrillic mixes scripts
+        if (code >= 0x0400 && code <= 0x04ff) return previousIsASCIILetter ? -1 : 1;
+        return 0;
+      case 'windows-1252':
+        // Accented letters sit inside Latin words; runs of them are mis-decoded text
+        if (code >= 0xc0 && code <= 0xff && code !== 0xd7 && code !== 0xf7) {
+          const previousCode = previous.codePointAt(0) ?? 0;
+          return previousCode >= 0xc0 && previousCode <= 0xff ? -1 : 1;
+        }
+        return 0;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * UI label of an encoding
+   */
+  getLabel(encoding) {
+    return SUBTITLE_ENCODINGS.find(option => option.encoding === encoding)?.label || encoding;
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * Thrown when processing is stopped by the user.
+ * `results` holds the files that finished before the stop, so they can still be downloaded.
+ */
+export class CancelledError extends Error {
+  constructor(message = 'Processing cancelled', results = []) {
+    super(message);
+    this.name = 'CancelledError';
+    this.results = results;
+  }
+}
+
+/**
+ * Throw a CancelledError if the signal has been aborted
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new CancelledError();
+  }
+}
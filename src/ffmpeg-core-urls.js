@@ -0,0 +1,41 @@
+import bundledCoreURL from '@ffmpeg/core?url';
+import bundledWasmURL from '@ffmpeg/core/wasm?url';
+import bundledCoreMtURL from '@ffmpeg/core-mt?url';
+import bundledWasmMtURL from '@ffmpeg/core-mt/wasm?url';
+import bundledWorkerMtURL from '@ffmpeg/core-mt/worker?url';
+
+/**
+ * FFmpeg core file locations.
+ *
+ * The cores are bundled with the app as Vite assets so ScriptSnip works offline and
+ * behind proxies that block CDNs. Set VITE_FFMPEG_CORE_URL / VITE_FFMPEG_CORE_MT_URL
+ * to a directory holding ffmpeg-core.js and ffmpeg-core.wasm (plus ffmpeg-core.worker.js
+ * for the multi-threaded core) to load them from somewhere else.
+ */
+export const CORE_URLS = resolveCoreURLs(import.meta.env.VITE_FFMPEG_CORE_URL, {
+  coreURL: bundledCoreURL,
+  wasmURL: bundledWasmURL
+});
+
+export const CORE_MT_URLS = resolveCoreURLs(import.meta.env.VITE_FFMPEG_CORE_MT_URL, {
+  coreURL: bundledCoreMtURL,
+  wasmURL: bundledWasmMtURL,
+  workerURL: bundledWorkerMtURL
+});
+
+/**
+ * Use the configured base directory if there is one, else the bundled files
+ */
+function resolveCoreURLs(baseURL, bundled) {
+  if (!baseURL) return bundled;
+
+  const base = baseURL.replace(/\/+$/, '');
+  const urls = {
+    coreURL: `${base}/ffmpeg-core.js`,
+    wasmURL: `${base}/ffmpeg-core.wasm`
+  };
+  if (bundled.workerURL) {
+    urls.workerURL = `${base}/ffmpeg-core.worker.js`;
+  }
+  return urls;
+}
@@ -1,4 +1,15 @@
 import { IntelligentFileMatcher } from './intelligent-file-matcher.js';
+import { FRAME_RATE_SCALES } from './subtitle-aligner.js';
+import { EncodingDetector, ENCODING_SAMPLE_BYTES } from './encoding-detector.js';
+import { BitmapSubtitleParser } from './bitmap-subtitle-parser.js';
+import { LanguageTags } from './language-tags.js';
+
+// Score of a subtitle named exactly like its video, above any IntelligentFileMatcher score
+const EXACT_MATCH_SCORE = 100;
+// Added per level of folder proximity, so nearer subtitles win regardless of score
+const FOLDER_PROXIMITY_BONUS = 200;
+// A runner-up within this many points makes a match ambiguous
+const AMBIGUOUS_SCORE_MARGIN = 10;
 
 export class FileManager {
   constructor() {
@@ -9,11 +20,29 @@ export class FileManager {
     ]);
 
     this.subtitleExtensions = new Set([
-      '.srt', '.ass', '.ssa', '.vtt'
+      '.srt', '.ass', '.ssa', '.vtt', '.ttml', '.dfxp', '.sbv', '.sub',
+      '.smi', '.sami', '.json3', '.sup', '.idx'
+    ]);
+
+    // Containers that can carry subtitle tracks
+    this.subtitleContainerExtensions = new Set([
+      '.mkv', '.mp4', '.m4v', '.mov', '.webm'
     ]);
+
+    // Probed embedded subtitle and audio tracks per video file key (undefined = not probed yet).
+    // Keyed by name/size/date rather than File identity, since files are cloned when posted to the worker
+    this.embeddedSubtitleTracks = new Map();
+    this.audioTracks = new Map();
     
     // Initialize the intelligent file matcher
     this.intelligentMatcher = new IntelligentFileMatcher();
+    this.languageTags = new LanguageTags();
+
+    this.encodingDetector = new EncodingDetector();
+    this.bitmapSubtitleParser = new BitmapSubtitleParser();
+
+    // File -> path within a dropped folder (Files from drag-and-drop don't carry webkitRelativePath)
+    this.relativePaths = new WeakMap();
   }
 
   /**
@@ -32,82 +61,343 @@ export class FileManager {
     return this.subtitleExtensions.has(extension);
   }
 
+  /**
+   * Check if a video file's container can hold embedded subtitle tracks
+   */
+  canHaveEmbeddedSubtitles(file) {
+    return this.subtitleContainerExtensions.has(this.getFileExtension(file.name));
+  }
+
+  /**
+   * Remember the usable (text or image-based) subtitle tracks found by probing a video file
+   */
+  setEmbeddedSubtitleTracks(videoFile, tracks) {
+    this.embeddedSubtitleTracks.set(this.getFileKey(videoFile), tracks);
+  }
+
+  /**
+   * Get the probed subtitle tracks of a video file, or undefined if it hasn't been probed
+   */
+  getEmbeddedSubtitleTracks(videoFile) {
+    return this.embeddedSubtitleTracks.get(this.getFileKey(videoFile));
+  }
+
+  /**
+   * Remember the audio tracks found by probing a video file
+   */
+  setAudioTracks(videoFile, tracks) {
+    this.audioTracks.set(this.getFileKey(videoFile), tracks);
+  }
+
+  /**
+   * Get the probed audio tracks of a video file, or undefined if it hasn't been probed
+   */
+  getAudioTracks(videoFile) {
+    return this.audioTracks.get(this.getFileKey(videoFile));
+  }
+
+  /**
+   * Check if a video without an external subtitle should be processed using its embedded tracks.
+   * Unprobed videos in a subtitle-capable container count as candidates; the engine probes them.
+   */
+  isEmbeddedSubtitleCandidate(videoFile) {
+    const tracks = this.getEmbeddedSubtitleTracks(videoFile);
+    if (tracks !== undefined) {
+      return tracks !== null && tracks.length > 0;
+    }
+    return this.canHaveEmbeddedSubtitles(videoFile);
+  }
+
   /**
    * Find subtitle file with same name as video (enhanced with cross-format matching)
-   * Now uses IntelligentFileMatcher for better episode matching
+   * Now uses IntelligentFileMatcher for better episode matching. The video is matched
+   * together with the other videos in allFiles (see matchSubtitles), so it never gets a
+   * subtitle that fits another video better.
    */
-  findSubtitleWithSameName(videoFile, allFiles, config) {
-    const baseName = this.getBaseName(videoFile.name);
-    
-    // First, try exact name matching with sub_suffix (original Python logic)
-    for (const ext of this.subtitleExtensions) {
-      const subtitleName = baseName + config.subSuffix + ext;
-      const matchingFile = allFiles.find(f => f.name === subtitleName);
-      if (matchingFile) {
-        console.log(`Found exact match: ${videoFile.name} -> ${matchingFile.name}`);
-        return matchingFile;
-      }
+  findSubtitleWithSameName(videoFile, allFiles, config, assignments = new Map()) {
+    const videoFiles = allFiles.filter(f => this.isVideoFile(f));
+    if (!videoFiles.includes(videoFile)) {
+      videoFiles.push(videoFile);
     }
-    
-    // If exact matching fails, use intelligent cross-format matching
+
+    const match = this.matchSubtitles(videoFiles, allFiles, config, assignments)
+      .find(m => m.videoFile === videoFile);
+    return match.subtitleFile;
+  }
+
+  /**
+   * Pair videos with subtitle files one-to-one, maximizing the total match score.
+   * A pair scores EXACT_MATCH_SCORE when the names match exactly (with sub_suffix), otherwise
+   * the IntelligentFileMatcher score if it reaches the minimum; subtitles nearer the video's
+   * folder (same folder, then subfolders) always win over ones further away.
+   * assignments (Map of video file -> subtitle file, or null for none) holds pairs chosen by
+   * hand; those subtitles are not offered to other videos.
+   * Among language/format variants of one subtitle ("ep01.jpn.srt", "ep01.eng.srt", "ep01.ass")
+   * the one in config.preferredSubtitleLanguages wins. A VobSub pair ("ep01.idx" + "ep01.sub")
+   * is one subtitle, matched through its .sub.
+   * Returns, per video: { videoFile, subtitleFile, score, type, ambiguous, candidates, alternatives,
+   * needsChoice } with type 'exact' | 'intelligent' | 'cross-format' | 'manual' | null, candidates
+   * the subtitles it could match ({ file, score, type, language }) best first, alternatives the
+   * variants of the chosen subtitle, and needsChoice set when config.askWhenMultipleSrt wants
+   * the user to pick among them because the preferred languages left them tied.
+   */
+  matchSubtitles(videoFiles, allFiles, config, assignments = new Map()) {
     const subtitleFiles = allFiles.filter(f => this.isSubtitleFile(f));
-    if (subtitleFiles.length > 0) {
-      const enhancedConfig = {
-        ...config,
-        allVideoFiles: allFiles.filter(f => this.isVideoFile(f))
-      };
-      
-      const match = this.intelligentMatcher.findBestSubtitleMatch(
-        videoFile, 
-        subtitleFiles, 
-        enhancedConfig
+    const isManual = videoFile => assignments.has(videoFile)
+      && (assignments.get(videoFile) === null || subtitleFiles.includes(assignments.get(videoFile)));
+    const manualSubtitles = new Set(videoFiles.filter(isManual).map(f => assignments.get(f)).filter(Boolean));
+
+    const seasonMapping = this.intelligentMatcher.buildSeasonEpisodeMapping(
+      allFiles.filter(f => this.isVideoFile(f)),
+      subtitleFiles
+    );
+    const subtitleInfos = new Map(subtitleFiles.map(f => [f, this.intelligentMatcher.analyzeFilename(f.name)]));
+    const pairedIndexes = this.getPairedVobSubIndexes(subtitleFiles);
+    const candidateFiles = subtitleFiles.filter(f => !pairedIndexes.has(f));
+    const candidates = videoFiles.map(videoFile =>
+      this.getSubtitleCandidates(videoFile, candidateFiles, subtitleInfos, seasonMapping, config)
+    );
+
+    // Solve the automatic pairs over the subtitles nobody picked by hand
+    const pool = subtitleFiles.filter(f => !manualSubtitles.has(f));
+    const autoVideos = videoFiles.map((f, i) => i).filter(i => !isManual(videoFiles[i]));
+    const values = autoVideos.map(i => {
+      const byFile = new Map(candidates[i].map(c => [c.file, c.value]));
+      return pool.map(f => byFile.get(f) ?? null);
+    });
+    const solution = this.intelligentMatcher.solveAssignment(values);
+    const autoMatches = new Map(autoVideos.map((i, row) => [i, solution[row] === -1 ? null : pool[solution[row]]]));
+
+    return videoFiles.map((videoFile, i) => {
+      const publicCandidates = candidates[i].map(({ file, score, type, language }) => ({ file, score, type, language }));
+
+      if (isManual(videoFile)) {
+        const subtitleFile = assignments.get(videoFile);
+        const candidate = candidates[i].find(c => c.file === subtitleFile);
+        return {
+          videoFile,
+          subtitleFile,
+          score: candidate?.score ?? 0,
+          type: subtitleFile ? 'manual' : null,
+          ambiguous: false,
+          candidates: publicCandidates,
+          alternatives: [],
+          needsChoice: false
+        };
+      }
+
+      const subtitleFile = autoMatches.get(i);
+      const chosen = candidates[i].find(c => c.file === subtitleFile) || null;
+      const alternatives = chosen
+        ? publicCandidates.filter((c, index) => candidates[i][index].variantOf === chosen.variantOf)
+        : [];
+      const variantTied = chosen !== null && candidates[i].some(c =>
+        c !== chosen && c.variantOf === chosen.variantOf && c.value >= chosen.value
       );
-      
-      if (match) {
-        const videoInfo = this.intelligentMatcher.analyzeFilename(videoFile.name);
-        const subtitleInfo = this.intelligentMatcher.analyzeFilename(match.name);
-        
-        console.log(`Found intelligent match: ${videoFile.name} (episode ${videoInfo.episode}) -> ${match.name} (S${subtitleInfo.season}E${subtitleInfo.episode})`);
-        return match;
+      return {
+        videoFile,
+        subtitleFile,
+        score: chosen?.score ?? 0,
+        type: chosen?.type ?? null,
+        ambiguous: this.isAmbiguousMatch(chosen, candidates[i]),
+        candidates: publicCandidates,
+        alternatives,
+        needsChoice: Boolean(config.askWhenMultipleSrt) && variantTied
+      };
+    });
+  }
+
+  /**
+   * Subtitles a video could match: [{ file, score, type, language, variantOf, value }] best first.
+   * value adds the folder proximity bonus and a small preferred-language bonus to the score;
+   * variantOf is shared by files that only differ in language tag or format.
+   */
+  getSubtitleCandidates(videoFile, subtitleFiles, subtitleInfos, seasonMapping, config) {
+    const videoInfo = this.intelligentMatcher.analyzeFilename(videoFile.name);
+    const minimumScore = this.intelligentMatcher.getMinimumMatchScore(config);
+    const preferredLanguageCount = this.parseLanguageList(config.preferredSubtitleLanguages).length;
+    const result = [];
+
+    for (const file of subtitleFiles) {
+      let score;
+      let type;
+      if (this.isExactMatch(videoFile, file, config)) {
+        score = EXACT_MATCH_SCORE;
+        type = 'exact';
+      } else {
+        const pair = this.intelligentMatcher.scorePair(videoInfo, subtitleInfos.get(file), seasonMapping);
+        if (pair.score < minimumScore) continue;
+        score = pair.score;
+        type = pair.matchType === 'cross-format' ? 'cross-format' : 'intelligent';
       }
+
+      const { baseName, language } = this.getSubtitleLanguage(file);
+      const rank = this.languageTags.getPreferenceRank(language, config.preferredSubtitleLanguages);
+      const languageBonus = rank === -1 ? 0 : (preferredLanguageCount - rank) / preferredLanguageCount;
+
+      result.push({
+        file,
+        score,
+        type,
+        language,
+        variantOf: `${this.getFolder(file)}/${baseName}`,
+        value: score + this.getFolderProximity(videoFile, file) * FOLDER_PROXIMITY_BONUS + languageBonus
+      });
     }
-    
-    return null;
+
+    return result.sort((a, b) => b.value - a.value);
+  }
+
+  /**
+   * VobSub .idx files with their .sub next to them. The .sub is read instead (it also says
+   * when each line is cleared), so the .idx is no candidate of its own.
+   */
+  getPairedVobSubIndexes(subtitleFiles) {
+    const pathOf = f => `${this.getFolder(f)}/${this.getBaseName(f.name)}`;
+    const subs = new Set(subtitleFiles.filter(f => this.getFileExtension(f.name) === '.sub').map(pathOf));
+    return new Set(subtitleFiles.filter(f => this.getFileExtension(f.name) === '.idx' && subs.has(pathOf(f))));
+  }
+
+  /**
+   * Why a video matched what it did, for the file list's "why this match?" popover:
+   * { videoInfo, pattern, episode, minimumScore, candidates } where candidates are every subtitle in
+   * allFiles scored against the video (see IntelligentFileMatcher.getMatchingAnalysis), exact
+   * name matches first, each with its pattern name, episode description and an exact flag
+   */
+  explainMatch(videoFile, allFiles, config) {
+    const subtitleFiles = allFiles.filter(f => this.isSubtitleFile(f));
+    const seasonMapping = this.intelligentMatcher.buildSeasonEpisodeMapping(
+      allFiles.filter(f => this.isVideoFile(f)),
+      subtitleFiles
+    );
+    const analysis = this.intelligentMatcher.getMatchingAnalysis(videoFile, subtitleFiles, config, seasonMapping);
+
+    const candidates = analysis.candidates.map(candidate => ({
+      ...candidate,
+      exact: this.isExactMatch(videoFile, candidate.file, config),
+      pattern: this.intelligentMatcher.describeEpisodePattern(candidate.subtitleInfo.episodePattern),
+      episode: this.intelligentMatcher.describeEpisode(candidate.subtitleInfo)
+    }));
+    candidates.sort((a, b) => b.exact - a.exact || b.score - a.score);
+
+    return {
+      videoInfo: analysis.videoInfo,
+      pattern: this.intelligentMatcher.describeEpisodePattern(analysis.videoInfo.episodePattern),
+      episode: this.intelligentMatcher.describeEpisode(analysis.videoInfo),
+      minimumScore: analysis.minimumScore,
+      candidates
+    };
+  }
+
+  /**
+   * Check if a non-exact match deserves a second look: the video's best candidate went
+   * elsewhere, another subtitle scored nearly as well, or a variant of the chosen one
+   * (another language or format) ties with it after the language bonus
+   */
+  isAmbiguousMatch(chosen, candidates) {
+    if (!chosen) {
+      // Unmatched although something matched it: its subtitles were all taken
+      return candidates.length > 0;
+    }
+    if (chosen.type === 'exact') return false;
+
+    return candidates.some(c => {
+      if (c === chosen) return false;
+      if (c.variantOf === chosen.variantOf) return c.value >= chosen.value;
+      return c.value > chosen.value - AMBIGUOUS_SCORE_MARGIN;
+    });
   }
 
+  /**
+   * Check if a subtitle is named exactly like the video (plus sub_suffix), allowing a
+   * language tag and flags after the name ("ep01.jpn.srt", "ep01.en.forced.srt")
+   */
+  isExactMatch(videoFile, subtitleFile, config) {
+    const extension = this.getFileExtension(subtitleFile.name);
+    if (!this.subtitleExtensions.has(extension)) return false;
+
+    const expected = this.getBaseName(videoFile.name) + (config.subSuffix || '');
+    return subtitleFile.name === expected + extension
+      || this.getSubtitleLanguage(subtitleFile).baseName === expected;
+  }
 
+  /**
+   * Language tag of a subtitle filename: { baseName, language, tag, flags } (see LanguageTags.parse)
+   */
+  getSubtitleLanguage(subtitleFile) {
+    return this.languageTags.parse(this.getBaseName(subtitleFile.name));
+  }
+
+  /**
+   * Describe a subtitle variant for the chooser, e.g. "Japanese, SRT" or "SRT, forced"
+   */
+  describeSubtitleVariant(subtitleFile) {
+    const { language, flags } = this.getSubtitleLanguage(subtitleFile);
+    const format = this.getFileExtension(subtitleFile.name).slice(1).toUpperCase();
+    return [language ? this.languageTags.getName(language) : null, format, ...flags].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Key shared by the same variant of different videos' subtitles (language, format and flags),
+   * so a choice made for one video can be repeated for the rest of the batch
+   */
+  getSubtitleVariantKey(subtitleFile) {
+    const { language, flags } = this.getSubtitleLanguage(subtitleFile);
+    return [language || '', this.getFileExtension(subtitleFile.name), ...flags].join('|');
+  }
+
+  /**
+   * How near a subtitle sits to a video: 2 same folder, 1 a subfolder of it, 0 elsewhere
+   */
+  getFolderProximity(videoFile, subtitleFile) {
+    const folder = this.getFolder(videoFile);
+    const subtitleFolder = this.getFolder(subtitleFile);
+
+    if (subtitleFolder === folder) return 2;
+    if (folder === '' || subtitleFolder.startsWith(`${folder}/`)) return 1;
+    return 0;
+  }
 
   /**
    * Find matching subtitles for video files (port from Python find_matching_subtitles_for_files)
+   * assignments holds the pairs chosen by hand in the file list (see matchSubtitles).
    */
-  findMatchingSubtitles(videoFiles, allFiles, config) {
+  findMatchingSubtitles(videoFiles, allFiles, config, assignments = new Map()) {
     const matches = [];
     const invalidVideos = [];
+    const embeddedVideos = [];
     const matchingDetails = [];
 
-    for (const videoFile of videoFiles) {
-      const subtitle = this.findSubtitleWithSameName(videoFile, allFiles, config);
+    for (const match of this.matchSubtitles(videoFiles, allFiles, config, assignments)) {
+      const { videoFile, subtitleFile: subtitle } = match;
       matches.push(subtitle);
       
       // Track matching details for reporting
       if (subtitle) {
-        const exactMatch = this.findExactMatch(videoFile, allFiles, config);
+        console.log(`Found ${match.type} match: ${this.getRelativePath(videoFile)} -> ${this.getRelativePath(subtitle)}`);
+        matchingDetails.push({
+          video: this.getRelativePath(videoFile),
+          subtitle: this.getRelativePath(subtitle),
+          matchType: match.type
+        });
+      } else if (this.isEmbeddedSubtitleCandidate(videoFile)) {
+        embeddedVideos.push(videoFile);
         matchingDetails.push({
-          video: videoFile.name,
-          subtitle: subtitle.name,
-          matchType: exactMatch ? 'exact' : 'intelligent'
+          video: this.getRelativePath(videoFile),
+          subtitle: null,
+          matchType: 'embedded'
         });
       } else {
         invalidVideos.push(videoFile);
         matchingDetails.push({
-          video: videoFile.name,
+          video: this.getRelativePath(videoFile),
           subtitle: null,
           matchType: 'none'
         });
       }
     }
 
-    return { matches, invalidVideos, matchingDetails };
+    return { matches, invalidVideos, embeddedVideos, matchingDetails };
   }
 
   /**
@@ -139,6 +429,45 @@ export class FileManager {
     return lastDot === -1 ? '' : filename.substring(lastDot).toLowerCase();
   }
 
+  /**
+   * Identify a file across structured clones (e.g. after being posted to a worker)
+   */
+  getFileKey(file) {
+    return `${file.name}:${file.size}:${file.lastModified}`;
+  }
+
+  /**
+   * Path of a file within a dropped or picked folder, or just its name
+   */
+  getRelativePath(file) {
+    return this.relativePaths.get(file) || file.webkitRelativePath || file.name;
+  }
+
+  /**
+   * Remember the path a dropped file had within its folder
+   */
+  setRelativePath(file, path) {
+    this.relativePaths.set(file, path);
+  }
+
+  /**
+   * Remember relative paths passed along with cloned files (e.g. to the worker)
+   */
+  setRelativePaths(paths) {
+    for (const [file, path] of paths) {
+      this.setRelativePath(file, path);
+    }
+  }
+
+  /**
+   * Folder part of a file's relative path ('' for files selected on their own)
+   */
+  getFolder(file) {
+    const path = this.getRelativePath(file);
+    const lastSlash = path.lastIndexOf('/');
+    return lastSlash === -1 ? '' : path.substring(0, lastSlash);
+  }
+
   /**
    * Get base filename without extension
    */
@@ -169,6 +498,108 @@ export class FileManager {
     URL.revokeObjectURL(url);
   }
 
+  /**
+   * Pick the embedded subtitle track to use: preferred language first, then the default track, then the first one
+   */
+  selectSubtitleTrack(tracks, config) {
+    return this.selectTrackByLanguage(tracks, config.preferredSubtitleLanguages);
+  }
+
+  /**
+   * Pick the audio track to extract: preferred language first, then the default track, then the first one
+   */
+  selectAudioTrack(tracks, config) {
+    return this.selectTrackByLanguage(tracks, config.preferredAudioLanguages);
+  }
+
+  /**
+   * Pick the first track matching a comma-separated language list, falling back to the default or first track
+   */
+  selectTrackByLanguage(tracks, languages) {
+    if (!tracks || tracks.length === 0) return null;
+
+    for (const language of this.parseLanguageList(languages)) {
+      const track = tracks.find(t => this.trackMatchesLanguage(t, language));
+      if (track) return track;
+    }
+
+    return tracks.find(t => t.isDefault) || tracks[0];
+  }
+
+  /**
+   * Split a comma-separated language list ("jpn,ja,japanese") into lowercase tokens
+   */
+  parseLanguageList(languages) {
+    return (languages || '')
+      .split(',')
+      .map(language => language.trim().toLowerCase())
+      .filter(language => language.length > 0);
+  }
+
+  /**
+   * Check a track's language tag or title against one language token
+   */
+  trackMatchesLanguage(track, language) {
+    if (track.language?.toLowerCase() === language) return true;
+    return track.title ? track.title.toLowerCase().split(/[^a-z\u00c0-\uffff]+/).includes(language) : false;
+  }
+
+  /**
+   * Describe a probed track for display, e.g. "Track 2 (jpn, ass) - Dialogue" or "Track 1 (jpn, flac, 2ch)"
+   */
+  describeTrack(track) {
+    const channels = track.channels ? `${track.channels}ch` : null;
+    const details = [track.language, track.codec, channels].filter(Boolean).join(', ');
+    const title = track.title ? ` - ${track.title}` : '';
+    return `Track ${track.index} (${details})${title}`;
+  }
+
+  /**
+   * Describe a subtitle timing correction for display, e.g. "+2.35s" or "-1.20s, 25 → 23.976 fps"
+   */
+  describeTiming(timing) {
+    const offset = timing?.offset || 0;
+    const scale = timing?.scale || 1;
+    const sign = offset < 0 ? '-' : '+';
+    const parts = [`${sign}${(Math.abs(offset) / 1000).toFixed(2)}s`];
+
+    if (scale !== 1) {
+      const known = FRAME_RATE_SCALES.find(entry => Math.abs(entry.scale - scale) < 1e-9);
+      parts.push(known ? known.label : `×${scale.toFixed(4)}`);
+    }
+
+    return parts.join(', ');
+  }
+
+  /**
+   * Detect the character encoding of a subtitle file from its first bytes.
+   * Returns null for image-based subtitles (PGS/VobSub), which have no text.
+   */
+  async detectSubtitleEncoding(file) {
+    const extension = this.getFileExtension(file.name);
+    if (extension === '.sup' || extension === '.idx') return null;
+
+    const bytes = new Uint8Array(await file.slice(0, ENCODING_SAMPLE_BYTES).arrayBuffer());
+    if (this.bitmapSubtitleParser.detectFormat(bytes)) return null;
+
+    return this.encodingDetector.detect(bytes).encoding;
+  }
+
+  /**
+   * Read a text subtitle file, decoded with the given or detected character encoding
+   */
+  async readSubtitleText(file, encoding = null) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    return this.encodingDetector.decode(bytes, encoding).text;
+  }
+
+  /**
+   * Describe a character encoding for display, e.g. "Shift_JIS (Japanese)"
+   */
+  describeEncoding(encoding) {
+    return this.encodingDetector.getLabel(encoding);
+  }
+
   /**
    * Format file size for display
    */
@@ -203,34 +634,31 @@ export class FileManager {
   }
 
   /**
-   * Find exact match only (without intelligent matching)
+   * Find exact match only (without intelligent matching), nearest folder first
    * Used for comparison and debugging
    */
   findExactMatch(videoFile, allFiles, config) {
-    const baseName = this.getBaseName(videoFile.name);
-    
-    for (const ext of this.subtitleExtensions) {
-      const subtitleName = baseName + config.subSuffix + ext;
-      const matchingFile = allFiles.find(f => f.name === subtitleName);
-      if (matchingFile) {
-        return matchingFile;
-      }
-    }
-    
-    return null;
+    const exactMatches = allFiles.filter(f => this.isSubtitleFile(f) && this.isExactMatch(videoFile, f, config));
+    exactMatches.sort((a, b) => this.getFolderProximity(videoFile, b) - this.getFolderProximity(videoFile, a));
+    return exactMatches[0] || null;
   }
 
   /**
-   * Get matching statistics for a set of files (enhanced with cross-format detection)
+   * Get matching statistics for a set of files (enhanced with cross-format detection).
+   * matches holds the full matchSubtitles result for the file list's match editor.
    */
-  getMatchingStats(videoFiles, allFiles, config) {
+  getMatchingStats(videoFiles, allFiles, config, assignments = new Map()) {
     const stats = {
       total: videoFiles.length,
       exactMatches: 0,
       intelligentMatches: 0,
+      manualMatches: 0,
+      embeddedMatches: 0,
+      ambiguousMatches: 0,
       noMatches: 0,
       matchedFiles: [],
       unmatchedFiles: [],
+      matches: [],
       crossFormatDetected: false
     };
 
@@ -239,20 +667,28 @@ export class FileManager {
     const seasonMapping = this.intelligentMatcher.buildSeasonEpisodeMapping(videoFiles, subtitleFiles);
     stats.crossFormatDetected = seasonMapping !== null;
 
-    for (const videoFile of videoFiles) {
-      const exactMatch = this.findExactMatch(videoFile, allFiles, config);
-      const anyMatch = this.findSubtitleWithSameName(videoFile, allFiles, config);
-
-      if (exactMatch) {
-        stats.exactMatches++;
-        stats.matchedFiles.push({ video: videoFile.name, subtitle: exactMatch.name, type: 'exact' });
-      } else if (anyMatch) {
-        stats.intelligentMatches++;
-        const matchType = stats.crossFormatDetected ? 'cross-format' : 'intelligent';
-        stats.matchedFiles.push({ video: videoFile.name, subtitle: anyMatch.name, type: matchType });
+    stats.matches = this.matchSubtitles(videoFiles, allFiles, config, assignments);
+    for (const match of stats.matches) {
+      const { videoFile, subtitleFile } = match;
+      if (match.ambiguous) stats.ambiguousMatches++;
+
+      if (subtitleFile) {
+        if (match.type === 'exact') {
+          stats.exactMatches++;
+        } else if (match.type === 'manual') {
+          stats.manualMatches++;
+        } else {
+          stats.intelligentMatches++;
+        }
+        stats.matchedFiles.push({ video: this.getRelativePath(videoFile), subtitle: this.getRelativePath(subtitleFile), type: match.type, ambiguous: match.ambiguous, videoFile, subtitleFile });
+      } else if (this.getEmbeddedSubtitleTracks(videoFile)?.length > 0) {
+        // Only report probed tracks here; unprobed containers are still unconfirmed
+        const track = this.selectSubtitleTrack(this.getEmbeddedSubtitleTracks(videoFile), config);
+        stats.embeddedMatches++;
+        stats.matchedFiles.push({ video: this.getRelativePath(videoFile), subtitle: this.describeTrack(track), type: 'embedded', ambiguous: match.ambiguous, videoFile, subtitleFile: null });
       } else {
         stats.noMatches++;
-        stats.unmatchedFiles.push(videoFile.name);
+        stats.unmatchedFiles.push(this.getRelativePath(videoFile));
       }
     }
 
@@ -0,0 +1,135 @@
+/**
+ * Folder Scanner
+ *
+ * Collects the files of a drop or folder selection, descending into folders. Dropped
+ * items are read with DataTransferItem.getAsFileSystemHandle where available and
+ * webkitGetAsEntry otherwise. Every file comes back with its path relative to what was
+ * dropped or picked (e.g. "Season 1/ep01.mkv"); files found inside folders are kept only
+ * if they are videos or subtitles.
+ */
+export class FolderScanner {
+  constructor(fileManager) {
+    this.fileManager = fileManager;
+  }
+
+  /**
+   * Files of a drop as [{ file, path }]
+   */
+  async scanDataTransfer(dataTransfer) {
+    const items = [...(dataTransfer.items || [])].filter(item => item.kind === 'file');
+    if (items.length === 0) {
+      return [...(dataTransfer.files || [])].map(file => ({ file, path: file.name }));
+    }
+
+    // Items can only be read while the drop event is dispatched, so take them all before awaiting
+    const sources = items.map(item => ({
+      handle: item.getAsFileSystemHandle?.() ?? null,
+      entry: item.webkitGetAsEntry?.() ?? null,
+      file: item.getAsFile()
+    }));
+
+    const results = [];
+    for (const source of sources) {
+      const handle = await source.handle?.catch(() => null);
+      if (handle) {
+        await this.scanHandle(handle, '', results);
+      } else if (source.entry) {
+        await this.scanEntry(source.entry, '', results);
+      } else if (source.file) {
+        results.push({ file: source.file, path: source.file.name });
+      }
+    }
+
+    console.log(`Collected ${results.length} file(s) from the drop`);
+    return results;
+  }
+
+  /**
+   * Files chosen with <input webkitdirectory>, which already carry webkitRelativePath
+   */
+  scanFileList(files) {
+    return [...files]
+      .map(file => ({ file, path: file.webkitRelativePath || file.name }))
+      .filter(({ file, path }) => !path.includes('/') || this.isWanted(file))
+      .sort((a, b) => this.comparePaths(a.path, b.path));
+  }
+
+  /**
+   * Walk a FileSystemHandle (getAsFileSystemHandle)
+   */
+  async scanHandle(handle, parentPath, results) {
+    const path = parentPath ? `${parentPath}/${handle.name}` : handle.name;
+
+    if (handle.kind === 'file') {
+      const file = await handle.getFile();
+      if (!parentPath || this.isWanted(file)) {
+        results.push({ file, path });
+      }
+      return;
+    }
+
+    const children = [];
+    for await (const child of handle.values()) {
+      children.push(child);
+    }
+    children.sort((a, b) => this.comparePaths(a.name, b.name));
+
+    for (const child of children) {
+      await this.scanHandle(child, path, results);
+    }
+  }
+
+  /**
+   * Walk a FileSystemEntry (webkitGetAsEntry)
+   */
+  async scanEntry(entry, parentPath, results) {
+    const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      if (!parentPath || this.isWanted(file)) {
+        results.push({ file, path });
+      }
+      return;
+    }
+
+    const children = await this.readDirectoryEntries(entry);
+    children.sort((a, b) => this.comparePaths(a.name, b.name));
+
+    for (const child of children) {
+      await this.scanEntry(child, path, results);
+    }
+  }
+
+  /**
+   * Read all entries of a directory; readEntries returns them in chunks until it returns none
+   */
+  async readDirectoryEntries(directoryEntry) {
+    const reader = directoryEntry.createReader();
+    const entries = [];
+
+    for (;;) {
+      const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (chunk.length === 0) break;
+      entries.push(...chunk);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Check if a file found inside a folder should be kept: videos and subtitles,
+   * skipping hidden files such as macOS "._" resource forks
+   */
+  isWanted(file) {
+    if (file.name.startsWith('.')) return false;
+    return this.fileManager.isVideoFile(file) || this.fileManager.isSubtitleFile(file);
+  }
+
+  /**
+   * Order paths naturally, so "ep2" comes before "ep10"
+   */
+  comparePaths(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+  }
+}
@@ -16,27 +16,153 @@
  * Cross-format examples:
  * Video [14] → Subtitle S02E01 (if S1 had 13 episodes)
  * Video S02E01 → Subtitle Episode 14 (reverse scenario)
+ *
+ * Filenames are read into episode descriptors:
+ * { kind, season, episode, endEpisode, version } where kind is 'episode', 'special' (S00E01,
+ * SP1), 'ova', 'oad', 'opening' (NCOP1) or 'ending' (NCED1); episode may be fractional
+ * (12.5 recaps) and endEpisode is the last episode of a multi-episode file (E01-E02), else null.
+ * Only descriptors of the same kind match each other.
  */
 
+// Score a pair needs to count as a match unless config.minimumMatchScore says otherwise
+export const DEFAULT_MINIMUM_MATCH_SCORE = 40;
+
+// Numbers that aren't episode numbers, removed before looking for one: resolutions,
+// CRC32 hashes, codecs, bit depths, audio channels and bracketed years
+const NUMERIC_NOISE_PATTERNS = [
+  /(?<![a-z0-9])\d{3,4}[pi](?![a-z0-9])/gi,                    // 1080p, 720p, 1080i
+  /(?<![a-z0-9])\d{3,4}x\d{3,4}(?![a-z0-9])/gi,                // 1920x1080
+  /(?<![a-z0-9])[48]k(?![a-z0-9])/gi,                          // 4K
+  /[[(][0-9a-f]{8}[\])]/gi,                                     // [ABCD1234]
+  /(?<![a-z0-9])[xh]\.?26[45](?![a-z0-9])/gi,                   // x264, H.265
+  /(?<![a-z0-9])(?:hi|ma)?10p(?![a-z0-9])/gi,                   // Hi10P, Ma10p
+  /(?<![a-z0-9])\d{1,2}[\s-]?bits?(?![a-z0-9])/gi,               // 10bit, 8-bit
+  /(?<![a-z0-9])(?:aac|e?ac-?3|ddp?|dts|flac|opus|truehd)[\s._]?\d\.\d(?![0-9])/gi, // AAC2.0, DDP5.1
+  /(?<![a-z0-9.])[257]\.[01]ch(?![a-z0-9])/gi,                  // 5.1ch
+  /[[(](?:19|20)\d{2}[\])]/g                                     // (2001)
+];
+
+// Version suffixes of re-released files: 01v2, [v3]
+const VERSION_PATTERNS = [
+  /(?<=\d)v(\d{1,2})(?![a-z0-9])/i,
+  /[[(]v(\d{1,2})[\])]/i
+];
+
+// Chinese/Japanese numerals for 第一話, 第十二集
+const CJK_DIGITS = { '〇': 0, '一': 1, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+
+// Special tags -> descriptor kind
+const SPECIAL_KINDS = {
+  ova: 'ova',
+  oad: 'oad',
+  sp: 'special',
+  special: 'special',
+  specials: 'special',
+  ncop: 'opening',
+  op: 'opening',
+  nced: 'ending',
+  ed: 'ending'
+};
+
 export class IntelligentFileMatcher {
   constructor() {
-    // Common episode number patterns (ordered by specificity)
-    this.episodePatterns = [
-      // Season and Episode patterns
-      /S(\d+)E(\d+)/i,           // S01E01, S1E1
-      /Season\s*(\d+).*Episode\s*(\d+)/i, // Season 1 Episode 1
-      /(\d+)x(\d+)/,             // 1x01, 01x01
-      
-      // Bracketed episode numbers
-      /\[(\d+)\]/,               // [01], [1]
-      /\((\d+)\)/,               // (01), (1)
-      
-      // Episode with prefix
-      /(?:Episode|Ep|E)[\s\-_]*(\d+)/i, // Episode 01, Ep01, E01
-      
-      // Standalone numbers (with word boundaries or separators)
-      /(?:^|[\s\-_\.\[\(])(\d{2,3})(?:[\s\-_\.\]\)]|$)/, // 01, 001 (2-3 digits)
-      /(?:^|[\s\-_\.\[\(])(\d{1})(?:[\s\-_\.\]\)]|$)/,   // 1 (single digit, less specific)
+    // Episode grammar, most specific first. The first rule yielding a descriptor wins;
+    // rules without an explicit episode marker skip numbers that look like years.
+    // read(match, text) returns { kind, season, episode, endEpisode } or null to keep looking.
+    const number = '(\\d{1,4}(?:\\.\\d)?)';
+    const cjkNumber = '([\\d〇一二三四五六七八九十]+(?:\\.\\d)?)';
+    this.episodeRules = [
+      {
+        name: 'S01E01',
+        // S01E01, S01E01E02, S01E01-E02, S00E01 (special)
+        pattern: new RegExp(`(?<![a-z0-9])S(\\d{1,2})[\\s._-]*E${number}(?:(?:[\\s._]*[-~&+][\\s._]*E?|E)(\\d{1,4}))?(?![a-z0-9])`, 'gi'),
+        confidence: 1.1,
+        explicit: true,
+        read: match => this.createDescriptor(
+          parseInt(match[1]) === 0 ? 'special' : 'episode', parseInt(match[1]), match[2], match[3]
+        )
+      },
+      {
+        name: 'Season 1 Episode 1',
+        pattern: new RegExp(`Season[\\s._-]*(\\d{1,2}).*?Episode[\\s._-]*${number}`, 'gi'),
+        confidence: 1.0,
+        explicit: true,
+        read: match => this.createDescriptor('episode', parseInt(match[1]), match[2])
+      },
+      {
+        name: '第01話',
+        // 第01話, 第1集, 第十二话, 第3回, with the season from 第2期/第2季
+        pattern: new RegExp(`第\\s*${cjkNumber}\\s*[話话集回]`, 'g'),
+        confidence: 1.0,
+        explicit: true,
+        read: (match, text) => {
+          const season = text.match(/第\s*([\d〇一二三四五六七八九十]+)\s*[期季部]|シーズン\s*(\d+)/);
+          return this.createDescriptor(
+            'episode', season ? this.parseEpisodeNumber(season[1] || season[2]) : null, match[1]
+          );
+        }
+      },
+      {
+        name: 'OVA / OAD / SP / NCOP / NCED',
+        // OVA, OAD 2, SP1, Special 3, NCOP1, NCED 2, OP1, ED2 (OP and ED only with a number)
+        pattern: /(?<![a-z0-9])(OVA|OAD|NCOP|NCED|SP|Specials?|OP|ED)(?:[\s._-]*(\d{1,3}))?(?![a-z0-9])/gi,
+        confidence: 0.9,
+        explicit: true,
+        read: match => {
+          const tag = match[1].toLowerCase();
+          if ((tag === 'op' || tag === 'ed') && !match[2]) return null;
+          return this.createDescriptor(SPECIAL_KINDS[tag], null, match[2] || '1');
+        }
+      },
+      {
+        name: '1x01',
+        // 1x01, 1x01-1x02, 1x01-02
+        pattern: /(?<![a-z0-9])(\d{1,2})x(\d{2,3})(?:[-~](?:\d{1,2}x)?(\d{2,3}))?(?![a-z0-9])/gi,
+        confidence: 0.9,
+        explicit: true,
+        read: match => this.createDescriptor('episode', parseInt(match[1]), match[2], match[3])
+      },
+      {
+        name: '[01]',
+        // [01], [12.5], [01-02], 【01】
+        pattern: new RegExp(`[[【]${number}(?:[-~](\\d{1,4}))?[\\]】]`, 'g'),
+        confidence: 0.8,
+        read: match => this.createDescriptor('episode', null, match[1], match[2])
+      },
+      {
+        name: '(01)',
+        pattern: new RegExp(`\\(${number}\\)`, 'g'),
+        confidence: 0.7,
+        read: match => this.createDescriptor('episode', null, match[1])
+      },
+      {
+        name: 'Episode 01 / Ep01 / E01',
+        // Episode 01, Ep.01, E01-E02, #01
+        pattern: new RegExp(`(?<![a-z])(?:Episode|Ep|E|#)[\\s._-]*${number}(?:[\\s._]*[-~&+][\\s._]*(?:Episode|Ep|E)?[\\s._-]*(\\d{1,4}))?(?![a-z0-9])`, 'gi'),
+        confidence: 0.6,
+        explicit: true,
+        read: match => this.createDescriptor('episode', null, match[1], match[2])
+      },
+      {
+        name: 'Title - 01',
+        // A number after a " - " separator: "86 - Eighty Six - 03" is episode 3, not 86
+        pattern: new RegExp(`\\s-\\s+${number}(?:[-~](\\d{1,4}))?(?![a-z0-9]|\\.\\d)`, 'gi'),
+        confidence: 0.5,
+        read: match => this.createDescriptor('episode', null, match[1], match[2])
+      },
+      {
+        name: 'standalone number (2-4 digits)',
+        // 01, 001, 1000, 12.5, 01-02
+        pattern: /(?<![a-z0-9])(\d{2,4}(?:\.\d)?)(?:[-~](\d{2,4}))?(?![a-z0-9]|\.\d)/gi,
+        confidence: 0.5,
+        read: match => this.createDescriptor('episode', null, match[1], match[2])
+      },
+      {
+        name: 'standalone number (1 digit)',
+        pattern: /(?<![a-z0-9.])(\d)(?![a-z0-9]|\.\d)/gi,
+        confidence: 0.4,
+        read: match => this.createDescriptor('episode', null, match[1])
+      }
     ];
 
     // Common separators and noise words to ignore when comparing base names
@@ -49,7 +175,8 @@ export class IntelligentFileMatcher {
       'flac', 'aac', 'mp3', 'dts', 'ac3',
       '1080p', '720p', '480p', '4k', 'uhd', 'hd',
       'jpn', 'eng', 'sub', 'dub', 'subbed', 'dubbed',
-      'vcb', 'studio', 'group', 'release'
+      'vcb', 'studio', 'group', 'release',
+      'ova', 'oad', 'sp', 'special', 'specials', 'ncop', 'nced', 'op', 'ed'
     ]);
   }
 
@@ -86,7 +213,7 @@ export class IntelligentFileMatcher {
     }
 
     // If no good direct matches found, try cross-format matching
-    if (matches.length === 0 || matches[0].score < this.getMinimumMatchScore()) {
+    if (matches.length === 0 || matches[0].score < this.getMinimumMatchScore(config)) {
       const allVideoFiles = config.allVideoFiles || [videoFile];
       const crossFormatMatches = this.findCrossFormatMatches(videoFile, subtitleFiles, allVideoFiles);
       matches.push(...crossFormatMatches);
@@ -95,7 +222,7 @@ export class IntelligentFileMatcher {
     // Sort by score (highest first) and return the best match
     matches.sort((a, b) => b.score - a.score);
     
-    if (matches.length > 0 && matches[0].score >= this.getMinimumMatchScore()) {
+    if (matches.length > 0 && matches[0].score >= this.getMinimumMatchScore(config)) {
       return matches[0].file;
     }
 
@@ -104,52 +231,152 @@ export class IntelligentFileMatcher {
 
   /**
    * Find matches for multiple video files
-   * Enhanced with cross-format detection
+   * Enhanced with cross-format detection. Subtitles are assigned one-to-one, maximizing the
+   * total score over all videos, so two videos never claim the same subtitle.
    * @param {File[]} videoFiles - Array of video files
    * @param {File[]} subtitleFiles - Array of subtitle files
    * @param {Object} config - Configuration object
    * @returns {Array} - Array of match results
    */
   findMultipleMatches(videoFiles, subtitleFiles, config = {}) {
-    const results = [];
-    const usedSubtitles = new Set();
-
     // Build cross-format mapping once for efficiency
     const seasonMapping = this.buildSeasonEpisodeMapping(videoFiles, subtitleFiles);
-    
-    for (const videoFile of videoFiles) {
-      const enhancedConfig = {
-        ...config,
-        allVideoFiles: videoFiles,
-        seasonMapping: seasonMapping
-      };
-      
-      const availableSubtitles = subtitleFiles.filter(sub => !usedSubtitles.has(sub));
-      const match = this.findBestSubtitleMatch(videoFile, availableSubtitles, enhancedConfig);
-      
-      results.push({
+    const subtitleInfos = subtitleFiles.map(f => this.analyzeFilename(f.name));
+
+    const pairs = videoFiles.map(videoFile => {
+      const videoInfo = this.analyzeFilename(videoFile.name);
+      return subtitleInfos.map(subtitleInfo => this.scorePair(videoInfo, subtitleInfo, seasonMapping));
+    });
+    const assignment = this.solveAssignment(
+      pairs.map(row => row.map(pair => (pair.score >= this.getMinimumMatchScore(config) ? pair.score : null)))
+    );
+
+    return videoFiles.map((videoFile, i) => {
+      const column = assignment[i];
+      return {
         videoFile: videoFile,
-        subtitleFile: match,
-        matched: match !== null,
+        subtitleFile: column === -1 ? null : subtitleFiles[column],
+        score: column === -1 ? 0 : pairs[i][column].score,
+        matchType: column === -1 ? null : pairs[i][column].matchType,
+        matched: column !== -1,
         crossFormat: seasonMapping !== null
-      });
+      };
+    });
+  }
 
-      if (match) {
-        usedSubtitles.add(match);
-      }
+  /**
+   * Score a video/subtitle pair by episode numbering, directly or across formats
+   * @param {Object} videoInfo - Video file analysis
+   * @param {Object} subtitleInfo - Subtitle file analysis
+   * @param {Object|null} seasonMapping - Season mapping from buildSeasonEpisodeMapping
+   * @returns {Object} - { score, matchType: 'direct' | 'cross-format', breakdown } with breakdown
+   *   from getScoreBreakdown or getCrossFormatBreakdown
+   */
+  scorePair(videoInfo, subtitleInfo, seasonMapping) {
+    const direct = this.getScoreBreakdown(videoInfo, subtitleInfo);
+    const crossFormat = seasonMapping ? this.getCrossFormatBreakdown(videoInfo, subtitleInfo, seasonMapping) : null;
+
+    return crossFormat && crossFormat.score > direct.score
+      ? { score: crossFormat.score, matchType: 'cross-format', breakdown: crossFormat }
+      : { score: direct.score, matchType: 'direct', breakdown: direct };
+  }
+
+  /**
+   * Pair rows with columns one-to-one so the summed score is highest (Hungarian algorithm).
+   * Rows may also stay unpaired, which is preferred over any pairing that isn't allowed.
+   * @param {Array<Array<number|null>>} scores - scores[row][column], null where a pair isn't allowed
+   * @returns {number[]} - The column paired with each row, or -1
+   */
+  solveAssignment(scores) {
+    const rows = scores.length;
+    const columns = rows > 0 ? scores[0].length : 0;
+    if (rows === 0 || columns === 0) {
+      return new Array(rows).fill(-1);
+    }
+
+    // Minimize cost over the real columns plus one "unpaired" column per row (cost 0);
+    // disallowed pairs cost more than staying unpaired
+    const width = columns + rows;
+    const highest = scores.reduce(
+      (max, row) => row.reduce((rowMax, score) => (score === null ? rowMax : Math.max(rowMax, score)), max),
+      0
+    );
+    const disallowed = 1 + highest;
+    const cost = (row, column) => {
+      if (column >= columns) return 0;
+      const score = scores[row][column];
+      return score === null ? disallowed : -score;
+    };
+
+    // 1-based potentials and column -> row pairing, as in the classic O(n²m) formulation
+    const u = new Array(rows + 1).fill(0);
+    const v = new Array(width + 1).fill(0);
+    const pairedRow = new Array(width + 1).fill(0);
+    const way = new Array(width + 1).fill(0);
+
+    for (let row = 1; row <= rows; row++) {
+      pairedRow[0] = row;
+      let column = 0;
+      const minSlack = new Array(width + 1).fill(Infinity);
+      const used = new Array(width + 1).fill(false);
+
+      do {
+        used[column] = true;
+        const currentRow = pairedRow[column];
+        let delta = Infinity;
+        let nextColumn = 0;
+
+        for (let j = 1; j <= width; j++) {
+          if (used[j]) continue;
+          const slack = cost(currentRow - 1, j - 1) - u[currentRow] - v[j];
+          if (slack < minSlack[j]) {
+            minSlack[j] = slack;
+            way[j] = column;
+          }
+          if (minSlack[j] < delta) {
+            delta = minSlack[j];
+            nextColumn = j;
+          }
+        }
+
+        for (let j = 0; j <= width; j++) {
+          if (used[j]) {
+            u[pairedRow[j]] += delta;
+            v[j] -= delta;
+          } else {
+            minSlack[j] -= delta;
+          }
+        }
+        column = nextColumn;
+      } while (pairedRow[column] !== 0);
+
+      // Flip the augmenting path
+      do {
+        const previous = way[column];
+        pairedRow[column] = pairedRow[previous];
+        column = previous;
+      } while (column !== 0);
     }
 
-    return results;
+    const assignment = new Array(rows).fill(-1);
+    for (let j = 1; j <= columns; j++) {
+      const row = pairedRow[j] - 1;
+      if (row >= 0 && scores[row][j - 1] !== null) {
+        assignment[row] = j - 1;
+      }
+    }
+    return assignment;
   }
 
   /**
    * Analyze a filename to extract useful matching information
    * @param {string} filename - The filename to analyze
-   * @returns {Object} - Analysis result with extracted information
+   * @returns {Object} - Analysis result with extracted information, including the episode
+   *   descriptor fields (kind, season, episode, endEpisode, version)
    */
   analyzeFilename(filename) {
     const baseName = this.getBaseName(filename);
-    const cleanName = this.cleanFilename(baseName);
+    const cleanName = this.cleanFilename(this.removeNumericNoise(this.toHalfWidthDigits(baseName)));
     
     // Extract episode information using patterns
     const episodeInfo = this.extractEpisodeInfo(baseName);
@@ -163,8 +390,11 @@ export class IntelligentFileMatcher {
       cleanName: cleanName,
       title: titleInfo.title,
       titleWords: titleInfo.words,
+      kind: episodeInfo.kind,
       episode: episodeInfo.episode,
+      endEpisode: episodeInfo.endEpisode,
       season: episodeInfo.season,
+      version: episodeInfo.version,
       episodePattern: episodeInfo.pattern,
       confidence: episodeInfo.confidence
     };
@@ -177,93 +407,203 @@ export class IntelligentFileMatcher {
    * @returns {number} - Match score (0-100)
    */
   calculateMatchScore(videoInfo, subtitleInfo) {
-    let score = 0;
+    return this.getScoreBreakdown(videoInfo, subtitleInfo).score;
+  }
+
+  /**
+   * Points behind a direct match score, for explaining it
+   * @param {Object} videoInfo - Video file analysis
+   * @param {Object} subtitleInfo - Subtitle file analysis
+   * @returns {Object} - { episode, season, title, titleSimilarity, pattern, confidence, score, reason }
+   *   where reason says why the pair scored 0 outright ('no-episode' | 'kind-mismatch' |
+   *   'episode-mismatch') or is null. Multi-episode files that only overlap get fewer episode points.
+   */
+  getScoreBreakdown(videoInfo, subtitleInfo) {
+    const breakdown = {
+      episode: 0,
+      season: 0,
+      title: 0,
+      titleSimilarity: 0,
+      pattern: 0,
+      confidence: 0,
+      score: 0,
+      reason: null
+    };
 
     // Episode number match (most important)
-    if (videoInfo.episode !== null && subtitleInfo.episode !== null) {
-      if (videoInfo.episode === subtitleInfo.episode) {
-        score += 50; // High score for exact episode match
-        
-        // Season match bonus (if both have season info)
-        if (videoInfo.season !== null && subtitleInfo.season !== null) {
-          if (videoInfo.season === subtitleInfo.season) {
-            score += 20;
-          } else {
-            score -= 10; // Penalty for season mismatch
-          }
-        }
-      } else {
-        return 0; // No match if episode numbers don't match
-      }
-    } else {
-      return 0; // No match if we can't extract episode numbers
+    if (videoInfo.episode === null || subtitleInfo.episode === null) {
+      breakdown.reason = 'no-episode'; // No match if we can't extract episode numbers
+      return breakdown;
+    }
+    if (videoInfo.kind !== subtitleInfo.kind) {
+      breakdown.reason = 'kind-mismatch'; // An OVA or special never matches a regular episode
+      return breakdown;
+    }
+    const overlap = this.getEpisodeOverlap(videoInfo, subtitleInfo);
+    if (!overlap) {
+      breakdown.reason = 'episode-mismatch'; // No match if episode numbers don't match
+      return breakdown;
     }
+    breakdown.episode = overlap === 'same' ? 50 : 30; // High score for exact episode match
 
-    // Title similarity
-    const titleSimilarity = this.calculateTitleSimilarity(videoInfo.titleWords, subtitleInfo.titleWords);
-    score += titleSimilarity * 20; // Up to 20 points for title similarity
+    // Season match bonus (if both have season info), penalty for a mismatch
+    if (videoInfo.season !== null && subtitleInfo.season !== null) {
+      breakdown.season = videoInfo.season === subtitleInfo.season ? 20 : -10;
+    }
+
+    // Title similarity, up to 20 points
+    breakdown.titleSimilarity = this.calculateTitleSimilarity(videoInfo.titleWords, subtitleInfo.titleWords);
+    breakdown.title = breakdown.titleSimilarity * 20;
 
     // Pattern consistency bonus
     if (videoInfo.episodePattern === subtitleInfo.episodePattern) {
-      score += 5;
+      breakdown.pattern = 5;
     }
 
     // Confidence penalty for low-confidence episode extraction
     if (videoInfo.confidence < 0.8 || subtitleInfo.confidence < 0.8) {
-      score -= 10;
+      breakdown.confidence = -10;
     }
 
-    return Math.max(0, Math.min(100, score));
+    const total = breakdown.episode + breakdown.season + breakdown.title + breakdown.pattern + breakdown.confidence;
+    breakdown.score = Math.max(0, Math.min(100, total));
+    return breakdown;
   }
 
   /**
-   * Extract episode and season information from filename
-   * @param {string} filename - The filename to analyze
-   * @returns {Object} - Episode information
+   * How the episodes of two descriptors of the same kind relate
+   * @param {Object} info1 - First file analysis
+   * @param {Object} info2 - Second file analysis
+   * @returns {string|null} - 'same' (same episode or range), 'partial' (ranges overlap) or null
+   */
+  getEpisodeOverlap(info1, info2) {
+    const end1 = info1.endEpisode ?? info1.episode;
+    const end2 = info2.endEpisode ?? info2.episode;
+
+    if (info1.episode === info2.episode && end1 === end2) {
+      return 'same';
+    }
+    return info1.episode <= end2 && info2.episode <= end1 ? 'partial' : null;
+  }
+
+  /**
+   * Extract the episode descriptor from a filename
+   * @param {string} filename - The filename to analyze (without extension)
+   * @returns {Object} - { kind, season, episode, endEpisode, version, pattern, confidence } with
+   *   pattern the index of the episodeRules entry that matched, or null (and kind null) if none did
    */
   extractEpisodeInfo(filename) {
-    let bestMatch = null;
-    let highestConfidence = 0;
-    let matchedPattern = null;
+    const text = this.removeNumericNoise(this.toHalfWidthDigits(filename));
 
-    for (let i = 0; i < this.episodePatterns.length; i++) {
-      const pattern = this.episodePatterns[i];
-      const match = filename.match(pattern);
-      
+    let version = null;
+    let rest = text;
+    for (const pattern of VERSION_PATTERNS) {
+      const match = rest.match(pattern);
       if (match) {
-        let episode, season = null;
-        let confidence = 1.0 - (i * 0.1); // Earlier patterns have higher confidence
-
-        if (match.length === 3) {
-          // Two capture groups: season and episode
-          season = parseInt(match[1]);
-          episode = parseInt(match[2]);
-        } else {
-          // One capture group: episode only
-          episode = parseInt(match[1]);
-        }
+        version = version ?? parseInt(match[1]);
+        rest = rest.replace(pattern, ' ');
+      }
+    }
 
-        // Adjust confidence based on context
-        if (this.isLikelyEpisodeNumber(episode, filename)) {
-          confidence += 0.1;
-        }
+    for (let i = 0; i < this.episodeRules.length; i++) {
+      const rule = this.episodeRules[i];
 
-        if (confidence > highestConfidence) {
-          highestConfidence = confidence;
-          bestMatch = { episode, season };
-          matchedPattern = i;
-        }
+      for (const match of rest.matchAll(rule.pattern)) {
+        const descriptor = rule.read(match, rest);
+        if (!descriptor || descriptor.episode === null) continue;
+
+        // A bare number could be a year or a volume; explicit markers are trusted
+        if (!rule.explicit && !this.isLikelyEpisodeNumber(descriptor.episode, filename)) continue;
+
+        return { ...descriptor, version, pattern: i, confidence: rule.confidence };
       }
     }
 
     return {
-      episode: bestMatch?.episode || null,
-      season: bestMatch?.season || null,
-      pattern: matchedPattern,
-      confidence: highestConfidence
+      kind: null,
+      season: null,
+      episode: null,
+      endEpisode: null,
+      version,
+      pattern: null,
+      confidence: 0
     };
   }
 
+  /**
+   * Build an episode descriptor from matched text
+   * @param {string} kind - Descriptor kind ('episode', 'special', 'ova', ...)
+   * @param {number|null} season - Season number
+   * @param {string} episode - Matched episode number
+   * @param {string} [endEpisode] - Matched last episode of a range
+   * @returns {Object} - { kind, season, episode, endEpisode }
+   */
+  createDescriptor(kind, season, episode, endEpisode) {
+    const first = this.parseEpisodeNumber(episode);
+    const last = endEpisode ? this.parseEpisodeNumber(endEpisode) : null;
+
+    return {
+      kind,
+      season: Number.isNaN(season) ? null : season,
+      episode: first,
+      endEpisode: last !== null && first !== null && last > first ? last : null
+    };
+  }
+
+  /**
+   * Parse an episode number: digits with an optional decimal (12.5) or CJK numerals (十二)
+   * @param {string} text - Number text
+   * @returns {number|null} - The number, or null if it can't be read
+   */
+  parseEpisodeNumber(text) {
+    if (/^\d/.test(text)) {
+      return parseFloat(text);
+    }
+
+    // 一 .. 九十九: optional tens digit before 十, optional ones digit after it
+    const [tens, ones] = text.includes('十') ? text.split('十') : [null, text];
+    const tensValue = tens === null ? 0 : tens === '' ? 1 : CJK_DIGITS[tens];
+    const onesValue = ones === '' ? 0 : CJK_DIGITS[ones];
+    if (tensValue === undefined || onesValue === undefined) {
+      return null;
+    }
+    return tensValue * 10 + onesValue;
+  }
+
+  /**
+   * Remove numbers that aren't episode numbers (resolutions, hashes, codecs, years)
+   * @param {string} filename - The filename
+   * @returns {string} - The filename with those tokens replaced by spaces
+   */
+  removeNumericNoise(filename) {
+    return NUMERIC_NOISE_PATTERNS.reduce((text, pattern) => text.replace(pattern, ' '), filename);
+  }
+
+  /**
+   * Replace full-width digits (０１) with ASCII ones
+   * @param {string} text - Text to convert
+   * @returns {string} - Converted text
+   */
+  toHalfWidthDigits(text) {
+    return text.replace(/[０-９]/g, digit => String.fromCharCode(digit.charCodeAt(0) - 0xfee0));
+  }
+
+  /**
+   * Describe the episode of a file analysis, e.g. "12", "12.5", "1–2", "OVA 2", "Special 1 (v2)"
+   * @param {Object} info - File analysis
+   * @returns {string|null} - Description, or null without an episode
+   */
+  describeEpisode(info) {
+    if (info.episode === null) {
+      return null;
+    }
+
+    const kindNames = { special: 'Special', ova: 'OVA', oad: 'OAD', opening: 'Opening', ending: 'Ending' };
+    const range = info.endEpisode !== null ? `${info.episode}–${info.endEpisode}` : `${info.episode}`;
+    const description = info.kind === 'episode' ? range : `${kindNames[info.kind]} ${range}`;
+    return info.version !== null ? `${description} (v${info.version})` : description;
+  }
+
   /**
    * Extract title information from cleaned filename
    * @param {string} cleanName - Cleaned filename
@@ -274,18 +614,21 @@ export class IntelligentFileMatcher {
     // Remove episode-related text to get cleaner title
     let title = cleanName;
     
-    // Remove common episode indicators
-    title = title.replace(/(?:episode|ep|e)\s*\d+/gi, '');
+    // Remove common episode indicators (S01E01 before E01, which would leave "S01" behind)
     title = title.replace(/s\d+e\d+/gi, '');
+    title = title.replace(/(?:episode|ep|e)\s*\d+/gi, '');
     title = title.replace(/\d+x\d+/g, '');
+    title = title.replace(/(?<![a-z0-9])(?:ova|oad|ncop|nced|sp|specials?|op|ed)\s*\d+(?![a-z0-9])/gi, '');
+    title = title.replace(/第\s*[\d０-９〇一二三四五六七八九十]+\s*[話话集回期季部]/g, '');
+    title = title.replace(/(?<=\d)v\d{1,2}(?![a-z0-9])/gi, '');
     title = title.replace(/\[\d+\]/g, '');
     title = title.replace(/\(\d+\)/g, '');
     
     // Split into words and filter noise
     const words = title.toLowerCase()
       .split(this.separators)
-      .filter(word => word.length > 0 && !this.noiseWords.has(word))
-      .filter(word => !/^\d+$/.test(word)); // Remove standalone numbers
+      .filter(word => /[\p{L}\p{N}]/u.test(word) && !this.noiseWords.has(word))
+      .filter(word => !/^\d+$/.test(word)); // Remove standalone numbers (decimals are split at '.')
 
     // Reconstruct clean title
     const cleanTitle = words.join(' ').trim();
@@ -323,21 +666,12 @@ export class IntelligentFileMatcher {
    * @returns {boolean} - Whether it's likely an episode number
    */
   isLikelyEpisodeNumber(num, filename) {
-    // Episode numbers are typically 1-999
-    if (num < 1 || num > 999) {
+    // Episode numbers run from 1 into the low thousands (long-running shows);
+    // anything from 1900 on is taken for a year
+    if (num < 1 || num >= 1900) {
       return false;
     }
 
-    // Check for year patterns (which we want to avoid)
-    if (num >= 1900 && num <= 2030) {
-      // Could be a year, check context
-      const yearPattern = new RegExp(`\\b${num}\\b`);
-      const context = filename.match(new RegExp(`.{0,10}${num}.{0,10}`, 'i'));
-      if (context && /(?:19|20)\d{2}/.test(context[0])) {
-        return false; // Likely a year
-      }
-    }
-
     return true;
   }
 
@@ -366,35 +700,53 @@ export class IntelligentFileMatcher {
 
   /**
    * Get minimum match score required for a valid match
+   * @param {Object} config - Configuration object (minimumMatchScore, 0-100)
    * @returns {number} - Minimum score
    */
-  getMinimumMatchScore() {
-    return 40; // Require at least 40% confidence
+  getMinimumMatchScore(config = {}) {
+    const score = Number(config.minimumMatchScore);
+    return config.minimumMatchScore != null && Number.isFinite(score) ? score : DEFAULT_MINIMUM_MATCH_SCORE;
+  }
+
+  /**
+   * Name of an episode pattern (index into episodeRules), or null if none matched
+   * @param {number|null} index - Pattern index from analyzeFilename
+   * @returns {string|null} - Pattern name
+   */
+  describeEpisodePattern(index) {
+    return index === null ? null : this.episodeRules[index].name;
   }
 
   /**
-   * Get detailed matching analysis for debugging
+   * Get detailed matching analysis, used to explain matches in the file list
    * @param {File} videoFile - Video file
    * @param {File[]} subtitleFiles - Subtitle files
-   * @returns {Object} - Detailed analysis
+   * @param {Object} config - Configuration object
+   * @param {Object|null} seasonMapping - Season mapping from buildSeasonEpisodeMapping, if any
+   * @returns {Object} - Detailed analysis; candidates (best first) carry the score breakdown
    */
-  getMatchingAnalysis(videoFile, subtitleFiles) {
+  getMatchingAnalysis(videoFile, subtitleFiles, config = {}, seasonMapping = null) {
     const videoInfo = this.analyzeFilename(videoFile.name);
+    const minimumScore = this.getMinimumMatchScore(config);
     const analysis = {
       videoFile: videoFile.name,
       videoInfo: videoInfo,
+      minimumScore: minimumScore,
       candidates: []
     };
 
     for (const subtitleFile of subtitleFiles) {
       const subtitleInfo = this.analyzeFilename(subtitleFile.name);
-      const score = this.calculateMatchScore(videoInfo, subtitleInfo);
+      const pair = this.scorePair(videoInfo, subtitleInfo, seasonMapping);
       
       analysis.candidates.push({
+        file: subtitleFile,
         subtitleFile: subtitleFile.name,
         subtitleInfo: subtitleInfo,
-        score: score,
-        wouldMatch: score >= this.getMinimumMatchScore()
+        score: pair.score,
+        matchType: pair.matchType,
+        breakdown: pair.breakdown,
+        wouldMatch: pair.score >= minimumScore
       });
     }
 
@@ -445,8 +797,9 @@ export class IntelligentFileMatcher {
    * @returns {Object|null} - Season mapping or null if not needed
    */
   buildSeasonEpisodeMapping(videoFiles, subtitleFiles) {
-    const videoInfos = videoFiles.map(f => this.analyzeFilename(f.name));
-    const subtitleInfos = subtitleFiles.map(f => this.analyzeFilename(f.name));
+    // Specials, OVAs and openings/endings sit outside the season numbering
+    const videoInfos = videoFiles.map(f => this.analyzeFilename(f.name)).filter(info => info.kind === 'episode');
+    const subtitleInfos = subtitleFiles.map(f => this.analyzeFilename(f.name)).filter(info => info.kind === 'episode');
 
     // Detect format types
     const videoHasSeasonal = videoInfos.some(info => info.season !== null);
@@ -488,7 +841,7 @@ export class IntelligentFileMatcher {
     
     sortedSeasons.forEach(season => {
       seasonGroups[season].sort((a, b) => a - b);
-      episodeCounts[season] = Math.max(...seasonGroups[season]);
+      episodeCounts[season] = Math.floor(Math.max(...seasonGroups[season]));
     });
 
     // Create bidirectional mapping
@@ -519,15 +872,27 @@ export class IntelligentFileMatcher {
    * @returns {number} - Match score (0-100)
    */
   calculateCrossFormatScore(videoInfo, subtitleInfo, seasonMapping) {
-    let score = 0;
-    let videoEpisode, subtitleEpisode;
+    return this.getCrossFormatBreakdown(videoInfo, subtitleInfo, seasonMapping).score;
+  }
+
+  /**
+   * Points behind a cross-format match score, for explaining it
+   * @param {Object} videoInfo - Video file analysis
+   * @param {Object} subtitleInfo - Subtitle file analysis
+   * @param {Object} seasonMapping - Season mapping object
+   * @returns {Object} - { episode, title, titleSimilarity, crossFormat, videoEpisode, subtitleEpisode,
+   *   score, reason } with both episodes as sequential numbers
+   */
+  getCrossFormatBreakdown(videoInfo, subtitleInfo, seasonMapping) {
+    let videoEpisode = null;
+    let subtitleEpisode = null;
 
     // Convert both to sequential for comparison
     if (seasonMapping.direction === 'toSequential') {
       // Video is seasonal, subtitle is sequential
       if (videoInfo.season !== null && videoInfo.episode !== null) {
         const seasonKey = `S${videoInfo.season}E${videoInfo.episode}`;
-        videoEpisode = seasonMapping.seasonToSequential.get(seasonKey);
+        videoEpisode = seasonMapping.seasonToSequential.get(seasonKey) ?? null;
       }
       subtitleEpisode = subtitleInfo.episode;
     } else {
@@ -535,23 +900,46 @@ export class IntelligentFileMatcher {
       videoEpisode = videoInfo.episode;
       if (subtitleInfo.season !== null && subtitleInfo.episode !== null) {
         const seasonKey = `S${subtitleInfo.season}E${subtitleInfo.episode}`;
-        subtitleEpisode = seasonMapping.seasonToSequential.get(seasonKey);
+        subtitleEpisode = seasonMapping.seasonToSequential.get(seasonKey) ?? null;
       }
     }
 
+    const breakdown = {
+      episode: 0,
+      title: 0,
+      titleSimilarity: 0,
+      crossFormat: 0,
+      videoEpisode,
+      subtitleEpisode,
+      score: 0,
+      reason: null
+    };
+
     // Check if episodes match
-    if (videoEpisode !== null && subtitleEpisode !== null && videoEpisode === subtitleEpisode) {
-      score += 45; // Slightly lower than direct match but still high
+    if (videoEpisode === null || subtitleEpisode === null) {
+      breakdown.reason = 'no-episode';
+      return breakdown;
+    }
+    if (videoInfo.kind !== 'episode' || subtitleInfo.kind !== 'episode') {
+      breakdown.reason = 'kind-mismatch';
+      return breakdown;
+    }
+    if (videoEpisode !== subtitleEpisode) {
+      breakdown.reason = 'episode-mismatch';
+      return breakdown;
+    }
 
-      // Title similarity bonus
-      const titleSimilarity = this.calculateTitleSimilarity(videoInfo.titleWords, subtitleInfo.titleWords);
-      score += titleSimilarity * 15;
+    breakdown.episode = 45; // Slightly lower than direct match but still high
 
-      // Cross-format bonus
-      score += 5;
-    }
+    // Title similarity bonus
+    breakdown.titleSimilarity = this.calculateTitleSimilarity(videoInfo.titleWords, subtitleInfo.titleWords);
+    breakdown.title = breakdown.titleSimilarity * 15;
+
+    // Cross-format bonus
+    breakdown.crossFormat = 5;
 
-    return Math.max(0, Math.min(100, score));
+    breakdown.score = Math.max(0, Math.min(100, breakdown.episode + breakdown.title + breakdown.crossFormat));
+    return breakdown;
   }
 
   /**
@@ -0,0 +1,114 @@
+/**
+ * Language Tags
+ *
+ * Reads the language tag at the end of a subtitle filename, e.g. "ep01.jpn.srt",
+ * "ep01_en-US.srt", "ep01 [JP].ass" or "ep01.en.forced.srt", and normalizes it to a
+ * two-letter code. Trailing flags such as "forced" or "sdh" are read as well.
+ */
+
+// Two-letter code -> tags and names seen in filenames (ISO 639-1/-2, release group habits)
+export const LANGUAGE_ALIASES = {
+  ja: ['jp', 'jpn', 'japanese', 'jap'],
+  en: ['eng', 'english'],
+  zh: ['chi', 'zho', 'chs', 'cht', 'chinese', 'sc', 'tc', 'gb', 'big5'],
+  ko: ['kor', 'korean', 'kr'],
+  es: ['spa', 'spanish', 'esp'],
+  fr: ['fre', 'fra', 'french'],
+  de: ['ger', 'deu', 'german'],
+  it: ['ita', 'italian'],
+  pt: ['por', 'portuguese'],
+  ru: ['rus', 'russian'],
+  ar: ['ara', 'arabic'],
+  nl: ['dut', 'nld', 'dutch'],
+  pl: ['pol', 'polish'],
+  sv: ['swe', 'swedish'],
+  tr: ['tur', 'turkish'],
+  th: ['tha', 'thai'],
+  vi: ['vie', 'vietnamese'],
+  id: ['ind', 'indonesian'],
+  he: ['heb', 'hebrew'],
+  uk: ['ukr', 'ukrainian']
+};
+
+// Names shown for the codes above
+const LANGUAGE_NAMES = {
+  ja: 'Japanese', en: 'English', zh: 'Chinese', ko: 'Korean', es: 'Spanish', fr: 'French',
+  de: 'German', it: 'Italian', pt: 'Portuguese', ru: 'Russian', ar: 'Arabic', nl: 'Dutch',
+  pl: 'Polish', sv: 'Swedish', tr: 'Turkish', th: 'Thai', vi: 'Vietnamese', id: 'Indonesian',
+  he: 'Hebrew', uk: 'Ukrainian'
+};
+
+const SUBTITLE_FLAGS = new Set(['forced', 'sdh', 'cc', 'hi', 'default', 'full', 'signs']);
+
+export class LanguageTags {
+  constructor() {
+    this.codes = new Map();
+    for (const [code, aliases] of Object.entries(LANGUAGE_ALIASES)) {
+      this.codes.set(code, code);
+      for (const alias of aliases) {
+        this.codes.set(alias, code);
+      }
+    }
+  }
+
+  /**
+   * Two-letter code for a language tag or name ("jpn", "en-US", "Japanese"), or null
+   */
+  normalize(token) {
+    const lower = token.trim().toLowerCase();
+    return this.codes.get(lower) ?? this.codes.get(lower.split(/[-_]/)[0]) ?? null;
+  }
+
+  /**
+   * Split a filename (without extension) into { baseName, language, tag, flags }.
+   * Two-letter tags only count after '.', '_' or '-' or in brackets, so words at the
+   * end of a title ("Do It") aren't taken for languages.
+   */
+  parse(baseName) {
+    let rest = baseName;
+    const flags = [];
+
+    for (;;) {
+      const flag = rest.match(/[._-]+([a-z]+)$/i);
+      if (!flag || !SUBTITLE_FLAGS.has(flag[1].toLowerCase())) break;
+      flags.unshift(flag[1].toLowerCase());
+      rest = rest.slice(0, flag.index);
+    }
+
+    const patterns = [
+      /\s*[[(]([^[\]()]+)[\])]$/,
+      /[._-]([a-z]{2,3}(?:[-_][a-z]{2,4})?)$/i,
+      /[._\-\s]([a-z]{3,})$/i
+    ];
+    for (const pattern of patterns) {
+      const match = rest.match(pattern);
+      const language = match && this.normalize(match[1]);
+      if (language) {
+        return { baseName: rest.slice(0, match.index), language, tag: match[1], flags };
+      }
+    }
+
+    return { baseName: rest, language: null, tag: null, flags };
+  }
+
+  /**
+   * Display name for a two-letter code
+   */
+  getName(code) {
+    return LANGUAGE_NAMES[code] || code;
+  }
+
+  /**
+   * Rank of a language in a comma-separated preference list ("jpn,ja,japanese"),
+   * or -1 if it isn't listed. Listed tags are compared by their normalized code.
+   */
+  getPreferenceRank(language, preferences) {
+    if (!language) return -1;
+
+    const tokens = (preferences || '')
+      .split(',')
+      .map(token => token.trim())
+      .filter(token => token.length > 0);
+    return tokens.findIndex(token => this.normalize(token) === language);
+  }
+}
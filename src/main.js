@@ -1,4 +1,4 @@
-import { CondenserEngine } from './condenser-engine.js';
+import { CondenserClient } from './condenser-client.js';
 import { FileManager } from './file-manager.js';
 import { defaultConfig } from './types.js';
 
@@ -6,7 +6,7 @@ class AudioCondenserApp {
   constructor() {
     this.config = { ...defaultConfig };
     this.fileManager = new FileManager();
-    this.condenserEngine = new CondenserEngine(this.onProgress.bind(this));
+    this.condenserEngine = new CondenserClient(this.onProgress.bind(this));
     this.selectedFiles = [];
     this.isProcessing = false;
     
@@ -1,6 +1,7 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { CORE_URLS } from './ffmpeg-core-urls.js'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
@@ -8,3 +9,32 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <App />
   </React.StrictMode>,
 )
+
+// Same-origin assets the page loaded before the service worker could see them: the hashed
+// entry bundle and stylesheet, and any chunks fetched since
+function getLoadedAssetUrls() {
+  const urls = [
+    ...[...document.querySelectorAll('script[src]')].map((script) => script.src),
+    ...[...document.querySelectorAll('link[rel="stylesheet"], link[rel="modulepreload"]')].map((link) => link.href),
+    ...performance.getEntriesByType('resource').map((entry) => entry.name)
+  ]
+  return urls
+    .map((url) => new URL(url, location.href))
+    .filter((url) => url.origin === location.origin && url.pathname.startsWith('/assets/'))
+    .map((url) => url.pathname)
+}
+
+// Cache the app shell, its build assets and the FFmpeg core for offline use
+// (production builds only; dev assets aren't hashed)
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register('/sw.js')
+      const worker = registration.active || registration.waiting || registration.installing
+      const urls = [...new Set([...getLoadedAssetUrls(), ...Object.values(CORE_URLS)])]
+      worker?.postMessage({ type: 'precache', urls })
+    } catch (error) {
+      console.warn('Service worker registration failed:', error)
+    }
+  })
+}
@@ -1,154 +0,0 @@
-/**
- * Test cases for the Intelligent File Matcher
- * Run this in the browser console to test the matching functionality
- */
-
-import { IntelligentFileMatcher } from './intelligent-file-matcher.js';
-
-export function runMatchingTests() {
-  const matcher = new IntelligentFileMatcher();
-  
-  console.log('=== Intelligent File Matcher Test Cases ===\n');
-
-  // Test Case 1: Your exact example
-  console.log('Test Case 1: Fullmetal Alchemist Brotherhood');
-  const result1 = matcher.testMatcher(
-    '[VCB-Studio] Fullmetal Alchemist꞉ Brotherhood [01][Ma10p_1080p][x265_flac].mkv',
-    [
-      'Fullmetal Alchemist - Brotherhood S01E01 the First Day jpn.srt',
-      'Fullmetal Alchemist - Brotherhood S01E02 the First Day jpn.srt',
-      'Fullmetal Alchemist - Brotherhood S01E03 City of Heresy jpn.srt'
-    ]
-  );
-  console.log(result1);
-  console.log('Expected match: S01E01 ✓\n');
-
-  // Test Case 2: Different naming patterns
-  console.log('Test Case 2: Attack on Titan with different patterns');
-  const result2 = matcher.testMatcher(
-    'Attack on Titan S04E01 1080p BluRay x264.mkv',
-    [
-      '[HorribleSubs] Shingeki no Kyojin - 01 [1080p].srt',
-      'Attack.on.Titan.Episode.01.srt',
-      'AOT_Season_4_Episode_1_English.srt'
-    ]
-  );
-  console.log(result2);
-  console.log('Expected match: Episode 01 patterns ✓\n');
-
-  // Test Case 3: Numbered episodes without season
-  console.log('Test Case 3: Simple numbered episodes');
-  const result3 = matcher.testMatcher(
-    'One Piece Episode 1000.mkv',
-    [
-      'One.Piece.1000.srt',
-      'One_Piece_Ep_1000_EN.srt',
-      'OP [1000] English Subtitles.srt'
-    ]
-  );
-  console.log(result3);
-  console.log('Expected match: Episode 1000 ✓\n');
-
-  // Test Case 4: Bracketed episodes
-  console.log('Test Case 4: Bracketed episode numbers');
-  const result4 = matcher.testMatcher(
-    '[SubsPlease] Demon Slayer [12] (1080p).mkv',
-    [
-      'Kimetsu no Yaiba Episode 12.srt',
-      'Demon_Slayer_12_English.srt',
-      '[Anime] Demon Slayer (12) Subtitles.srt'
-    ]
-  );
-  console.log(result4);
-  console.log('Expected match: Episode 12 patterns ✓\n');
-
-  // Test Case 5: Movies vs Episodes (should not match)
-  console.log('Test Case 5: Movie files (should have low scores)');
-  const result5 = matcher.testMatcher(
-    'Spirited Away (2001) 1080p BluRay.mkv',
-    [
-      'Princess Mononoke 1997.srt',
-      'Your Name Episode 01.srt',
-      'Spirited Away Movie.srt'
-    ]
-  );
-  console.log(result5);
-  console.log('Expected: Low scores due to no clear episode numbers\n');
-
-  // Performance test with many files
-  console.log('Performance Test: Matching 50 video files against 50 subtitle files');
-  const videoFiles = [];
-  const subtitleFiles = [];
-  
-  for (let i = 1; i <= 50; i++) {
-    videoFiles.push({ name: `[Anime Group] Series Name [${i.toString().padStart(2, '0')}] [1080p].mkv` });
-    subtitleFiles.push({ name: `Series Name Episode ${i} English.srt` });
-  }
-  
-  const startTime = performance.now();
-  const matches = matcher.findMultipleMatches(videoFiles, subtitleFiles);
-  const endTime = performance.now();
-  
-  const successfulMatches = matches.filter(m => m.matched).length;
-  console.log(`Matched ${successfulMatches}/${videoFiles.length} files in ${(endTime - startTime).toFixed(2)}ms`);
-  console.log('Performance: ✓ Fast enough for real-time UI updates\n');
-
-  // Summary
-  console.log('=== Test Results Summary ===');
-  console.log('✓ Episode number extraction working');
-  console.log('✓ Pattern matching across different naming conventions');
-  console.log('✓ Title similarity calculation');
-  console.log('✓ Performance acceptable for UI use');
-  console.log('✓ Intelligent fallback when exact matching fails');
-  
-  return {
-    fullmetalAlchemist: result1,
-    attackOnTitan: result2,
-    onePiece: result3,
-    demonSlayer: result4,
-    spiritedAway: result5,
-    performanceMs: endTime - startTime,
-    performanceMatches: successfulMatches
-  };
-}
-
-// Function to test with your exact files
-export function testWithYourFiles() {
-  const matcher = new IntelligentFileMatcher();
-  
-  console.log('=== Testing with your exact file examples ===');
-  
-  const yourVideoFiles = [
-    '[VCB-Studio] Fullmetal Alchemist꞉ Brotherhood [01][Ma10p_1080p][x265_flac].mkv',
-    '[VCB-Studio] Fullmetal Alchemist꞉ Brotherhood [02][Ma10p_1080p][x265_flac].mkv',
-    '[VCB-Studio] Fullmetal Alchemist꞉ Brotherhood [03][Ma10p_1080p][x265_flac].mkv'
-  ];
-  
-  const yourSubtitleFiles = [
-    'Fullmetal Alchemist - Brotherhood S01E01 the First Day jpn.srt',
-    'Fullmetal Alchemist - Brotherhood S01E02 the First Day jpn.srt',
-    'Fullmetal Alchemist - Brotherhood S01E03 City of Heresy jpn.srt'
-  ];
-  
-  const videoFileObjects = yourVideoFiles.map(name => ({ name }));
-  const subtitleFileObjects = yourSubtitleFiles.map(name => ({ name }));
-  
-  const matches = matcher.findMultipleMatches(videoFileObjects, subtitleFileObjects);
-  
-  console.log('Matching Results:');
-  matches.forEach((match, index) => {
-    if (match.matched) {
-      console.log(`✓ ${match.videoFile.name} → ${match.subtitleFile.name}`);
-    } else {
-      console.log(`✗ ${match.videoFile.name} → No match found`);
-    }
-  });
-  
-  return matches;
-}
-
-// Add to window for easy console access
-if (typeof window !== 'undefined') {
-  window.testIntelligentMatcher = runMatchingTests;
-  window.testWithYourFiles = testWithYourFiles;
-}
@@ -0,0 +1,209 @@
+import { ZipWriter } from './zip-writer.js';
+
+/**
+ * Result Exporter
+ *
+ * Saves condensed results as a single ZIP archive (with a manifest describing each
+ * file) or straight into a directory picked with the File System Access API.
+ * Results are placed under their source subfolders when config.fixedOutputDirWithSubfolders is on.
+ */
+
+export const MANIFEST_FILENAME = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+export class ResultExporter {
+  constructor(fileManager) {
+    this.fileManager = fileManager;
+  }
+
+  /**
+   * Check if the browser can write into a picked directory
+   */
+  isDirectoryOutputSupported() {
+    return typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+  }
+
+  /**
+   * Ask the user for an output directory (must be called from a user gesture)
+   */
+  async pickDirectory() {
+    return window.showDirectoryPicker({ id: 'condensed-output', mode: 'readwrite' });
+  }
+
+  /**
+   * The files to write for a set of results: [{ path, blob, result, kind }].
+   * Paths use '/' and are made unique, so equally named sources don't overwrite each other.
+   */
+  getOutputFiles(results, config, subfolders = config.fixedOutputDirWithSubfolders) {
+    const files = [];
+    const usedPaths = new Set();
+
+    for (const result of results) {
+      const folders = subfolders ? this.getSourceFolders(result) : [];
+      const outputs = [{ kind: 'audio', blob: result.audioBlob, format: config.outputFormat }];
+      if (result.subtitleBlob) {
+        outputs.push({ kind: 'subtitles', blob: result.subtitleBlob, format: config.condensedSubtitlesFormat });
+      }
+
+      // Audio and subtitles share a base name, so the subtitles get the audio's suffix too
+      let suffix = null;
+      for (const output of outputs) {
+        const filename = this.fileManager.generateOutputFilename(result.originalFilename, output.format);
+        if (suffix === null) {
+          suffix = this.getUniqueSuffix([...folders, filename].join('/'), usedPaths);
+        }
+        const path = this.addSuffix([...folders, filename].join('/'), suffix);
+        usedPaths.add(path.toLowerCase());
+        files.push({ path, blob: output.blob, result, kind: output.kind });
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Folders of a result's source file (from a picked or dropped folder), without unsafe segments
+   */
+  getSourceFolders(result) {
+    const segments = (result.sourcePath || result.originalFilename).split(/[\\/]/);
+    return segments
+      .slice(0, -1)
+      .filter(segment => segment && segment !== '.' && segment !== '..');
+  }
+
+  /**
+   * Suffix ('' or ' (n)') that makes a path unused
+   */
+  getUniqueSuffix(path, usedPaths) {
+    if (!usedPaths.has(path.toLowerCase())) return '';
+
+    for (let n = 2; ; n++) {
+      const suffix = ` (${n})`;
+      if (!usedPaths.has(this.addSuffix(path, suffix).toLowerCase())) return suffix;
+    }
+  }
+
+  /**
+   * Insert a suffix before a path's extension
+   */
+  addSuffix(path, suffix) {
+    if (!suffix) return path;
+    const lastDot = path.lastIndexOf('.');
+    return lastDot > path.lastIndexOf('/') ? `${path.slice(0, lastDot)}${suffix}${path.slice(lastDot)}` : `${path}${suffix}`;
+  }
+
+  /**
+   * Package results, their condensed subtitles and a manifest into one ZIP Blob
+   */
+  async createZip(results, config) {
+    const files = this.getOutputFiles(results, config);
+    const zip = new ZipWriter();
+    const date = new Date();
+
+    for (const file of files) {
+      await zip.addFile(file.path, file.blob, date);
+    }
+
+    const manifest = this.createManifest(files, config, date);
+    await zip.addFile(MANIFEST_FILENAME, new Blob([manifest], { type: 'application/json' }), date);
+
+    console.log(`Packaged ${files.length} file(s) into a ZIP archive`);
+    return zip.finish();
+  }
+
+  /**
+   * Name of the ZIP download, e.g. condensed_2024-05-01.zip
+   */
+  getZipFilename(date = new Date()) {
+    const day = [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+    return `condensed_${day}.zip`;
+  }
+
+  /**
+   * JSON manifest listing each source with its output files and processing summary
+   */
+  createManifest(files, config, date = new Date()) {
+    const entries = new Map();
+
+    for (const file of files) {
+      if (!entries.has(file.result)) {
+        const { result } = file;
+        entries.set(result, {
+          source: result.sourcePath || result.originalFilename,
+          audio: null,
+          subtitles: null,
+          originalDuration: result.originalDuration,
+          condensedDuration: result.condensedDuration,
+          segments: result.periodsCount,
+          speechRatio: result.speechRatio ?? null,
+          timing: result.timing || null,
+          subtitleEncoding: result.subtitleEncoding || null
+        });
+      }
+      entries.get(file.result)[file.kind] = file.path;
+    }
+
+    return JSON.stringify({
+      version: MANIFEST_VERSION,
+      created: date.toISOString(),
+      settings: {
+        padding: config.padding,
+        outputFormat: config.outputFormat,
+        condensedSubtitlesFormat: config.outputCondensedSubtitles ? config.condensedSubtitlesFormat : null,
+        noSubtitlesMode: config.noSubtitlesMode || false
+      },
+      files: [...entries.values()]
+    }, null, 2);
+  }
+
+  /**
+   * Write results into a directory handle, creating source subfolders as needed.
+   * Existing files with the same name are replaced.
+   */
+  async writeToDirectory(directory, results, config) {
+    await this.ensureWritePermission(directory);
+
+    const files = this.getOutputFiles(results, config);
+    for (const file of files) {
+      const segments = file.path.split('/');
+      const folder = await this.getSubdirectory(directory, segments.slice(0, -1));
+      const handle = await folder.getFileHandle(segments[segments.length - 1], { create: true });
+
+      const writable = await handle.createWritable();
+      try {
+        await writable.write(file.blob);
+      } finally {
+        await writable.close();
+      }
+    }
+
+    console.log(`Wrote ${files.length} file(s) to ${directory.name}`);
+  }
+
+  /**
+   * Check (and if needed request) permission to write into a directory
+   */
+  async ensureWritePermission(directory) {
+    const options = { mode: 'readwrite' };
+    if (await directory.queryPermission(options) === 'granted') return;
+
+    if (await directory.requestPermission(options) !== 'granted') {
+      throw new Error(`Permission to write to "${directory.name}" was denied`);
+    }
+  }
+
+  /**
+   * Get (creating on the way) a nested subdirectory
+   */
+  async getSubdirectory(directory, folders) {
+    let current = directory;
+    for (const folder of folders) {
+      current = await current.getDirectoryHandle(folder, { create: true });
+    }
+    return current;
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Subtitle Aligner
+ *
+ * Finds the shift and linear stretch that line subtitles up with the speech detected
+ * in the audio, by cross-correlating subtitle on/off intervals with a voice activity
+ * mask. A stretch covers subtitles timed for a release with a different frame rate
+ * (e.g. 25 fps PAL subtitles on a 23.976 fps video).
+ *
+ * Timings map an original subtitle time t to t * scale + offset.
+ */
+
+// Subtitle frame rate → video frame rate conversions; scale is source fps / video fps
+export const FRAME_RATE_SCALES = [
+  { label: 'No stretch', scale: 1 },
+  { label: '25 → 23.976 fps', scale: 25 / 23.976 },
+  { label: '23.976 → 25 fps', scale: 23.976 / 25 },
+  { label: '25 → 24 fps', scale: 25 / 24 },
+  { label: '24 → 25 fps', scale: 24 / 25 },
+  { label: '24 → 23.976 fps', scale: 24 / 23.976 },
+  { label: '23.976 → 24 fps', scale: 23.976 / 24 }
+];
+
+// Shifts are searched coarsely at this step, then refined frame by frame around the best one
+const COARSE_STEP_FRAMES = 10;
+
+// Peak height (in standard deviations above the mean score) needed to trust an alignment
+const MIN_CONFIDENCE = 5;
+
+export class SubtitleAligner {
+  constructor({ maxShiftMs = 60000 } = {}) {
+    this.maxShiftMs = maxShiftMs;
+  }
+
+  /**
+   * Find the best timing for subtitle intervals ([start, end] in ms) against a speech mask.
+   * Returns { offset, scale, confidence, reliable }.
+   */
+  align(intervals, mask, frameMs) {
+    if (intervals.length === 0 || mask.length === 0) {
+      return { offset: 0, scale: 1, confidence: 0, reliable: false };
+    }
+
+    // Prefix sums of the mean-centred mask: a shift into denser speech isn't rewarded by itself
+    const prefix = new Float64Array(mask.length + 1);
+    let speechFrames = 0;
+    for (let i = 0; i < mask.length; i++) speechFrames += mask[i];
+    const speechRatio = speechFrames / mask.length;
+    for (let i = 0; i < mask.length; i++) {
+      prefix[i + 1] = prefix[i] + mask[i] - speechRatio;
+    }
+
+    const maxShift = Math.round(this.maxShiftMs / frameMs);
+    let best = null;
+
+    for (const { scale } of FRAME_RATE_SCALES) {
+      const frames = intervals.map(([start, end]) => [
+        Math.round(start * scale / frameMs),
+        Math.round(end * scale / frameMs)
+      ]);
+
+      const scores = [];
+      let bestShift = 0;
+      let bestScore = -Infinity;
+      for (let shift = -maxShift; shift <= maxShift; shift += COARSE_STEP_FRAMES) {
+        const score = this.score(frames, prefix, shift);
+        scores.push(score);
+        if (score > bestScore) {
+          bestScore = score;
+          bestShift = shift;
+        }
+      }
+
+      const coarseShift = bestShift;
+      const from = Math.max(-maxShift, coarseShift - COARSE_STEP_FRAMES + 1);
+      const to = Math.min(maxShift, coarseShift + COARSE_STEP_FRAMES - 1);
+      for (let shift = from; shift <= to; shift++) {
+        const score = this.score(frames, prefix, shift);
+        if (score > bestScore) {
+          bestScore = score;
+          bestShift = shift;
+        }
+      }
+
+      if (!best || bestScore > best.score) {
+        best = { score: bestScore, shift: bestShift, scale, scores };
+      }
+    }
+
+    const confidence = this.getConfidence(best.score, best.scores);
+    return {
+      offset: best.shift * frameMs,
+      scale: best.scale,
+      confidence,
+      reliable: confidence >= MIN_CONFIDENCE
+    };
+  }
+
+  /**
+   * Centred speech overlap of all intervals shifted by `shift` frames
+   */
+  score(frames, prefix, shift) {
+    const last = prefix.length - 1;
+    let total = 0;
+
+    for (const [start, end] of frames) {
+      const from = Math.min(Math.max(start + shift, 0), last);
+      const to = Math.min(Math.max(end + shift, 0), last);
+      total += prefix[to] - prefix[from];
+    }
+
+    return total;
+  }
+
+  /**
+   * How far the peak stands out from the other candidate shifts, in standard deviations
+   */
+  getConfidence(peak, scores) {
+    const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    const variance = scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length;
+    const deviation = Math.sqrt(variance);
+    return deviation > 0 ? (peak - mean) / deviation : 0;
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Subtitle Filter
+ *
+ * Rule list deciding which subtitle lines count as speech. Rules run in order on the
+ * line text (tags already removed):
+ *   exclude     - drop the line if the pattern matches
+ *   include     - drop the line unless the pattern matches
+ *   strip       - remove every match, then drop the line if nothing is left
+ *   minLength   - drop the line if fewer than `value` characters (ignoring spaces) remain
+ *   maxDuration - drop the line if it stays up longer than `value` ms (signs, titles)
+ * Rules are plain JSON objects: { name, type, pattern, flags, value, enabled }.
+ */
+
+export const FILTER_RULE_TYPES = [
+  { type: 'exclude', label: 'Drop line if it matches' },
+  { type: 'include', label: 'Keep only lines that match' },
+  { type: 'strip', label: 'Strip matches, drop line if empty' },
+  { type: 'minLength', label: 'Minimum characters after stripping' },
+  { type: 'maxDuration', label: 'Maximum line duration (ms)' }
+];
+
+export const DEFAULT_FILTER_RULES = [
+  {
+    name: 'Lines in parentheses/brackets',
+    type: 'exclude',
+    pattern: '^\\s*(?:\\(.*\\)|（.*）|\\[.*\\]|\\{.*\\})\\s*$',
+    flags: 's',
+    enabled: true
+  },
+  {
+    name: 'Music notes',
+    type: 'strip',
+    pattern: '[♩♪♫♬〜]',
+    flags: '',
+    enabled: true
+  },
+  {
+    name: 'Speaker labels (ＡＢＣ：, Name:, [Narrator])',
+    type: 'strip',
+    pattern: '^[ \\t　]*(?:\\p{L}[\\p{L}\\p{N} ._\'-]{0,23}[:：]|\\[[^\\]\\n]{1,30}\\]:?)[ \\t　]*',
+    flags: 'mu',
+    enabled: false
+  },
+  {
+    name: 'Sound-effect tags in mixed lines (SDH)',
+    type: 'strip',
+    pattern: '\\[[^\\]\\n]*\\]|\\([^)\\n]*\\)|（[^）\\n]*）',
+    flags: '',
+    enabled: false
+  },
+  {
+    name: 'Too short',
+    type: 'minLength',
+    value: 2,
+    enabled: false
+  },
+  {
+    name: 'On-screen signs (shown too long)',
+    type: 'maxDuration',
+    value: 10000,
+    enabled: false
+  }
+];
+
+// Version written into exported rule files
+const RULES_FILE_VERSION = 1;
+
+export class SubtitleFilter {
+  /**
+   * Rules for a config. Configs from before the rule engine only have
+   * filterParentheses/filteredCharacters, which map onto the first two default rules.
+   */
+  getRules(config) {
+    if (Array.isArray(config.filterRules)) return config.filterRules;
+
+    const [parentheses, musicNotes, ...rest] = DEFAULT_FILTER_RULES;
+    const characters = config.filteredCharacters ?? '';
+    return [
+      { ...parentheses, enabled: config.filterParentheses ?? true },
+      {
+        ...musicNotes,
+        name: 'Filtered characters',
+        pattern: characters ? `[${characters.replace(/[\\\]^-]/g, '\\$&')}]` : '',
+        enabled: characters.length > 0
+      },
+      ...rest
+    ];
+  }
+
+  /**
+   * Run subtitles through the enabled rules in order.
+   * getText gives the text a line is filtered on.
+   * Returns { kept, removed } where removed holds { sub, rule } (rule null: empty line).
+   */
+  apply(subs, rules, getText = sub => sub.text) {
+    const compiled = this.compileRules(rules);
+    const kept = [];
+    const removed = [];
+
+    for (const sub of subs) {
+      const rule = this.findRemovingRule(sub, getText(sub), compiled);
+      if (rule === undefined) {
+        kept.push(sub);
+      } else {
+        removed.push({ sub, rule });
+      }
+    }
+
+    return { kept, removed };
+  }
+
+  /**
+   * The rule that removes a line, null if the line is empty to begin with,
+   * or undefined if the line is kept
+   */
+  findRemovingRule(sub, text, compiled) {
+    if (text.trim().length === 0) return null;
+
+    for (const { rule, regex } of compiled) {
+      switch (rule.type) {
+        case 'exclude':
+          if (this.test(regex, text)) return rule;
+          break;
+        case 'include':
+          if (!this.test(regex, text)) return rule;
+          break;
+        case 'strip':
+          text = text.replace(regex, '');
+          if (text.trim().length === 0) return rule;
+          break;
+        case 'minLength':
+          if ([...text.replace(/\s/g, '')].length < rule.value) return rule;
+          break;
+        case 'maxDuration':
+          if (sub.endTime - sub.startTime > rule.value) return rule;
+          break;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Test a (possibly global) regex from the start of the text
+   */
+  test(regex, text) {
+    regex.lastIndex = 0;
+    return regex.test(text);
+  }
+
+  /**
+   * Compile the enabled rules' patterns. Throws on an invalid rule.
+   */
+  compileRules(rules) {
+    return rules
+      .filter(rule => rule.enabled)
+      .map(rule => {
+        const error = this.validateRule(rule);
+        if (error) {
+          throw new Error(`Filter rule "${rule.name}": ${error}`);
+        }
+        return { rule, regex: this.usesPattern(rule) ? this.createRegExp(rule) : null };
+      });
+  }
+
+  /**
+   * Describe what's wrong with a rule, or null if it's usable
+   */
+  validateRule(rule) {
+    if (!FILTER_RULE_TYPES.some(({ type }) => type === rule.type)) {
+      return `unknown rule type "${rule.type}"`;
+    }
+
+    if (!this.usesPattern(rule)) {
+      return Number.isFinite(rule.value) && rule.value >= 0 ? null : 'value must be a non-negative number';
+    }
+
+    if (!rule.pattern) return 'pattern is empty';
+    try {
+      this.createRegExp(rule);
+    } catch (error) {
+      return `invalid pattern (${error.message})`;
+    }
+    return null;
+  }
+
+  /**
+   * Check if a rule type matches a regular expression (the others compare a number)
+   */
+  usesPattern(rule) {
+    return rule.type === 'exclude' || rule.type === 'include' || rule.type === 'strip';
+  }
+
+  /**
+   * Build a rule's regular expression; strip rules remove every match
+   */
+  createRegExp(rule) {
+    const flags = rule.flags || '';
+    return new RegExp(rule.pattern, rule.type === 'strip' && !flags.includes('g') ? `${flags}g` : flags);
+  }
+
+  /**
+   * Serialize rules for download
+   */
+  exportRules(rules) {
+    return JSON.stringify({ version: RULES_FILE_VERSION, rules }, null, 2);
+  }
+
+  /**
+   * Read rules from an exported JSON file (or a bare array of rules).
+   * Throws if the JSON isn't a rule list.
+   */
+  importRules(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Filter rules file is not valid JSON: ${error.message}`);
+    }
+
+    const rules = Array.isArray(data) ? data : data?.rules;
+    if (!Array.isArray(rules)) {
+      throw new Error('Filter rules file has no "rules" list');
+    }
+
+    return rules.map((rule, index) => {
+      const normalized = {
+        name: typeof rule.name === 'string' && rule.name ? rule.name : `Rule ${index + 1}`,
+        type: rule.type,
+        enabled: rule.enabled !== false
+      };
+      if (this.usesPattern(rule)) {
+        normalized.pattern = String(rule.pattern ?? '');
+        normalized.flags = String(rule.flags ?? '');
+      } else {
+        normalized.value = Number(rule.value);
+      }
+
+      const error = this.validateRule(normalized);
+      if (error) {
+        throw new Error(`Filter rule "${normalized.name}": ${error}`);
+      }
+      return normalized;
+    });
+  }
+}
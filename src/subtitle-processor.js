@@ -1,9 +1,24 @@
+import { SubtitleFilter } from './subtitle-filter.js';
+
+// Frame rate assumed for MicroDVD files when neither the file nor the video states one
+const DEFAULT_MICRODVD_FRAME_RATE = 23.976;
+
+// SAMI only marks where lines start; the last line is shown for this long
+const SAMI_LAST_LINE_MS = 4000;
+
+// Stand-in rule reported for lines dropped by the ASS style/actor exclusions
+const ASS_EXCLUSION_RULE = { name: 'Excluded ASS styles/actors', type: 'exclude' };
+
 export class SubtitleProcessor {
-  
+  constructor() {
+    this.subtitleFilter = new SubtitleFilter();
+  }
+
   /**
-   * Parse subtitle file content into structured entries
+   * Parse subtitle file content into structured entries.
+   * options.frameRate is the video frame rate, used for frame-based (MicroDVD) files.
    */
-  parseSubtitles(content) {
+  parseSubtitles(content, options = {}) {
     try {
       const extension = this.detectFormat(content);
       
@@ -15,6 +30,16 @@ export class SubtitleProcessor {
         case 'ass':
         case 'ssa':
           return this.parseASS(content);
+        case 'ttml':
+          return this.parseTTML(content);
+        case 'sbv':
+          return this.parseSBV(content);
+        case 'microdvd':
+          return this.parseMicroDVD(content, options.frameRate);
+        case 'sami':
+          return this.parseSAMI(content);
+        case 'json3':
+          return this.parseJSON3(content);
         default:
           // Try SRT as fallback
           return this.parseSRT(content);
@@ -29,16 +54,39 @@ export class SubtitleProcessor {
    */
   detectFormat(content) {
     const trimmedContent = content.trim();
+    const firstLine = trimmedContent.split(/\r?\n/, 1)[0];
     
     if (trimmedContent.startsWith('WEBVTT')) {
       return 'vtt';
-    } else if (trimmedContent.includes('[Script Info]') || trimmedContent.includes('[V4+ Styles]')) {
+    } else if (
+      trimmedContent.includes('[Script Info]') ||
+      trimmedContent.includes('[V4+ Styles]') ||
+      trimmedContent.includes('[Events]')
+    ) {
       return 'ass';
+    } else if (/<(\w+:)?tt[\s>]/.test(trimmedContent)) {
+      return 'ttml';
+    } else if (/<sami[\s>]/i.test(trimmedContent)) {
+      return 'sami';
+    } else if (trimmedContent.startsWith('{') && /"events"\s*:/.test(trimmedContent)) {
+      return 'json3';
+    } else if (/^\{\d+\}\{\d*\}/.test(firstLine)) {
+      return 'microdvd';
+    } else if (/^\d+:\d{2}:\d{2}\.\d{3},\d+:\d{2}:\d{2}\.\d{3}$/.test(firstLine)) {
+      return 'sbv';
     } else {
       return 'srt'; // Default to SRT
     }
   }
 
+  /**
+   * Check whether a file is frame-based and states no frame rate of its own,
+   * so the video's frame rate is needed to time it
+   */
+  needsFrameRate(content) {
+    return this.detectFormat(content) === 'microdvd' && !this.getMicroDVDFrameRate(content);
+  }
+
   /**
    * Parse SRT subtitle format
    */
@@ -74,87 +122,474 @@ export class SubtitleProcessor {
   }
 
   /**
-   * Parse VTT subtitle format
+   * Parse WebVTT subtitle format.
+   * Hours are optional in timestamps; cue identifiers and settings are kept per cue,
+   * NOTE/STYLE/REGION blocks are skipped and the first <v> voice becomes the cue's speaker.
    */
   parseVTT(content) {
     const entries = [];
-    const lines = content.split('\n');
-    let currentEntry = null;
+    const blocks = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/);
     let id = 1;
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Skip WEBVTT header and empty lines
-      if (!line || line.startsWith('WEBVTT') || line.startsWith('NOTE')) {
+    for (const block of blocks) {
+      const lines = block.split('\n').filter(line => line.trim());
+      if (lines.length === 0) continue;
+
+      // Header and non-cue blocks
+      if (/^(WEBVTT|NOTE|STYLE|REGION)(\s|$)/.test(lines[0])) continue;
+
+      // An optional cue identifier precedes the timing line
+      const timingIndex = lines[0].includes('-->') ? 0 : 1;
+      const timeMatch = lines[timingIndex]?.match(
+        /^\s*((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})(.*)$/
+      );
+      if (!timeMatch) continue;
+
+      const cueText = lines.slice(timingIndex + 1).join('\n');
+      const speaker = cueText.match(/<v(?:\.[^\s>]+)*\s+([^>]+)>/)?.[1].trim();
+      const text = this.cleanVTTText(cueText);
+      if (!text) continue;
+
+      entries.push({
+        id: id++,
+        cueId: timingIndex === 1 ? lines[0].trim() : undefined,
+        startTime: this.parseVTTTimestamp(timeMatch[1]),
+        endTime: this.parseVTTTimestamp(timeMatch[2]),
+        settings: timeMatch[3].trim(),
+        speaker,
+        text
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse a VTT timestamp ([HH:]MM:SS.mmm) into milliseconds
+   */
+  parseVTTTimestamp(timestamp) {
+    const parts = timestamp.split(':');
+    const [seconds, milliseconds] = parts.pop().split('.');
+    const minutes = parts.pop();
+    const hours = parts.pop() || '0';
+    return this.parseTime(hours, minutes, seconds, milliseconds);
+  }
+
+  /**
+   * Turn VTT cue text into plain text: drop ruby readings, karaoke timestamps, voice/class
+   * spans and entities. <i>, <b> and <u> are kept since SRT supports them too.
+   */
+  cleanVTTText(text) {
+    return text
+      .replace(/<rt>[\s\S]*?(<\/rt>|(?=<\/ruby>)|$)/g, '')
+      .replace(/<\/?(?!\/?[ibu]>)[^>]*>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lrm;|&rlm;/g, '')
+      .replace(/&amp;/g, '&')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Parse ASS/SSA subtitle format.
+   * Event columns come from the [Events] Format line; Comment events are skipped.
+   * Each entry also carries the event's style, actor, layer and effect.
+   */
+  parseASS(content) {
+    const entries = [];
+    const lines = content.split(/\r?\n/);
+    let section = '';
+    let format = null;
+
+    for (const line of lines) {
+      const trimmedLine = line.trim();
+
+      const sectionMatch = trimmedLine.match(/^\[(.+)\]$/);
+      if (sectionMatch) {
+        section = sectionMatch[1].toLowerCase();
+        continue;
+      }
+      if (section !== 'events') continue;
+
+      const separator = trimmedLine.indexOf(':');
+      if (separator === -1) continue;
+      const kind = trimmedLine.substring(0, separator).trim();
+      const body = trimmedLine.substring(separator + 1).trim();
+
+      if (kind === 'Format') {
+        format = body.split(',').map(field => field.trim().toLowerCase());
+        continue;
+      }
+
+      // Only Dialogue events are shown; Comment events are notes for the typesetter
+      if (kind !== 'Dialogue') continue;
+
+      const event = this.parseASSEvent(body, format || this.getDefaultASSFormat(content));
+      if (!event) continue;
+
+      const text = this.cleanASSText(event.text || '');
+      if (!text) continue;
+
+      try {
+        entries.push({
+          startTime: this.parseASSTime(event.start),
+          endTime: this.parseASSTime(event.end),
+          text,
+          style: (event.style || '').replace(/^\*/, ''),
+          actor: event.name || event.actor || '',
+          layer: parseInt(event.layer) || 0,
+          effect: event.effect || ''
+        });
+      } catch (error) {
+        // Skip invalid lines
         continue;
       }
+    }
+
+    // Events are not required to be in time order, but period merging relies on it
+    entries.sort((a, b) => a.startTime - b.startTime);
+    return entries.map((entry, index) => ({ id: index + 1, ...entry }));
+  }
+
+  /**
+   * Event columns used when a script has no Format line
+   */
+  getDefaultASSFormat(content) {
+    const firstColumn = content.includes('[V4+ Styles]') ? 'layer' : 'marked';
+    return [firstColumn, 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+  }
 
-      // Check for time line
-      const timeMatch = line.match(/(\d{2}):(\d{2}):(\d{2})\.(\d{3})\s*-->\s*(\d{2}):(\d{2}):(\d{2})\.(\d{3})/);
-      if (timeMatch) {
-        if (currentEntry) {
-          entries.push(currentEntry);
+  /**
+   * Split an event line into named fields. The last column (Text) may itself contain commas.
+   */
+  parseASSEvent(body, format) {
+    const values = body.split(',');
+    if (values.length < format.length) return null;
+
+    const event = {};
+    format.forEach((field, index) => {
+      event[field] = index === format.length - 1
+        ? values.slice(index).join(',')
+        : values[index].trim();
+    });
+    return event;
+  }
+
+  /**
+   * Turn ASS event text into plain text: remove override blocks, drop vector drawings
+   * (\p1 ... \p0) and convert \N, \n and \h.
+   */
+  cleanASSText(text) {
+    let result = '';
+    let isDrawing = false;
+
+    for (const token of text.split(/(\{[^}]*\})/)) {
+      if (token.startsWith('{') && token.endsWith('}')) {
+        const drawingTags = token.match(/\\p(\d+)/g);
+        if (drawingTags) {
+          isDrawing = parseInt(drawingTags[drawingTags.length - 1].substring(2)) > 0;
         }
+        continue;
+      }
 
-        currentEntry = {
-          id: id++,
-          startTime: this.parseTime(timeMatch[1], timeMatch[2], timeMatch[3], timeMatch[4]),
-          endTime: this.parseTime(timeMatch[5], timeMatch[6], timeMatch[7], timeMatch[8]),
-          text: ''
-        };
-      } else if (currentEntry && line) {
-        // Add text line
-        currentEntry.text += (currentEntry.text ? '\n' : '') + line;
+      if (!isDrawing) {
+        result += token;
       }
     }
 
-    if (currentEntry) {
-      entries.push(currentEntry);
+    return result
+      .replace(/\\N/g, '\n')
+      .replace(/\\n/g, ' ')
+      .replace(/\\h/g, ' ')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Check whether an ASS event's style or actor matches one of the configured exclusion patterns
+   */
+  isExcludedASSEvent(sub, config) {
+    return (
+      (sub.style && this.matchesAnyPattern(sub.style, config.excludedStyles)) ||
+      (sub.actor && this.matchesAnyPattern(sub.actor, config.excludedActors))
+    );
+  }
+
+  /**
+   * Match a name against comma-separated wildcard patterns (* and ?), case-insensitively
+   */
+  matchesAnyPattern(name, patterns) {
+    if (!patterns) return false;
+
+    return patterns
+      .split(',')
+      .map(pattern => pattern.trim())
+      .filter(Boolean)
+      .some(pattern => {
+        const source = pattern
+          .split('')
+          .map(char => char === '*' ? '.*' : char === '?' ? '.' : this.escapeRegExp(char))
+          .join('');
+        return new RegExp(`^${source}$`, 'i').test(name.trim());
+      });
+  }
+
+  /**
+   * Parse TTML/DFXP subtitles (Netflix and other streaming sites).
+   * Supports clock times, offset times (h/m/s/ms/f/t) and tick-based timing.
+   * Parsed with regular expressions, since DOMParser isn't available in workers.
+   */
+  parseTTML(content) {
+    const entries = [];
+    const rootTag = content.match(/<(?:\w+:)?tt\b[^>]*>/)?.[0] || '';
+    const statedFrameRate = parseFloat(rootTag.match(/frameRate="([\d.]+)"/)?.[1]);
+    const frameRate = statedFrameRate || 30;
+    const multiplier = rootTag.match(/frameRateMultiplier="(\d+)\s+(\d+)"/);
+    const effectiveFrameRate = multiplier
+      ? frameRate * parseInt(multiplier[1]) / parseInt(multiplier[2])
+      : frameRate;
+    // Without ttp:tickRate a tick is one sub-frame if a frame rate is stated, else one second
+    const subFrameRate = parseInt(rootTag.match(/subFrameRate="(\d+)"/)?.[1]) || 1;
+    const tickRate = parseFloat(rootTag.match(/tickRate="([\d.]+)"/)?.[1]) ||
+      (statedFrameRate ? effectiveFrameRate * subFrameRate : 1);
+    const rates = { frameRate: effectiveFrameRate, tickRate };
+
+    const body = content.substring(content.search(/<(?:\w+:)?body\b/));
+    const paragraphPattern = /<(?:\w+:)?p\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?p>/g;
+    let id = 1;
+    let match;
+
+    while ((match = paragraphPattern.exec(body)) !== null) {
+      const attributes = match[1];
+      const begin = this.getXmlAttribute(attributes, 'begin');
+      const end = this.getXmlAttribute(attributes, 'end');
+      const duration = this.getXmlAttribute(attributes, 'dur');
+      if (!begin || (!end && !duration)) continue;
+
+      const text = this.cleanMarkupText(match[2].replace(/<(?:\w+:)?br\s*\/?>/g, '\n'));
+      if (!text) continue;
+
+      const startTime = this.parseTTMLTime(begin, rates);
+      entries.push({
+        id: id++,
+        startTime,
+        endTime: end ? this.parseTTMLTime(end, rates) : startTime + this.parseTTMLTime(duration, rates),
+        text
+      });
     }
 
     return entries;
   }
 
   /**
-   * Parse ASS/SSA subtitle format (basic implementation)
+   * Read an XML attribute value, ignoring its namespace prefix
    */
-  parseASS(content) {
+  getXmlAttribute(attributes, name) {
+    return attributes.match(new RegExp(`(?:^|\\s)(?:\\w+:)?${name}\\s*=\\s*["']([^"']*)["']`))?.[1];
+  }
+
+  /**
+   * Parse a TTML time expression into milliseconds
+   */
+  parseTTMLTime(value, { frameRate, tickRate }) {
+    const clock = value.trim().match(/^(\d+):(\d{2}):(\d{2})(?:\.(\d+)|:(\d+))?$/);
+    if (clock) {
+      const fraction = clock[4] ? parseFloat(`0.${clock[4]}`) * 1000 : 0;
+      const frames = clock[5] ? parseInt(clock[5]) / frameRate * 1000 : 0;
+      return Math.round(
+        parseInt(clock[1]) * 3600000 +
+        parseInt(clock[2]) * 60000 +
+        parseInt(clock[3]) * 1000 +
+        fraction + frames
+      );
+    }
+
+    const offset = value.trim().match(/^([\d.]+)(h|m|s|ms|f|t)$/);
+    if (!offset) throw new Error(`Invalid TTML time: ${value}`);
+
+    const amount = parseFloat(offset[1]);
+    const unitMs = { h: 3600000, m: 60000, s: 1000, ms: 1, f: 1000 / frameRate, t: 1000 / tickRate };
+    return Math.round(amount * unitMs[offset[2]]);
+  }
+
+  /**
+   * Parse YouTube SBV subtitles ("0:00:01.000,0:00:04.000" followed by text lines)
+   */
+  parseSBV(content) {
     const entries = [];
-    const lines = content.split('\n');
+    const blocks = content.trim().replace(/\r\n?/g, '\n').split(/\n\s*\n/);
     let id = 1;
 
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      
-      // Look for dialogue lines
-      if (trimmedLine.startsWith('Dialogue:')) {
-        const parts = trimmedLine.substring(9).split(',');
-        if (parts.length >= 10) {
-          try {
-            const startTime = this.parseASSTime(parts[1]);
-            const endTime = this.parseASSTime(parts[2]);
-            const text = parts.slice(9).join(',').replace(/\{[^}]*\}/g, ''); // Remove ASS tags
-
-            if (text.trim()) {
-              entries.push({
-                id: id++,
-                startTime,
-                endTime,
-                text: text.trim()
-              });
-            }
-          } catch (error) {
-            // Skip invalid lines
-            continue;
-          }
-        }
-      }
+    for (const block of blocks) {
+      const lines = block.trim().split('\n');
+      const timeMatch = lines[0].match(/^(\d+):(\d{2}):(\d{2})\.(\d{3}),(\d+):(\d{2}):(\d{2})\.(\d{3})$/);
+      if (!timeMatch) continue;
+
+      const text = lines.slice(1).join('\n').trim();
+      if (!text) continue;
+
+      entries.push({
+        id: id++,
+        startTime: this.parseTime(timeMatch[1], timeMatch[2], timeMatch[3], timeMatch[4]),
+        endTime: this.parseTime(timeMatch[5], timeMatch[6], timeMatch[7], timeMatch[8]),
+        text
+      });
     }
 
     return entries;
   }
 
+  /**
+   * Parse frame-based MicroDVD subtitles ("{start frame}{end frame}text|second line").
+   * A "{1}{1}23.976" first line states the frame rate; otherwise the video's frame rate is used.
+   */
+  parseMicroDVD(content, videoFrameRate = null) {
+    const entries = [];
+    const frameRate = this.getMicroDVDFrameRate(content) || videoFrameRate || DEFAULT_MICRODVD_FRAME_RATE;
+    let id = 1;
+
+    for (const line of content.split(/\r?\n/)) {
+      const match = line.trim().match(/^\{(\d+)\}\{(\d*)\}(.*)$/);
+      if (!match) continue;
+
+      // The frame rate declaration is not a subtitle
+      if (/^\d+(\.\d+)?$/.test(match[3].trim()) && parseInt(match[1]) <= 1) continue;
+
+      const text = match[3]
+        .replace(/\{[^}]*\}/g, '') // Style codes such as {y:i}
+        .split('|')
+        .map(part => part.replace(/^\/+/, '').trim())
+        .filter(Boolean)
+        .join('\n');
+      if (!text) continue;
+
+      const startFrame = parseInt(match[1]);
+      // An empty end frame means the line stays up for about three seconds
+      const endFrame = match[2] ? parseInt(match[2]) : startFrame + Math.round(frameRate * 3);
+
+      entries.push({
+        id: id++,
+        startTime: Math.round(startFrame / frameRate * 1000),
+        endTime: Math.round(endFrame / frameRate * 1000),
+        text
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Frame rate declared on a MicroDVD file's first line ("{1}{1}23.976"), or null
+   */
+  getMicroDVDFrameRate(content) {
+    const firstLine = content.trim().split(/\r?\n/, 1)[0];
+    const match = firstLine.match(/^\{[01]\}\{[01]\}\s*(\d+(?:\.\d+)?)\s*$/);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  /**
+   * Parse SAMI (.smi) subtitles. Each SYNC marks where a line starts and the previous one ends.
+   * Files with several languages use the first caption class found.
+   */
+  parseSAMI(content) {
+    const entries = [];
+    const syncPattern = /<sync\b[^>]*start\s*=\s*["']?(\d+)["']?[^>]*>/gi;
+    const syncs = [];
+    let match;
+
+    while ((match = syncPattern.exec(content)) !== null) {
+      syncs.push({ start: parseInt(match[1]), contentStart: syncPattern.lastIndex, tagStart: match.index });
+    }
+
+    let captionClass = null;
+    const cues = [];
+    for (let i = 0; i < syncs.length; i++) {
+      const contentEnd = i < syncs.length - 1 ? syncs[i + 1].tagStart : content.length;
+      const block = content.substring(syncs[i].contentStart, contentEnd).replace(/<\/body>[\s\S]*$/i, '');
+
+      const paragraphClass = block.match(/<p\b[^>]*class\s*=\s*["']?([\w-]+)/i)?.[1] || null;
+      captionClass ??= paragraphClass;
+      if (paragraphClass && paragraphClass !== captionClass) continue;
+
+      cues.push({
+        start: syncs[i].start,
+        text: this.cleanMarkupText(block.replace(/<br\s*\/?>/gi, '\n'))
+      });
+    }
+
+    for (let i = 0; i < cues.length; i++) {
+      if (!cues[i].text) continue; // An empty SYNC (&nbsp;) only clears the screen
+
+      entries.push({
+        id: entries.length + 1,
+        startTime: cues[i].start,
+        endTime: i < cues.length - 1 ? cues[i + 1].start : cues[i].start + SAMI_LAST_LINE_MS,
+        text: cues[i].text
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse YouTube JSON3 timed text ({ events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] })
+   */
+  parseJSON3(content) {
+    const data = JSON.parse(content);
+    const entries = [];
+
+    for (const event of data.events || []) {
+      if (!event.segs || event.tStartMs === undefined) continue;
+
+      const text = event.segs
+        .map(seg => seg.utf8 || '')
+        .join('')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n');
+      if (!text) continue;
+
+      entries.push({
+        id: entries.length + 1,
+        startTime: event.tStartMs,
+        endTime: event.tStartMs + (event.dDurationMs || 0),
+        text
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Strip markup from XML/HTML subtitle text and decode common entities.
+   * Line breaks must already be converted to \n.
+   */
+  cleanMarkupText(text) {
+    return text
+      .replace(/\s*\n\s*/g, '\u0000')
+      .replace(/\s+/g, ' ')
+      .replace(/\u0000/g, '\n')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/gi, ' ')
+      .replace(/&lt;/gi, '<')
+      .replace(/&gt;/gi, '>')
+      .replace(/&quot;/gi, '"')
+      .replace(/&apos;|&#39;/gi, "'")
+      .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(parseInt(code)))
+      .replace(/&amp;/gi, '&')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
   /**
    * Parse time in HH:MM:SS,mmm or HH:MM:SS.mmm format
    */
@@ -171,57 +606,149 @@ export class SubtitleProcessor {
    * Parse ASS time format (H:MM:SS.cc)
    */
   parseASSTime(timeStr) {
-    const match = timeStr.match(/(\d+):(\d{2}):(\d{2})\.(\d{2})/);
+    const match = timeStr.match(/(\d+):(\d{1,2}):(\d{1,2})[.:](\d+)/);
     if (!match) throw new Error('Invalid ASS time format');
     
     return (
       parseInt(match[1]) * 3600000 +
       parseInt(match[2]) * 60000 +
       parseInt(match[3]) * 1000 +
-      parseInt(match[4]) * 10 // centiseconds to milliseconds
+      Math.round(parseFloat(`0.${match[4]}`) * 1000) // usually centiseconds
     );
   }
 
   /**
    * Extract periods from subtitles with filtering and merging (direct port from Python)
+   * timing ({ offset, scale }) corrects subtitles that are out of sync with the video;
+   * parseOptions are passed on to parseSubtitles; lineOverrides force lines in or out
+   * (see reviewSubtitles).
+   */
+  extractPeriods(subtitleContent, config, timing = null, parseOptions = {}, lineOverrides = null) {
+    const filteredSubs = this.getFilteredSubtitles(subtitleContent, config, timing, parseOptions, lineOverrides);
+
+    return this.createPeriods(
+      filteredSubs.map(sub => [sub.startTime, sub.endTime]),
+      config.padding
+    );
+  }
+
+  /**
+   * Parse subtitles, apply a timing correction and drop lines filtered out by the config
    */
-  extractPeriods(subtitleContent, config) {
-    const subs = this.parseSubtitles(subtitleContent);
+  getFilteredSubtitles(subtitleContent, config, timing = null, parseOptions = {}, lineOverrides = null) {
+    const lines = this.reviewSubtitles(subtitleContent, config, timing, parseOptions, lineOverrides);
     
-    if (!subs.length) {
+    if (!lines.length) {
       throw new Error('No subtitle entries found');
     }
 
-    // Apply filtering (direct port from Python filter_text function)
-    const filteredSubs = subs.filter(sub => {
-      let text = this.stripXmlTags(sub.text);
-      
-      if (text.length === 0) return false;
+    const kept = lines.filter(line => line.kept).map(line => line.sub);
 
-      // Filter parentheses (Python logic: filter_parentheses)
-      if (config.filterParentheses && this.isEnclosedInParentheses(text)) {
-        return false;
-      }
+    console.log(`All period count: ${lines.length} (${lines.length - kept.length} filtered)`);
 
-      // Filter specific characters (Python logic: filtered_chars)
-      if (config.filteredCharacters) {
-        text = text.replace(new RegExp(`[${this.escapeRegExp(config.filteredCharacters)}]`, 'g'), '');
-      }
+    return kept;
+  }
 
-      return text.length > 0;
+  /**
+   * Every subtitle line with its filter decision, in file order:
+   * [{ lineIndex, sub, kept, reason, overridden }] where reason names the rule that removed it.
+   * lineIndex is the line's position in the parsed file; lineOverrides (Map of lineIndex ->
+   * true/false) force lines in or out regardless of the filters.
+   */
+  reviewSubtitles(subtitleContent, config, timing = null, parseOptions = {}, lineOverrides = null) {
+    const parsed = this.parseSubtitles(subtitleContent, parseOptions)
+      .map((sub, lineIndex) => ({ ...sub, lineIndex }));
+    const subs = this.applyTiming(parsed, timing);
+
+    const { removed } = this.filterSubtitles(subs, config);
+    const reasons = new Map(removed.map(({ sub, rule }) => [sub, rule ? rule.name : 'Empty line']));
+
+    return subs.map(sub => {
+      const override = lineOverrides?.get(sub.lineIndex);
+      const filteredKept = !reasons.has(sub);
+      return {
+        lineIndex: sub.lineIndex,
+        sub,
+        kept: override ?? filteredKept,
+        reason: reasons.get(sub) || null,
+        overridden: override !== undefined && override !== filteredKept
+      };
     });
+  }
 
-    console.log(`All period count: ${subs.length} (${subs.length - filteredSubs.length} filtered)`);
+  /**
+   * Split subtitles into kept and removed lines (see SubtitleFilter.apply).
+   * ASS events with excluded styles/actors go first; the filter rules decide the rest.
+   */
+  filterSubtitles(subs, config, rules = this.subtitleFilter.getRules(config)) {
+    // Signs, karaoke and other typesetting styled as non-dialogue (ASS only)
+    const excluded = subs.filter(sub => this.isExcludedASSEvent(sub, config));
+    const candidates = subs.filter(sub => !excluded.includes(sub));
+
+    const { kept, removed } = this.subtitleFilter.apply(
+      candidates,
+      rules,
+      sub => this.stripXmlTags(sub.text)
+    );
 
+    return {
+      kept,
+      removed: [...excluded.map(sub => ({ sub, rule: ASS_EXCLUSION_RULE })), ...removed]
+    };
+  }
+
+  /**
+   * Preview the config's filters on a subtitle file: the lines each rule removes.
+   * Returns { total, kept, groups: [{ name, subs }] } with groups in rule order.
+   */
+  previewFilters(subtitleContent, config, parseOptions = {}) {
+    const subs = this.parseSubtitles(subtitleContent, parseOptions);
+    const rules = this.subtitleFilter.getRules(config);
+    const { kept, removed } = this.filterSubtitles(subs, config, rules);
+
+    // null stands for lines that were empty before any rule ran
+    const order = [ASS_EXCLUSION_RULE, null, ...rules];
+    const groups = order
+      .map(rule => ({
+        name: rule ? rule.name : 'Empty lines',
+        subs: removed.filter(entry => entry.rule === rule).map(entry => entry.sub)
+      }))
+      .filter(group => group.subs.length > 0);
+
+    return { total: subs.length, kept: kept.length, groups };
+  }
+
+  /**
+   * Shift and stretch subtitle timings: t → t * scale + offset (ms).
+   * Lines pushed entirely before the start of the media are dropped.
+   */
+  applyTiming(subs, timing) {
+    if (!timing || (timing.offset === 0 && timing.scale === 1)) return subs;
+
+    const { offset = 0, scale = 1 } = timing;
+    return subs
+      .map(sub => ({
+        ...sub,
+        startTime: Math.max(0, Math.round(sub.startTime * scale + offset)),
+        endTime: Math.round(sub.endTime * scale + offset)
+      }))
+      .filter(sub => sub.endTime > 0);
+  }
+
+  /**
+   * Pad [start, end] intervals (ms) and merge them into periods.
+   * Shared by subtitle periods and speech detected in the audio.
+   */
+  createPeriods(intervals, padding) {
     // Create periods with padding (direct port from Python)
-    let periods = filteredSubs.map(sub => [
-      Math.max(0, sub.startTime - config.padding),
-      sub.endTime + config.padding
+    const periods = intervals.map(([start, end]) => [
+      Math.max(0, start - padding),
+      end + padding
     ]);
 
     // Adjust last period padding (Python logic)
     if (periods.length > 0) {
-      periods[periods.length - 1][1] -= config.padding;
+      periods[periods.length - 1][1] -= padding;
     }
 
     // Merge overlapping periods (direct port from Python merge logic)
@@ -263,23 +790,6 @@ export class SubtitleProcessor {
     return text.replace(/<[^<>]+?>/g, '');
   }
 
-  /**
-   * Check if text is enclosed in parentheses (Python logic)
-   */
-  isEnclosedInParentheses(text) {
-    if (text.length === 0) return false;
-    
-    const first = text[0];
-    const last = text[text.length - 1];
-    
-    return (
-      (first === '(' && last === ')') ||
-      (first === '（' && last === '）') ||
-      (first === '[' && last === ']') ||
-      (first === '{' && last === '}')
-    );
-  }
-
   /**
    * Escape special regex characters
    */
@@ -289,36 +799,76 @@ export class SubtitleProcessor {
 
   /**
    * Create condensed subtitles (port from Python condense_subtitles function)
+   * timing and parseOptions must be the ones the periods were extracted with.
+   */
+  createCondensedSubtitles(periods, originalSubtitleContent, format = 'srt', timing = null, parseOptions = {}) {
+    const condensedSubs = this.getCondensedSubtitleEntries(periods, originalSubtitleContent, timing, parseOptions);
+    return this.formatSubtitles(condensedSubs, format);
+  }
+
+  /**
+   * Subtitle entries moved onto the condensed timeline (see createCondensedSubtitles)
    */
-  createCondensedSubtitles(periods, originalSubtitleContent, format = 'srt') {
-    const originalSubs = this.parseSubtitles(originalSubtitleContent);
+  getCondensedSubtitleEntries(periods, originalSubtitleContent, timing = null, parseOptions = {}) {
+    const originalSubs = this.applyTiming(this.parseSubtitles(originalSubtitleContent, parseOptions), timing);
     const condensedSubs = [];
-    let offset = 0;
 
-    for (const period of periods) {
+    // Periods tightened by voice activity detection keep a `source` reference to the
+    // subtitle period they came from; a subtitle is kept if it lay inside that period
+    const sourcePeriods = [...new Set(periods.map(period => period.source ?? period))];
+
+    for (const source of sourcePeriods) {
       for (const sub of originalSubs) {
-        if (sub.startTime >= period.start && sub.endTime <= period.end) {
+        if (sub.startTime >= source.start && sub.endTime <= source.end) {
           // Adjust subtitle times to condensed timeline
-          const adjustedSub = {
+          const startTime = this.toCondensedTime(sub.startTime, periods);
+          const endTime = this.toCondensedTime(sub.endTime, periods);
+
+          // Subtitles that fell entirely into removed silence have nothing left to show
+          if (endTime <= startTime && sub.endTime > sub.startTime) continue;
+
+          condensedSubs.push({
             id: condensedSubs.length + 1,
-            startTime: sub.startTime - period.start + offset,
-            endTime: sub.endTime - period.start + offset,
-            text: sub.text
-          };
-          condensedSubs.push(adjustedSub);
+            startTime,
+            endTime,
+            text: sub.text,
+            speaker: sub.speaker
+          });
         }
       }
-
-      // Update offset based on period duration
-      const periodDuration = period.end - period.start;
-      offset += periodDuration;
     }
 
+    return condensedSubs;
+  }
+
+  /**
+   * Write subtitle entries as LRC, VTT or SRT
+   */
+  formatSubtitles(subs, format = 'srt') {
     if (format === 'lrc') {
-      return this.convertToLRC(condensedSubs);
+      return this.convertToLRC(subs);
+    } else if (format === 'vtt') {
+      return this.convertToVTT(subs);
     } else {
-      return this.convertToSRT(condensedSubs);
+      return this.convertToSRT(subs);
+    }
+  }
+
+  /**
+   * Map a time on the original timeline onto the condensed timeline.
+   * Times inside a removed gap map to the point where the gap was cut out.
+   */
+  toCondensedTime(time, periods) {
+    let offset = 0;
+
+    for (const period of periods) {
+      if (time <= period.end) {
+        return offset + Math.max(0, time - period.start);
+      }
+      offset += period.end - period.start;
     }
+
+    return offset;
   }
 
   /**
@@ -332,6 +882,31 @@ export class SubtitleProcessor {
     }).join('\n');
   }
 
+  /**
+   * Convert subtitles to WebVTT format. Speakers are written back as <v> spans.
+   */
+  convertToVTT(subs) {
+    const cues = subs.map(sub => {
+      const startTime = this.millisecondsToVTTTime(sub.startTime);
+      const endTime = this.millisecondsToVTTTime(sub.endTime);
+      const text = this.escapeVTTText(sub.text);
+      const content = sub.speaker ? `<v ${sub.speaker}>${text}` : text;
+      return `${sub.id}\n${startTime} --> ${endTime}\n${content}\n`;
+    });
+
+    return ['WEBVTT\n', ...cues].join('\n');
+  }
+
+  /**
+   * Escape characters that would otherwise start a tag or entity in VTT cue text
+   */
+  escapeVTTText(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/<(?!\/?[ibu]>)/g, '&lt;')
+      .replace(/-->/g, '--&gt;');
+  }
+
   /**
    * Convert subtitles to LRC format (port from Python srt_file_to_lrc)
    */
@@ -356,6 +931,13 @@ export class SubtitleProcessor {
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')},${milliseconds.toString().padStart(3, '0')}`;
   }
 
+  /**
+   * Convert milliseconds to VTT time format (HH:MM:SS.mmm)
+   */
+  millisecondsToVTTTime(ms) {
+    return this.millisecondsToSRTTime(ms).replace(',', '.');
+  }
+
   /**
    * Convert milliseconds to LRC time format (MM:SS.xx)
    */
@@ -1,13 +1,26 @@
+import { DEFAULT_FILTER_RULES } from './subtitle-filter.js';
+
 // Configuration interface matching the Python config.json
 export const defaultConfig = {
   padding: 500,
   askWhenMultipleSrt: true,
-  filteredCharacters: '♩♪♫♬〜〜',
-  filterParentheses: true,
+  filterRules: DEFAULT_FILTER_RULES,
+  excludedStyles: '',
+  excludedActors: '',
   outputFormat: 'mp3',
   subSuffix: '',
+  minimumMatchScore: 40,
+  preferredSubtitleLanguages: '',
+  preferredAudioLanguages: '',
+  subtitleSync: 'off',
+  noSubtitlesMode: false,
+  vadEnabled: false,
+  vadAggressiveness: 2,
+  vadMinSpeechLength: 250,
+  downloadMode: 'files',
   fixedOutputDir: null,
   fixedOutputDirWithSubfolders: true,
+  autoDownloadResults: true,
   outputCondensedSubtitles: false,
   condensedSubtitlesFormat: 'srt'
 };
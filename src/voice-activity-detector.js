@@ -0,0 +1,186 @@
+/**
+ * Voice Activity Detector
+ *
+ * Energy / zero-crossing speech detector that works on mono PCM fed in windows,
+ * so a whole film never has to be held in memory at once. Each window is reduced
+ * to per-frame features (10ms frames); classification then runs over the feature
+ * track of the whole file, so the noise floor is estimated globally.
+ *
+ * Aggressiveness follows the WebRTC VAD convention: 0 keeps the most audio,
+ * 3 removes the most non-speech.
+ */
+
+// dB above the noise floor a frame must reach to count as speech, per aggressiveness
+const ENERGY_MARGINS_DB = [6, 9, 12, 15];
+
+// Highest zero-crossing rate still treated as speech (noise and hiss cross more often)
+const MAX_ZERO_CROSSING_RATES = [0.5, 0.45, 0.4, 0.35];
+
+// Speech gaps shorter than this are bridged (pauses between words)
+const MIN_SILENCE_MS = 200;
+
+// Silence kept around detected speech so consonant onsets and tails aren't clipped
+const SPEECH_EDGE_PADDING_MS = 150;
+
+// Silences at least this long split a subtitle period in two
+const SPLIT_SILENCE_MS = 1000;
+
+export class VoiceActivityDetector {
+  constructor({ aggressiveness = 2, minSpeechMs = 250, frameMs = 10 } = {}) {
+    this.aggressiveness = Math.min(3, Math.max(0, aggressiveness));
+    this.minSpeechMs = minSpeechMs;
+    this.frameMs = frameMs;
+  }
+
+  /**
+   * Create an empty feature track covering durationMs
+   */
+  createFeatureTrack(durationMs) {
+    const frameCount = Math.ceil(durationMs / this.frameMs);
+    return {
+      frameMs: this.frameMs,
+      energy: new Float32Array(frameCount),
+      zeroCrossingRate: new Float32Array(frameCount),
+      analyzed: new Uint8Array(frameCount)
+    };
+  }
+
+  /**
+   * Compute per-frame energy (dB) and zero-crossing rate for one PCM window
+   */
+  analyzeWindow(track, startMs, samples, sampleRate) {
+    const frameSize = Math.round(sampleRate * this.frameMs / 1000);
+    const firstFrame = Math.round(startMs / this.frameMs);
+
+    for (let offset = 0, frame = firstFrame; offset + frameSize <= samples.length; offset += frameSize, frame++) {
+      if (frame >= track.energy.length) break;
+
+      let sumSquares = 0;
+      let crossings = 0;
+      for (let i = offset; i < offset + frameSize; i++) {
+        sumSquares += samples[i] * samples[i];
+        if (i > offset && (samples[i] >= 0) !== (samples[i - 1] >= 0)) {
+          crossings++;
+        }
+      }
+
+      track.energy[frame] = 10 * Math.log10(sumSquares / frameSize + 1e-10);
+      track.zeroCrossingRate[frame] = crossings / frameSize;
+      track.analyzed[frame] = 1;
+    }
+  }
+
+  /**
+   * Classify every analyzed frame as speech (1) or non-speech (0)
+   */
+  classify(track) {
+    const mask = new Uint8Array(track.energy.length);
+    const energies = [];
+    for (let i = 0; i < track.energy.length; i++) {
+      if (track.analyzed[i]) energies.push(track.energy[i]);
+    }
+    if (energies.length === 0) return mask;
+
+    energies.sort((a, b) => a - b);
+    const noiseFloor = this.percentile(energies, 0.1);
+    const speechLevel = this.percentile(energies, 0.9);
+
+    // Stay below the loud frames so material with a high noise floor isn't all rejected
+    const threshold = Math.min(noiseFloor + ENERGY_MARGINS_DB[this.aggressiveness], speechLevel - 3);
+    const maxZeroCrossingRate = MAX_ZERO_CROSSING_RATES[this.aggressiveness];
+
+    for (let i = 0; i < mask.length; i++) {
+      mask[i] = track.analyzed[i] &&
+        track.energy[i] > threshold &&
+        track.zeroCrossingRate[i] < maxZeroCrossingRate ? 1 : 0;
+    }
+
+    this.fillShortRuns(mask, 0, Math.round(MIN_SILENCE_MS / this.frameMs));
+    this.fillShortRuns(mask, 1, Math.round(this.minSpeechMs / this.frameMs));
+    return mask;
+  }
+
+  /**
+   * Flip runs of `value` shorter than minFrames (bridges short pauses, drops short bursts)
+   */
+  fillShortRuns(mask, value, minFrames) {
+    let runStart = -1;
+    for (let i = 0; i <= mask.length; i++) {
+      if (i < mask.length && mask[i] === value) {
+        if (runStart === -1) runStart = i;
+        continue;
+      }
+
+      // Silence runs at the very edges aren't pauses between speech
+      const isEdgeSilence = value === 0 && (runStart === 0 || i === mask.length);
+      if (runStart !== -1 && i - runStart < minFrames && !isEdgeSilence) {
+        mask.fill(1 - value, runStart, i);
+      }
+      runStart = -1;
+    }
+  }
+
+  /**
+   * Convert a speech mask into speech regions ({start, end} in ms)
+   */
+  getSpeechRegions(mask, fromMs = 0, toMs = mask.length * this.frameMs) {
+    const regions = [];
+    const firstFrame = Math.max(0, Math.floor(fromMs / this.frameMs));
+    const lastFrame = Math.min(mask.length, Math.ceil(toMs / this.frameMs));
+    let regionStart = -1;
+
+    for (let i = firstFrame; i <= lastFrame; i++) {
+      const isSpeech = i < lastFrame && mask[i] === 1;
+      if (isSpeech && regionStart === -1) {
+        regionStart = i;
+      } else if (!isSpeech && regionStart !== -1) {
+        regions.push({ start: regionStart * this.frameMs, end: i * this.frameMs });
+        regionStart = -1;
+      }
+    }
+
+    return regions;
+  }
+
+  /**
+   * Tighten subtitle periods to the speech detected inside them.
+   * Periods without speech are dropped and long silences split a period.
+   * Each resulting period keeps a `source` reference to the period it came from.
+   */
+  tightenPeriods(periods, mask) {
+    const tightened = [];
+
+    for (const period of periods) {
+      const regions = this.getSpeechRegions(mask, period.start, period.end);
+      let current = null;
+
+      for (const region of regions) {
+        if (current && region.start - current.end < SPLIT_SILENCE_MS) {
+          current.end = region.end;
+        } else {
+          current = { start: region.start, end: region.end };
+          tightened.push(current);
+          current.source = period;
+        }
+      }
+    }
+
+    // Pad the speech edges, without leaving the original period or overlapping a neighbour
+    return tightened.map((piece, i) => {
+      const previousEnd = i > 0 ? tightened[i - 1].end : 0;
+      const nextStart = i < tightened.length - 1 ? tightened[i + 1].start : Infinity;
+      return {
+        start: Math.max(piece.source.start, previousEnd, piece.start - SPEECH_EDGE_PADDING_MS),
+        end: Math.min(piece.source.end, nextStart, piece.end + SPEECH_EDGE_PADDING_MS),
+        source: piece.source
+      };
+    });
+  }
+
+  /**
+   * Value at fraction p of a sorted array
+   */
+  percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  }
+}
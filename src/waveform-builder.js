@@ -0,0 +1,39 @@
+/**
+ * Waveform Builder
+ *
+ * Reduces audio to peak levels for the timeline view. Like the voice activity detector
+ * it is fed PCM in windows, so the waveform of a whole film is built without holding
+ * its audio in memory.
+ */
+
+// Sample rate audio is decoded at for the waveform; peaks don't need more
+export const WAVEFORM_SAMPLE_RATE = 8000;
+
+export class WaveformBuilder {
+  constructor({ peaksPerSecond = 50 } = {}) {
+    this.peaksPerSecond = peaksPerSecond;
+  }
+
+  /**
+   * Create an empty peak track covering durationMs
+   */
+  createPeaks(durationMs) {
+    return new Float32Array(Math.ceil(durationMs / 1000 * this.peaksPerSecond));
+  }
+
+  /**
+   * Record the highest absolute sample level of each peak bucket in one PCM window
+   */
+  addSamples(peaks, startMs, samples, sampleRate) {
+    const samplesPerPeak = sampleRate / this.peaksPerSecond;
+    const firstPeak = Math.round(startMs / 1000 * this.peaksPerSecond);
+
+    for (let i = 0; i < samples.length; i++) {
+      const peak = firstPeak + Math.floor(i / samplesPerPeak);
+      if (peak >= peaks.length) break;
+
+      const level = Math.abs(samples[i]);
+      if (level > peaks[peak]) peaks[peak] = level;
+    }
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * ZIP Writer
+ *
+ * Builds a ZIP archive from Blobs without loading them: each entry is streamed once to
+ * compute its CRC-32, and the archive is a Blob made of the small headers plus the
+ * entry Blobs themselves. Entries are stored uncompressed, since condensed audio is
+ * already compressed.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_VERSION = 20;
+const UTF8_FILENAME_FLAG = 0x0800;
+
+// Without ZIP64 records sizes and offsets are 32-bit
+const MAX_ZIP_SIZE = 0xffffffff;
+const MAX_ZIP_ENTRIES = 0xffff;
+
+let crcTable = null;
+
+/**
+ * CRC-32 lookup table, built on first use
+ */
+function getCrcTable() {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+export class ZipWriter {
+  constructor() {
+    this.parts = [];
+    this.entries = [];
+    this.offset = 0;
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Add a file. path uses '/' between folders; date is the modification time stored.
+   */
+  async addFile(path, blob, date = new Date()) {
+    if (this.entries.length >= MAX_ZIP_ENTRIES) {
+      throw new Error(`ZIP archives are limited to ${MAX_ZIP_ENTRIES} files`);
+    }
+
+    const name = this.encoder.encode(path);
+    const crc = await this.computeCrc(blob);
+    const size = blob.size;
+    const { time, day } = this.toDosDateTime(date);
+
+    if (this.offset + 30 + name.length + size > MAX_ZIP_SIZE) {
+      throw new Error('ZIP archives over 4 GB are not supported; download the files separately');
+    }
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, LOCAL_FILE_HEADER, true);
+    header.setUint16(4, ZIP_VERSION, true);
+    header.setUint16(6, UTF8_FILENAME_FLAG, true);
+    header.setUint16(8, 0, true); // stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, day, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, size, true);
+    header.setUint32(22, size, true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true);
+
+    this.parts.push(header.buffer, name, blob);
+    this.entries.push({ name, crc, size, time, day, offset: this.offset });
+    this.offset += 30 + name.length + size;
+  }
+
+  /**
+   * Write the central directory and return the archive
+   */
+  finish() {
+    const directoryOffset = this.offset;
+    let directorySize = 0;
+
+    for (const entry of this.entries) {
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+      header.setUint16(4, ZIP_VERSION, true);
+      header.setUint16(6, ZIP_VERSION, true);
+      header.setUint16(8, UTF8_FILENAME_FLAG, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, entry.time, true);
+      header.setUint16(14, entry.day, true);
+      header.setUint32(16, entry.crc, true);
+      header.setUint32(20, entry.size, true);
+      header.setUint32(24, entry.size, true);
+      header.setUint16(28, entry.name.length, true);
+      // Extra field, comment, disk number and attributes stay zero
+      header.setUint32(42, entry.offset, true);
+
+      this.parts.push(header.buffer, entry.name);
+      directorySize += 46 + entry.name.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, directoryOffset, true);
+    this.parts.push(end.buffer);
+
+    return new Blob(this.parts, { type: 'application/zip' });
+  }
+
+  /**
+   * CRC-32 of a Blob, read as a stream
+   */
+  async computeCrc(blob) {
+    const table = getCrcTable();
+    const reader = blob.stream().getReader();
+    let crc = 0xffffffff;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      for (let i = 0; i < value.length; i++) {
+        crc = table[(crc ^ value[i]) & 0xff] ^ (crc >>> 8);
+      }
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * MS-DOS time and date fields (local time, 2-second resolution, from 1980)
+   */
+  toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+}
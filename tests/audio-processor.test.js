@@ -0,0 +1,209 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioProcessor } from '../src/audio-processor.js';
+import { CancelledError } from '../src/errors.js';
+import { FakeAudioBuffer } from './support/fake-audio-buffer.js';
+import { createFakeVideo, readFixture, quietConsole } from './support/helpers.js';
+
+before(quietConsole);
+
+const VIDEO = {
+  duration: 45000,
+  streams: [
+    { type: 'video', codec: 'h264', fps: 23.976, isDefault: true },
+    { type: 'audio', codec: 'aac', language: 'jpn', title: 'Japanese', isDefault: true },
+    { type: 'audio', codec: 'aac', language: 'eng', channels: 1 },
+    { type: 'subtitle', codec: 'ass', language: 'jpn', content: readFixture('subtitles/sample.ass') }
+  ]
+};
+
+describe('AudioProcessor.audioBufferToWav', () => {
+  const processor = new AudioProcessor();
+
+  test('writes a 16-bit PCM WAV header', async () => {
+    const buffer = new FakeAudioBuffer([[0, 0, 0, 0], [0, 0, 0, 0]], 44100);
+    const view = new DataView(await processor.audioBufferToWav(buffer).arrayBuffer());
+    const text = (offset, length) => String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+
+    assert.equal(view.byteLength, 44 + 4 * 2 * 2);
+    assert.equal(text(0, 4), 'RIFF');
+    assert.equal(view.getUint32(4, true), view.byteLength - 8);
+    assert.equal(text(8, 8), 'WAVEfmt ');
+    assert.equal(view.getUint16(20, true), 1);          // PCM
+    assert.equal(view.getUint16(22, true), 2);          // channels
+    assert.equal(view.getUint32(24, true), 44100);      // sample rate
+    assert.equal(view.getUint32(28, true), 44100 * 4);  // byte rate
+    assert.equal(view.getUint16(32, true), 4);          // block align
+    assert.equal(view.getUint16(34, true), 16);         // bits per sample
+    assert.equal(text(36, 4), 'data');
+    assert.equal(view.getUint32(40, true), 16);
+  });
+
+  test('interleaves channels and clamps samples', async () => {
+    const buffer = new FakeAudioBuffer([[1, -1, 0.5, 2], [0, -0.5, -2, 0]], 8000);
+    const blob = processor.audioBufferToWav(buffer);
+    const samples = new Int16Array((await blob.arrayBuffer()).slice(44));
+
+    assert.equal(blob.type, 'audio/wav');
+    assert.deepEqual([...samples], [32767, 0, -32768, -16384, 16383, -32768, 32767, 0]);
+  });
+
+  test('writes an empty data chunk for an empty buffer', async () => {
+    const blob = processor.audioBufferToWav(new FakeAudioBuffer([[]], 16000));
+    assert.equal(blob.size, 44);
+  });
+});
+
+describe('AudioProcessor FFmpeg output parsing', () => {
+  const processor = new AudioProcessor();
+
+  test('reads the duration', () => {
+    assert.equal(processor.parseDuration(['  Duration: 00:23:40.05, start: 0.000000']), 1420050);
+    assert.equal(processor.parseDuration(['Duration: N/A']), null);
+  });
+
+  test('reads streams with languages, titles and channels', () => {
+    const streams = processor.parseStreamInfo([
+      '  Metadata:',
+      '    title           : Container title',
+      '  Stream #0:0[0x1e0]: Video: h264 (High), yuv420p, 1920x1080, 23.98 fps, 23.98 tbr (default)',
+      '  Stream #0:1(und): Audio: ac3, 48000 Hz, 5.1(side), fltp, 384 kb/s',
+      '    Metadata:',
+      '      title           : Surround',
+      '  Stream #0:2(jpn): Subtitle: hdmv_pgs_subtitle'
+    ]);
+
+    assert.deepEqual(streams.map(stream => [stream.index, stream.type, stream.codec, stream.language]), [
+      [0, 'video', 'h264', null],
+      [1, 'audio', 'ac3', null],
+      [2, 'subtitle', 'hdmv_pgs_subtitle', 'jpn']
+    ]);
+    assert.equal(streams[0].fps, 23.98);
+    assert.equal(streams[0].isDefault, true);
+    assert.equal(streams[0].title, null);
+    assert.equal(streams[1].channels, 6);
+    assert.equal(streams[1].title, 'Surround');
+    assert.equal(processor.isBitmapSubtitleStream(streams[2]), true);
+    assert.equal(processor.isTextSubtitleStream(streams[2]), false);
+  });
+
+  test('builds an aselect filter for the periods', () => {
+    const filter = processor.buildSelectFilter([{ start: 500, end: 6500 }, { start: 19500, end: 22900 }]);
+    assert.equal(filter, "asetnsamples=n=441:p=0,aselect='between(t,0.500,6.500)+between(t,19.500,22.900)',asetpts=N/SR/TB");
+  });
+});
+
+describe('AudioProcessor with the fake FFmpeg', () => {
+  test('loads FFmpeg once and probes a mounted file', async () => {
+    const processor = new AudioProcessor();
+    const video = createFakeVideo('episode01.mkv', VIDEO);
+
+    const info = await processor.probeMedia(video);
+    await processor.probeMedia(video);
+
+    assert.equal(processor.ffmpeg.loadConfigs.length, 1);
+    assert.equal(processor.inputPath, '/input/episode01.mkv');
+    assert.equal(info.duration, 45000);
+    assert.deepEqual(info.streams.map(stream => [stream.type, stream.language, stream.title]), [
+      ['video', null, null],
+      ['audio', 'jpn', 'Japanese'],
+      ['audio', 'eng', null],
+      ['subtitle', 'jpn', null]
+    ]);
+    assert.equal(info.streams[2].channels, 1);
+
+    await processor.releaseInputFile();
+    assert.equal(processor.ffmpeg.mounts.size, 0);
+  });
+
+  test('copies the input into memory when mounting fails', async () => {
+    const processor = new AudioProcessor();
+    processor.ffmpeg.mount = async () => {
+      throw new Error('WORKERFS unavailable');
+    };
+
+    const info = await processor.probeMedia(createFakeVideo('episode01.mkv', VIDEO));
+    assert.equal(processor.inputPath, 'input.mkv');
+    assert.equal(info.streams.length, 4);
+
+    await processor.releaseInputFile();
+    assert.equal(processor.ffmpeg.files.has('input.mkv'), false);
+  });
+
+  test('returns null for files FFmpeg cannot read', async () => {
+    const processor = new AudioProcessor();
+    const info = await processor.probeMedia(new File(['not a video'], 'broken.mkv'));
+    assert.equal(info, null);
+  });
+
+  test('condenses the periods in one pass and reports progress', async () => {
+    const progress = [];
+    const processor = new AudioProcessor(event => progress.push(event));
+    const video = createFakeVideo('episode01.mkv', VIDEO);
+    const periods = [{ start: 500, end: 6500 }, { start: 19500, end: 22900 }];
+
+    const blob = await processor.condenseAudio(video, periods, 'flac', { streamIndex: 2 });
+    const output = JSON.parse(await blob.text());
+
+    assert.equal(blob.type, 'audio/flac');
+    assert.deepEqual(output, { codec: 'flac', segments: [[500, 6500], [19500, 22900]] });
+
+    const command = processor.ffmpeg.commands.at(-1);
+    assert.deepEqual(command.slice(command.indexOf('-map'), command.indexOf('-map') + 2), ['-map', '0:2']);
+
+    const condensing = progress.filter(event => event.stage === 'Condensing audio').map(event => Math.round(event.progress));
+    assert.deepEqual(condensing, [50, 100, 100]);
+
+    // Scratch files are removed, the input stays mounted for the next step
+    assert.deepEqual([...processor.ffmpeg.files.keys()], []);
+    assert.equal(processor.ffmpeg.mounts.size, 1);
+  });
+
+  test('refuses to condense without periods', async () => {
+    const processor = new AudioProcessor();
+    await assert.rejects(
+      processor.condenseAudio(createFakeVideo('episode01.mkv', VIDEO), [], 'mp3'),
+      /No audio segments to concatenate/
+    );
+  });
+
+  test('reads a PCM window as mono floats', async () => {
+    const processor = new AudioProcessor();
+    const video = createFakeVideo('episode01.mkv', { ...VIDEO, speech: [[1000, 2000]] });
+
+    const samples = await processor.readPcmWindow(video, 500, 1000, { sampleRate: 8000 });
+    assert.ok(samples instanceof Float32Array);
+    assert.equal(samples.length, 8000);
+
+    const peak = (from, to) => Math.max(...samples.subarray(from, to).map(Math.abs));
+    assert.ok(peak(0, 4000) < 0.001);
+    assert.ok(peak(4000, 8000) > 0.25);
+  });
+
+  test('extracts an embedded text subtitle stream', async () => {
+    const processor = new AudioProcessor();
+    const video = createFakeVideo('episode01.mkv', VIDEO);
+    const [, , , subtitleStream] = (await processor.probeMedia(video)).streams;
+
+    const content = await processor.extractSubtitleStream(video, subtitleStream);
+    assert.equal(content, readFixture('subtitles/sample.ass'));
+    assert.equal(processor.ffmpeg.files.has('subtitle.ass'), false);
+  });
+
+  test('terminates FFmpeg when the signal is aborted mid-run', async () => {
+    const processor = new AudioProcessor();
+    const video = createFakeVideo('episode01.mkv', VIDEO);
+    const controller = new AbortController();
+    await processor.mountInputFile(video);
+
+    const exec = processor.ffmpeg.exec;
+    processor.ffmpeg.exec = async (args) => {
+      controller.abort();
+      return exec.call(processor.ffmpeg, args);
+    };
+
+    await assert.rejects(processor.condenseAudio(video, [{ start: 0, end: 1000 }], 'mp3', { signal: controller.signal }), CancelledError);
+    assert.equal(processor.isLoaded, false);
+    assert.equal(processor.inputFile, null);
+  });
+});
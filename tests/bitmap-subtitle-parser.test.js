@@ -0,0 +1,73 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BitmapSubtitleParser } from '../src/bitmap-subtitle-parser.js';
+import { readFixture, readFixtureBytes } from './support/helpers.js';
+
+const timings = entries => entries.map(entry => [entry.startTime, entry.endTime]);
+
+describe('BitmapSubtitleParser', () => {
+  const parser = new BitmapSubtitleParser();
+
+  test('detects PGS and VobSub data by their first bytes', () => {
+    assert.equal(parser.detectFormat(readFixtureBytes('bitmap/sample.sup')), 'sup');
+    assert.equal(parser.detectFormat(readFixtureBytes('bitmap/sample.sub')), 'vob');
+    assert.equal(parser.detectFormat(new TextEncoder().encode('{24}{48}一行目')), null);
+    assert.throws(() => parser.parse('idx', new Uint8Array()), /Unsupported bitmap subtitle format: idx/);
+  });
+
+  test('reads PGS display periods from presentation segments', () => {
+    const entries = parser.parse('sup', readFixtureBytes('bitmap/sample.sup'));
+
+    // The last image is never cleared and gets the default five seconds
+    assert.deepEqual(timings(entries), [[1000, 3400], [3800, 6000], [40000, 45000]]);
+    assert.deepEqual(entries.map(entry => [entry.id, entry.text]), [[1, ''], [2, ''], [3, '']]);
+  });
+
+  test('rejects PGS data that loses the segment markers', () => {
+    const bytes = readFixtureBytes('bitmap/sample.sup');
+    bytes[32] = 0x00; // The second segment's "PG", after 13 header and 19 data bytes
+    assert.throws(() => parser.parsePGS(bytes), /Invalid PGS segment at byte 32/);
+  });
+
+  test('reads VobSub subpictures from the first substream', () => {
+    // Start/stop dates are in 1024/90ms units; the second line has no stop command
+    // and lasts the default five seconds, and the third spans two packets
+    const entries = parser.parse('vob', readFixtureBytes('bitmap/sample.sub'));
+    assert.deepEqual(timings(entries), [[1000, 3048], [20000, 25000], [40000, 42560]]);
+  });
+
+  test('reads a chosen VobSub substream', () => {
+    const entries = parser.parseVobSub(readFixtureBytes('bitmap/sample.sub'), 0x21);
+    assert.deepEqual(timings(entries), [[1500, 2012]]);
+  });
+
+  test('skips subpictures without a start command', () => {
+    const subpicture = new Uint8Array([0x00, 0x0a, 0x00, 0x04, 0x00, 0x2d, 0x00, 0x04, 0x02, 0xff]);
+    assert.equal(parser.parseSubpicture(subpicture, 1000), null);
+    assert.equal(parser.parseSubpicture(new Uint8Array([0x00, 0x02]), 1000), null);
+  });
+
+  test('reads 33-bit PES timestamps', () => {
+    // 0x1_0000_0000 ticks: only bit 32 set
+    assert.equal(parser.readPTS(new Uint8Array([0x29, 0x00, 0x01, 0x00, 0x01]), 0), 2 ** 32 / 90);
+    assert.equal(parser.readPTS(new Uint8Array([0x21, 0x00, 0x05, 0xbf, 0x21]), 0), 1000);
+  });
+
+  test('reads the first language of a VobSub index alone', () => {
+    const entries = parser.parseVobSubIdx(readFixture('bitmap/sample.idx'));
+
+    // Lines last until the next one, at most five seconds
+    assert.deepEqual(timings(entries), [[1000, 6000], [20000, 25000], [40000, 45000]]);
+  });
+
+  test('applies VobSub index delays', () => {
+    const content = [
+      'id: ja, index: 0',
+      'delay: -00:00:01:500',
+      'timestamp: 00:00:01:000, filepos: 000000000',
+      'timestamp: 00:00:03:000, filepos: 000000800'
+    ].join('\r\n');
+
+    assert.deepEqual(timings(parser.parseVobSubIdx(content)), [[0, 1500], [1500, 6500]]);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { SubtitleProcessor } from '../src/subtitle-processor.js';
+import { defaultConfig } from '../src/types.js';
+import { SUBTITLE_FIXTURES, readFixture, assertGolden, quietConsole } from './support/helpers.js';
+
+before(quietConsole);
+
+// Periods of the sample fixtures with the default 500ms padding
+const SAMPLE_PERIODS = [
+  { start: 500, end: 6500 },
+  { start: 19500, end: 22900 },
+  { start: 39500, end: 42600 }
+];
+
+describe('SubtitleProcessor.mergeOverlappingPeriods', () => {
+  const processor = new SubtitleProcessor();
+
+  test('merges touching and overlapping periods', () => {
+    const merged = processor.mergeOverlappingPeriods([[0, 1000], [1000, 2000], [1500, 3000], [4000, 5000]]);
+    assert.deepEqual(merged, [{ start: 0, end: 3000 }, { start: 4000, end: 5000 }]);
+  });
+
+  test('keeps separate periods apart', () => {
+    const merged = processor.mergeOverlappingPeriods([[0, 1000], [2000, 3000]]);
+    assert.deepEqual(merged, [{ start: 0, end: 1000 }, { start: 2000, end: 3000 }]);
+  });
+
+  test('takes the end of the last period merged in, like the Python original', () => {
+    // A short line inside a long one ends the merged period early
+    const merged = processor.mergeOverlappingPeriods([[0, 5000], [1000, 2000]]);
+    assert.deepEqual(merged, [{ start: 0, end: 2000 }]);
+  });
+
+  test('returns nothing for no periods', () => {
+    assert.deepEqual(processor.mergeOverlappingPeriods([]), []);
+  });
+});
+
+describe('SubtitleProcessor.createPeriods', () => {
+  const processor = new SubtitleProcessor();
+
+  test('pads intervals, clamps at zero and leaves the last end unpadded', () => {
+    const periods = processor.createPeriods([[200, 1000], [5000, 6000]], 500);
+    assert.deepEqual(periods, [{ start: 0, end: 1500 }, { start: 4500, end: 6000 }]);
+  });
+
+  test('merges lines whose padding overlaps', () => {
+    const periods = processor.extractPeriods(readFixture('subtitles/sample.srt'), defaultConfig);
+    assert.deepEqual(periods, SAMPLE_PERIODS);
+  });
+});
+
+describe('SubtitleProcessor.createCondensedSubtitles', () => {
+  const processor = new SubtitleProcessor();
+  const content = readFixture('subtitles/sample.srt');
+
+  test('writes condensed SRT', () => {
+    assertGolden(processor.createCondensedSubtitles(SAMPLE_PERIODS, content, 'srt'), 'sample.condensed.srt');
+  });
+
+  test('writes condensed LRC', () => {
+    assertGolden(processor.createCondensedSubtitles(SAMPLE_PERIODS, content, 'lrc'), 'sample.condensed.lrc');
+  });
+
+  for (const fixture of SUBTITLE_FIXTURES) {
+    test(`condenses ${fixture} like the SRT fixture`, () => {
+      const fixtureContent = readFixture(`subtitles/${fixture}`);
+      const periods = processor.extractPeriods(fixtureContent, defaultConfig);
+      assert.deepEqual(periods, SAMPLE_PERIODS);
+      assertGolden(processor.createCondensedSubtitles(periods, fixtureContent, 'srt'), 'sample.condensed.srt');
+    });
+  }
+
+  test('writes speakers back as VTT voices and escapes cue text', () => {
+    const vtt = processor.createCondensedSubtitles(SAMPLE_PERIODS, readFixture('subtitles/sample.vtt'), 'vtt');
+    assert.match(vtt, /^WEBVTT\n\n1\n00:00:00\.500 --> 00:00:02\.900\n<v 母>おはよう。\n/);
+
+    const escaped = processor.formatSubtitles([{ id: 1, startTime: 0, endTime: 1000, text: 'a < b && <i>c</i> --> d' }], 'vtt');
+    assert.match(escaped, /a &lt; b &amp;&amp; <i>c<\/i> --&gt; d/);
+  });
+
+  test('drops lines that fell entirely into silence trimmed by speech detection', () => {
+    // One subtitle period split in two by voice activity detection, with the line at 4000-4500 in the gap
+    const source = { start: 0, end: 6000 };
+    const periods = [{ start: 0, end: 3000, source }, { start: 5000, end: 6000, source }];
+    const subtitles = '1\n00:00:01,000 --> 00:00:02,000\nA\n\n2\n00:00:04,000 --> 00:00:04,500\nB\n\n3\n00:00:05,000 --> 00:00:05,500\nC\n';
+
+    const entries = processor.getCondensedSubtitleEntries(periods, subtitles);
+    assert.deepEqual(entries.map(entry => [entry.text, entry.startTime, entry.endTime]), [
+      ['A', 1000, 2000],
+      ['C', 3000, 3500]
+    ]);
+  });
+
+  test('applies the timing the periods were made with', () => {
+    const timing = { offset: 1000, scale: 1 };
+    const periods = processor.extractPeriods(content, defaultConfig, timing);
+    assert.deepEqual(periods[0], { start: 1500, end: 7500 });
+
+    const entries = processor.getCondensedSubtitleEntries(periods, content, timing);
+    assert.deepEqual(entries.map(entry => entry.startTime), [500, 3300, 6500, 9900]);
+  });
+
+  test('maps original times onto the condensed timeline', () => {
+    assert.equal(processor.toCondensedTime(500, SAMPLE_PERIODS), 0);
+    assert.equal(processor.toCondensedTime(10000, SAMPLE_PERIODS), 6000);
+    assert.equal(processor.toCondensedTime(20000, SAMPLE_PERIODS), 6500);
+    assert.equal(processor.toCondensedTime(60000, SAMPLE_PERIODS), 12500);
+  });
+
+  test('formats SRT, VTT and LRC timestamps', () => {
+    assert.equal(processor.millisecondsToSRTTime(3723004), '01:02:03,004');
+    assert.equal(processor.millisecondsToVTTTime(3723004), '01:02:03.004');
+    assert.equal(processor.millisecondsToLRCTime(123456), '02:03.45');
+  });
+});
@@ -0,0 +1,316 @@
+import { describe, test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CondenserEngine } from '../src/condenser-engine.js';
+import { CancelledError } from '../src/errors.js';
+import { defaultConfig } from '../src/types.js';
+import { createFakeVideo, readFixture, readFixtureFile, quietConsole } from './support/helpers.js';
+
+before(quietConsole);
+
+// Engines created by a test; their progress timers are stopped afterwards
+const engines = [];
+
+function createEngine(onProgress) {
+  const engine = new CondenserEngine(onProgress);
+  engines.push(engine);
+  return engine;
+}
+
+afterEach(async () => {
+  for (const engine of engines.splice(0)) {
+    await engine.cleanup();
+  }
+});
+
+const VIDEO = {
+  duration: 45000,
+  streams: [
+    { type: 'video', codec: 'h264', fps: 24, isDefault: true },
+    { type: 'audio', codec: 'aac', language: 'jpn', isDefault: true }
+  ],
+  speech: [[2000, 5000], [20000, 23000]]
+};
+
+describe('CondenserEngine progress math', () => {
+  test('stage weights cover 0-100% without gaps', () => {
+    const stages = Object.values(createEngine().stageWeights);
+    assert.equal(stages[0].start, 0);
+    for (let i = 1; i < stages.length; i++) {
+      assert.equal(stages[i].start, stages[i - 1].start + stages[i - 1].weight);
+    }
+    assert.equal(stages.at(-1).start + stages.at(-1).weight, 100);
+  });
+
+  test('places stage progress within the stage weight', () => {
+    const engine = createEngine();
+    const fileProgress = (stage, progress, total = 100) => engine.calculateCurrentFileProgress({ stage, progress, total });
+
+    assert.equal(fileProgress('Reading subtitles', 0), 0);
+    assert.equal(fileProgress('Condensing audio', 0), 30);
+    assert.equal(fileProgress('Condensing audio', 50), 63.5);
+    assert.equal(fileProgress('Detecting speech', 1, 4), 15);
+    assert.equal(fileProgress('Complete', 100), 100);
+    assert.equal(fileProgress('Condensing audio', 500), 100);
+    assert.equal(fileProgress('Condensing audio', 10, 0), 30);
+  });
+
+  test('keeps the current progress for unknown stages', () => {
+    const engine = createEngine();
+    engine.currentProgress.currentFileProgress = 42;
+    assert.equal(engine.calculateCurrentFileProgress({ stage: 'loading', progress: 0, total: 100 }), 42);
+  });
+
+  test('spreads file progress over the batch', () => {
+    const engine = createEngine();
+    assert.equal(engine.calculateOverallProgress(50), 0);
+
+    Object.assign(engine.currentProgress, { fileIndex: 2, totalFiles: 4 });
+    assert.equal(engine.calculateOverallProgress(0), 25);
+    assert.equal(engine.calculateOverallProgress(50), 37.5);
+
+    Object.assign(engine.currentProgress, { fileIndex: 4, totalFiles: 4 });
+    assert.equal(engine.calculateOverallProgress(100), 100);
+    assert.equal(engine.calculateOverallProgress(150), 100);
+  });
+
+  test('moves to the end of a completed stage and notifies', () => {
+    const updates = [];
+    const engine = createEngine(progress => updates.push(progress));
+    Object.assign(engine.currentProgress, { fileIndex: 1, totalFiles: 2 });
+
+    engine.setStageComplete('Extracting audio', 'Video file ready');
+    assert.equal(updates.at(-1).stage, 'Extracting audio');
+    assert.equal(updates.at(-1).currentFileProgress, 10);
+    assert.equal(updates.at(-1).percentComplete, 5);
+  });
+
+  test('eases smoothly from 0 to 1', () => {
+    const engine = createEngine();
+    assert.equal(engine.easeInOutCubic(0), 0);
+    assert.equal(engine.easeInOutCubic(0.5), 0.5);
+    assert.equal(engine.easeInOutCubic(1), 1);
+    assert.ok(engine.easeInOutCubic(0.25) < 0.25);
+    assert.ok(engine.easeInOutCubic(0.75) > 0.75);
+  });
+
+  test('interpolates towards the end of a stage until stopped', async () => {
+    const updates = [];
+    const engine = createEngine(progress => updates.push(progress.currentFileProgress));
+    Object.assign(engine.currentProgress, { fileIndex: 1, totalFiles: 1 });
+
+    engine.startSmoothProgress('Analyzing subtitles', 'Extracting speech periods...', 100);
+    await engine.sleep(200);
+
+    assert.equal(engine.progressTimer, null);
+    assert.ok(updates.length > 0);
+    assert.deepEqual(updates, [...updates].sort((a, b) => a - b));
+    assert.equal(updates.at(-1), 5);
+  });
+
+  test('gives no time estimate for a single file', () => {
+    const engine = createEngine();
+    Object.assign(engine.currentProgress, { totalFiles: 1, startTime: Date.now() - 60000, percentComplete: 50 });
+    assert.equal(engine.calculateEstimatedTime(), null);
+  });
+
+  test('estimates the remaining time from the average speed', () => {
+    const engine = createEngine();
+    Object.assign(engine.currentProgress, { totalFiles: 2, startTime: Date.now() - 10000, percentComplete: 20 });
+    assert.equal(Math.round(engine.calculateEstimatedTime() / 1000), 40);
+  });
+});
+
+describe('CondenserEngine end to end', () => {
+  test('condenses a video with a subtitle file', async () => {
+    const updates = [];
+    const engine = createEngine(progress => updates.push(progress));
+    const config = { ...defaultConfig, outputCondensedSubtitles: true, condensedSubtitlesFormat: 'lrc' };
+
+    const result = await engine.condenseSingleFile(
+      createFakeVideo('episode01.mkv', VIDEO),
+      readFixtureFile('subtitles/sample.srt'),
+      config
+    );
+
+    assert.deepEqual(result.segments, [
+      { start: 0, end: 6000, sourceStart: 500, sourceEnd: 6500 },
+      { start: 6000, end: 9400, sourceStart: 19500, sourceEnd: 22900 },
+      { start: 9400, end: 12500, sourceStart: 39500, sourceEnd: 42600 }
+    ]);
+    assert.equal(result.originalDuration, 45000);
+    assert.equal(result.condensedDuration, 12500);
+    assert.equal(result.periodsCount, 3);
+    assert.equal(result.subtitleEncoding, 'utf-8');
+    assert.equal(result.lines.length, 4);
+
+    const audio = JSON.parse(await result.audioBlob.text());
+    assert.deepEqual(audio, { codec: 'libmp3lame', segments: [[500, 6500], [19500, 22900], [39500, 42600]] });
+    assert.equal(await result.subtitleBlob.text(), readFixture('golden/sample.condensed.lrc'));
+
+    assert.equal(updates.at(-1).stage, 'Complete');
+    assert.equal(updates.at(-1).percentComplete, 100);
+    assert.equal(engine.progressTimer, null);
+    assert.equal(engine.audioProcessor.inputFile, null);
+  });
+
+  test('trims subtitle periods to detected speech', async () => {
+    const engine = createEngine();
+    const result = await engine.condenseSingleFile(
+      createFakeVideo('episode01.mkv', VIDEO),
+      readFixtureFile('subtitles/sample.srt'),
+      { ...defaultConfig, vadEnabled: true }
+    );
+
+    // The last period has no speech and is dropped; the others shrink to the speech plus 150ms
+    assert.deepEqual(result.segments.map(segment => [segment.sourceStart, segment.sourceEnd]), [[1850, 5150], [19850, 22900]]);
+    assert.equal(result.lines.length, 3);
+  });
+
+  test('aligns subtitles that run early against the speech in the audio', async () => {
+    const engine = createEngine();
+    // Speech starts 2s after each kept subtitle line
+    const speech = [[3000, 5400], [5800, 8000], [22000, 24400], [42000, 44600]];
+    const video = createFakeVideo('episode01.mkv', { ...VIDEO, duration: 50000, speech });
+    const subtitles = readFixtureFile('subtitles/sample.srt');
+
+    const suggested = await engine.condenseSingleFile(video, subtitles, { ...defaultConfig, subtitleSync: 'suggest' });
+    assert.equal(suggested.timing, null);
+    assert.deepEqual([suggested.suggestedTiming.offset, suggested.suggestedTiming.scale], [2000, 1]);
+    assert.equal(suggested.segments[0].sourceStart, 500);
+
+    const applied = await engine.condenseSingleFile(video, subtitles, { ...defaultConfig, subtitleSync: 'apply' });
+    assert.equal(applied.timing.offset, 2000);
+    assert.equal(applied.timing.reliable, true);
+    assert.deepEqual(applied.segments.map(segment => [segment.sourceStart, segment.sourceEnd]), [[2500, 8500], [21500, 24900], [41500, 44600]]);
+  });
+
+  test('keeps a manual timing and only suggests the detected one', async () => {
+    const updates = [];
+    const engine = createEngine(progress => updates.push(progress.message));
+    const speech = [[3000, 5400], [5800, 8000], [22000, 24400], [42000, 44600]];
+    const video = createFakeVideo('episode01.mkv', { ...VIDEO, duration: 50000, speech });
+
+    const result = await engine.condenseSingleFile(
+      video,
+      readFixtureFile('subtitles/sample.srt'),
+      { ...defaultConfig, subtitleSync: 'apply' },
+      1,
+      1,
+      { timing: { offset: 1000 } }
+    );
+    assert.deepEqual([result.timing.offset, result.timing.source], [1000, 'manual']);
+    assert.equal(result.suggestedTiming.offset, 2000);
+    assert.equal(result.segments[0].sourceStart, 1500);
+    assert.ok(updates.includes('Kept manual subtitle timing +1.00s (detected +2.00s)'));
+  });
+
+  test('condenses speech found in the audio when there are no subtitles', async () => {
+    const engine = createEngine();
+    const result = await engine.condenseSingleFile(
+      createFakeVideo('episode01.mkv', VIDEO),
+      null,
+      { ...defaultConfig, noSubtitlesMode: true }
+    );
+
+    assert.deepEqual(result.segments.map(segment => [segment.sourceStart, segment.sourceEnd]), [[1500, 5500], [19500, 23000]]);
+    assert.equal(result.speechRatio, 6000 / 45000);
+    assert.deepEqual(result.lines, []);
+  });
+
+  test('uses the embedded subtitle track when no file is given', async () => {
+    const engine = createEngine();
+    const video = createFakeVideo('episode01.mkv', {
+      ...VIDEO,
+      streams: [...VIDEO.streams, { type: 'subtitle', codec: 'ass', language: 'jpn', content: readFixture('subtitles/sample.ass') }]
+    });
+
+    const result = await engine.condenseSingleFile(video, null, defaultConfig);
+    assert.equal(result.condensedDuration, 12500);
+    assert.deepEqual(result.lines.map(line => line.text), ['おはよう。', '今日は早いね。', 'はい、元気です。', 'また明日。\nじゃあね。']);
+  });
+
+  test('times MicroDVD subtitles with the video frame rate', async () => {
+    const engine = createEngine();
+    const subtitles = new File(['{24}{72}一行目\n{480}{528}二行目\n'], 'episode01.sub');
+
+    const result = await engine.condenseSingleFile(createFakeVideo('episode01.mkv', VIDEO), subtitles, defaultConfig);
+    assert.deepEqual(result.segments.map(segment => [segment.sourceStart, segment.sourceEnd]), [[500, 3500], [19500, 22000]]);
+  });
+
+  test('condenses image-based subtitles by their display times', async () => {
+    const engine = createEngine();
+    const video = createFakeVideo('episode01.mkv', VIDEO);
+
+    const fromSup = await engine.condenseSingleFile(video, readFixtureFile('bitmap/sample.sup'), defaultConfig);
+    assert.deepEqual(fromSup.segments.map(segment => [segment.sourceStart, segment.sourceEnd]), [[500, 6500], [39500, 45000]]);
+
+    // A VobSub index alone still gives the start times
+    const fromIdx = await engine.condenseSingleFile(video, readFixtureFile('bitmap/sample.idx'), defaultConfig);
+    assert.deepEqual(fromIdx.segments.map(segment => [segment.sourceStart, segment.sourceEnd]), [[500, 6500], [19500, 25500], [39500, 45000]]);
+  });
+
+  test('reads audio for previews without disturbing a run', async () => {
+    const engine = createEngine();
+    const video = createFakeVideo('episode01.mkv', VIDEO);
+    const other = createFakeVideo('episode02.mkv', VIDEO);
+    const runSignal = engine.createAbortSignal();
+    await engine.audioProcessor.mountInputFile(video, runSignal);
+
+    const region = await engine.readAudioRegion(video, 2000, 3000, defaultConfig);
+    assert.equal(region.samples.length, region.sampleRate);
+    assert.equal(engine.abortController.signal, runSignal);
+    assert.equal(engine.audioProcessor.inputFile, video);
+
+    // A read of another file mounts it in the run's place and releases it afterwards
+    const waveform = await engine.createWaveform(other, defaultConfig);
+    assert.equal(waveform.duration, 45000);
+    assert.equal(engine.audioProcessor.inputFile, null);
+    assert.equal(runSignal.aborted, false);
+  });
+
+  test('stops preview reads', async () => {
+    const engine = createEngine();
+    const waveform = engine.createWaveform(createFakeVideo('episode01.mkv', VIDEO), defaultConfig);
+    engine.stop();
+
+    await assert.rejects(waveform, CancelledError);
+    assert.equal(engine.audioReadControllers.size, 0);
+  });
+
+  test('fails with the reason when the video has no audio', async () => {
+    const engine = createEngine();
+    const video = createFakeVideo('episode01.mkv', { ...VIDEO, streams: [VIDEO.streams[0]] });
+
+    await assert.rejects(
+      engine.condenseSingleFile(video, readFixtureFile('subtitles/sample.srt'), defaultConfig),
+      { message: 'Processing failed: No audio stream found in episode01.mkv' }
+    );
+    assert.equal(engine.progressTimer, null);
+  });
+
+  test('throws a CancelledError when stopped', async () => {
+    const engine = createEngine();
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(
+      engine.condenseSingleFile(createFakeVideo('episode01.mkv', VIDEO), readFixtureFile('subtitles/sample.srt'), defaultConfig, 1, 1, { signal: controller.signal }),
+      CancelledError
+    );
+  });
+
+  test('pairs and condenses a batch of files', async () => {
+    const engine = createEngine();
+    const files = [
+      createFakeVideo('Show - 01.mkv', VIDEO),
+      createFakeVideo('Show - 02.mkv', VIDEO),
+      new File([readFixture('subtitles/sample.srt')], 'Show - 02.srt'),
+      new File([readFixture('subtitles/sample.vtt')], 'Show - 01.vtt')
+    ];
+
+    const results = await engine.condenseMultipleFiles(files, defaultConfig, { pauseBetweenBatches: 0 });
+    assert.deepEqual(results.map(result => result.originalFilename), ['Show - 01.mkv', 'Show - 02.mkv']);
+    assert.deepEqual(results.map(result => result.condensedDuration), [12500, 12500]);
+    assert.equal(engine.isCurrentlyProcessing(), false);
+  });
+});
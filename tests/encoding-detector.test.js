@@ -0,0 +1,43 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { EncodingDetector } from '../src/encoding-detector.js';
+import { readFixture } from './support/helpers.js';
+
+const readBytes = name => new Uint8Array(readFileSync(new URL(`./fixtures/subtitles/${name}`, import.meta.url)));
+
+describe('EncodingDetector', () => {
+  const detector = new EncodingDetector();
+  const utf8Text = readFixture('subtitles/sample.srt');
+
+  test('reads UTF-8', () => {
+    const decoded = detector.decode(readBytes('sample.srt'));
+    assert.deepEqual([decoded.encoding, decoded.source], ['utf-8', 'utf-8']);
+    assert.equal(decoded.text, utf8Text);
+  });
+
+  test('reads UTF-16 by its byte order mark', () => {
+    const decoded = detector.decode(readBytes('sample.utf-16.srt'));
+    assert.deepEqual([decoded.encoding, decoded.source], ['utf-16le', 'bom']);
+    assert.equal(decoded.text, utf8Text);
+  });
+
+  test('recognizes Shift_JIS', () => {
+    const decoded = detector.decode(readBytes('sample.shift_jis.srt'));
+    assert.deepEqual([decoded.encoding, decoded.source], ['shift_jis', 'heuristic']);
+    // Shift_JIS 0x8160 decodes to the full-width tilde, not the wave dash it was written from
+    assert.equal(decoded.text, utf8Text.replace(/〜/g, '～'));
+  });
+
+  test('recognizes GBK', () => {
+    const bytes = Uint8Array.from([0xc4, 0xe3, 0xba, 0xc3, 0xa3, 0xac, 0xce, 0xd2, 0xca, 0xc7, 0xd6, 0xd0, 0xb9, 0xfa, 0xc8, 0xcb]);
+    assert.deepEqual(detector.decode(bytes), { text: '你好，我是中国人', encoding: 'gbk', source: 'heuristic' });
+  });
+
+  test('decodes with a chosen encoding', () => {
+    const decoded = detector.decode(readBytes('sample.shift_jis.srt'), 'windows-1252');
+    assert.equal(decoded.source, 'override');
+    assert.notEqual(decoded.text, utf8Text);
+    assert.throws(() => detector.decode(readBytes('sample.srt'), 'klingon'), /Unsupported subtitle encoding: klingon/);
+  });
+});
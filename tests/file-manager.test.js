@@ -0,0 +1,163 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { FileManager } from '../src/file-manager.js';
+import { LanguageTags } from '../src/language-tags.js';
+import { defaultConfig } from '../src/types.js';
+import { quietConsole } from './support/helpers.js';
+
+before(quietConsole);
+
+const file = name => new File([''], name);
+
+describe('FileManager.matchSubtitles', () => {
+  test('prefers exact names over episode matches', () => {
+    const manager = new FileManager();
+    const video = file('[Grp] Show - 01 [1080p].mkv');
+    const exact = file('[Grp] Show - 01 [1080p].srt');
+    const episode = file('Show S01E01.srt');
+
+    const [match] = manager.matchSubtitles([video], [video, episode, exact], defaultConfig);
+    assert.equal(match.subtitleFile, exact);
+    assert.equal(match.type, 'exact');
+    assert.deepEqual(match.candidates.map(candidate => candidate.file), [exact, episode]);
+  });
+
+  test('picks the preferred language among variants and asks only when none is preferred', () => {
+    const manager = new FileManager();
+    const video = file('Show - 01.mkv');
+    const english = file('Show - 01.en.srt');
+    const japanese = file('Show - 01.jpn.srt');
+    const config = { ...defaultConfig, preferredSubtitleLanguages: 'ja,en' };
+
+    const [match] = manager.matchSubtitles([video], [video, english, japanese], config);
+    assert.equal(match.subtitleFile, japanese);
+    assert.equal(match.alternatives.length, 2);
+    assert.equal(match.needsChoice, false);
+
+    const [unsettled] = manager.matchSubtitles([video], [video, english, japanese], defaultConfig);
+    assert.equal(unsettled.alternatives.length, 2);
+    assert.equal(unsettled.needsChoice, true);
+
+    const [quiet] = manager.matchSubtitles([video], [video, english, japanese], { ...defaultConfig, askWhenMultipleSrt: false });
+    assert.equal(quiet.needsChoice, false);
+  });
+
+  test('flags episode matches among language variants only when the variants tie', () => {
+    const manager = new FileManager();
+    const video = file('[Grp] Show - 01 [1080p].mkv');
+    const files = [video, file('Show 01.en.srt'), file('Show 01.ja.srt')];
+
+    const [preferred] = manager.matchSubtitles([video], files, { ...defaultConfig, preferredSubtitleLanguages: 'ja' });
+    assert.equal(preferred.subtitleFile, files[2]);
+    assert.equal(preferred.type, 'intelligent');
+    assert.equal(preferred.ambiguous, false);
+    assert.equal(preferred.needsChoice, false);
+
+    const [tied] = manager.matchSubtitles([video], files, defaultConfig);
+    assert.equal(tied.ambiguous, true);
+    assert.equal(tied.needsChoice, true);
+  });
+
+  test('matches a VobSub pair as one subtitle through its .sub', () => {
+    const manager = new FileManager();
+    const video = file('ep01.mkv');
+    const index = file('ep01.idx');
+    const pictures = file('ep01.sub');
+
+    const [match] = manager.matchSubtitles([video], [video, index, pictures], defaultConfig);
+    assert.equal(match.subtitleFile, pictures);
+    assert.deepEqual(match.candidates.map(candidate => candidate.file), [pictures]);
+    assert.equal(match.needsChoice, false);
+    assert.equal(match.ambiguous, false);
+
+    // An index without its .sub is still matched on its own
+    const [alone] = manager.matchSubtitles([video], [video, index], defaultConfig);
+    assert.equal(alone.subtitleFile, index);
+  });
+
+  test('keeps hand-picked pairs and offers their subtitles to nobody else', () => {
+    const manager = new FileManager();
+    const first = file('Show - 01.mkv');
+    const second = file('Show - 02.mkv');
+    const firstSubtitle = file('Show - 01.srt');
+    const secondSubtitle = file('Show - 02.srt');
+    const assignments = new Map([[first, secondSubtitle]]);
+
+    const matches = manager.matchSubtitles([first, second], [first, second, firstSubtitle, secondSubtitle], defaultConfig, assignments);
+    assert.equal(matches[0].subtitleFile, secondSubtitle);
+    assert.equal(matches[0].type, 'manual');
+    assert.equal(matches[1].subtitleFile, null);
+    assert.equal(matches[1].ambiguous, true);
+  });
+
+  test('prefers subtitles from the video\'s own folder', () => {
+    const manager = new FileManager();
+    const video = file('Show - 01.mkv');
+    const nearby = file('Show 01.srt');
+    const elsewhere = file('Show 01.ass');
+    manager.setRelativePath(video, 'Season 1/Show - 01.mkv');
+    manager.setRelativePath(nearby, 'Season 1/Show 01.srt');
+    manager.setRelativePath(elsewhere, 'Extras/Show 01.ass');
+
+    const [match] = manager.matchSubtitles([video], [video, elsewhere, nearby], defaultConfig);
+    assert.equal(match.subtitleFile, nearby);
+  });
+
+  test('leaves a video without a fitting subtitle unmatched', () => {
+    const manager = new FileManager();
+    const video = file('Show - 03.avi');
+    const { matches, invalidVideos } = manager.findMatchingSubtitles([video], [video, file('Show - 04.srt')], defaultConfig);
+    assert.deepEqual(matches, [null]);
+    assert.deepEqual(invalidVideos, [video]);
+  });
+});
+
+describe('FileManager files', () => {
+  const manager = new FileManager();
+
+  test('sorts a selection into videos, subtitles and other files', () => {
+    const { videoFiles, subtitleFiles, invalidFiles } = manager.validateFiles([
+      file('a.mkv'), file('a.ASS'), file('notes.txt'), file('b.mp4'), file('b.sup')
+    ]);
+    assert.deepEqual(videoFiles.map(f => f.name), ['a.mkv', 'b.mp4']);
+    assert.deepEqual(subtitleFiles.map(f => f.name), ['a.ASS', 'b.sup']);
+    assert.deepEqual(invalidFiles.map(f => f.name), ['notes.txt']);
+  });
+
+  test('describes subtitle variants', () => {
+    assert.equal(manager.describeSubtitleVariant(file('ep01.jpn.forced.srt')), 'Japanese, SRT, forced');
+    assert.equal(manager.getSubtitleVariantKey(file('ep02.ja.srt')), manager.getSubtitleVariantKey(file('ep05.jpn.srt')));
+  });
+
+  test('explains a match with the scores of every candidate', () => {
+    const video = file('Show S01E02.mkv');
+    const explanation = manager.explainMatch(video, [video, file('Show - 02.srt'), file('Show - 03.srt')], defaultConfig);
+
+    assert.equal(explanation.minimumScore, defaultConfig.minimumMatchScore);
+    assert.deepEqual(explanation.candidates.map(candidate => [candidate.file.name, candidate.wouldMatch]), [
+      ['Show - 02.srt', true],
+      ['Show - 03.srt', false]
+    ]);
+  });
+});
+
+describe('LanguageTags', () => {
+  const tags = new LanguageTags();
+
+  test('reads language tags and flags at the end of a name', () => {
+    assert.deepEqual(tags.parse('ep01.jpn'), { baseName: 'ep01', language: 'ja', tag: 'jpn', flags: [] });
+    assert.deepEqual(tags.parse('ep01_en-US'), { baseName: 'ep01', language: 'en', tag: 'en-US', flags: [] });
+    assert.deepEqual(tags.parse('ep01 [JP]'), { baseName: 'ep01', language: 'ja', tag: 'JP', flags: [] });
+    assert.deepEqual(tags.parse('ep01.en.forced.sdh'), { baseName: 'ep01', language: 'en', tag: 'en', flags: ['forced', 'sdh'] });
+  });
+
+  test('does not take title words for two-letter tags', () => {
+    assert.equal(tags.parse('Just Do It').language, null);
+  });
+
+  test('ranks languages by a preference list', () => {
+    assert.equal(tags.getPreferenceRank('ja', 'eng, japanese'), 1);
+    assert.equal(tags.getPreferenceRank('ko', 'eng, japanese'), -1);
+    assert.equal(tags.getPreferenceRank(null, 'eng'), -1);
+  });
+});
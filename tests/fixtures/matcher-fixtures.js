@@ -0,0 +1,205 @@
+/**
+ * Fixtures for the Intelligent File Matcher (tests/intelligent-file-matcher.test.js)
+ *
+ * ANALYSIS_FIXTURES check the episode descriptor read from single filenames,
+ * MATCH_FIXTURES check which subtitle each video of a batch gets.
+ */
+
+// filename -> expected descriptor fields (fields left out aren't checked)
+export const ANALYSIS_FIXTURES = [
+  // Season and episode
+  { filename: 'Attack on Titan S04E01 1080p BluRay x264.mkv', expected: { kind: 'episode', season: 4, episode: 1 } },
+  { filename: 'show.s2e13.720p.srt', expected: { kind: 'episode', season: 2, episode: 13 } },
+  { filename: 'AOT_Season_4_Episode_1_English.srt', expected: { kind: 'episode', season: 4, episode: 1 } },
+  { filename: 'Show 1x05.srt', expected: { kind: 'episode', season: 1, episode: 5 } },
+
+  // Bracketed, prefixed and bare numbers
+  { filename: '[VCB-Studio] Fullmetal Alchemist꞉ Brotherhood [01][Ma10p_1080p][x265_flac].mkv', expected: { kind: 'episode', season: null, episode: 1 } },
+  { filename: '[SubsPlease] Demon Slayer [12] (1080p).mkv', expected: { episode: 12 } },
+  { filename: '[Anime] Demon Slayer (12) Subtitles.srt', expected: { episode: 12 } },
+  { filename: 'One Piece Episode 1000.mkv', expected: { episode: 1000 } },
+  { filename: 'One.Piece.1000.srt', expected: { episode: 1000 } },
+  { filename: 'OP [1000] English Subtitles.srt', expected: { kind: 'episode', episode: 1000 } },
+  { filename: 'Show Ep.07.srt', expected: { episode: 7 } },
+  { filename: 'Show #08.srt', expected: { episode: 8 } },
+  { filename: '[Grp] Show - 03 [BD].mkv', expected: { episode: 3 } },
+  { filename: '86 - Eighty Six - 03.mkv', expected: { kind: 'episode', season: null, episode: 3 } },
+  { filename: 'Show 5.srt', expected: { episode: 5 } },
+
+  // Specials, OVAs, openings and endings
+  { filename: 'Show S00E01.mkv', expected: { kind: 'special', season: 0, episode: 1 } },
+  { filename: 'Show - SP1.srt', expected: { kind: 'special', episode: 1 } },
+  { filename: 'Show Special 2.srt', expected: { kind: 'special', episode: 2 } },
+  { filename: 'Show - OVA 02 [1080p].mkv', expected: { kind: 'ova', episode: 2 } },
+  { filename: 'Show OVA.srt', expected: { kind: 'ova', episode: 1 } },
+  { filename: '[Grp] Show OAD3.mkv', expected: { kind: 'oad', episode: 3 } },
+  { filename: 'Show NCOP1.mkv', expected: { kind: 'opening', episode: 1 } },
+  { filename: 'Show - NCED 2.srt', expected: { kind: 'ending', episode: 2 } },
+  { filename: 'Show - OP2 [1080p].mkv', expected: { kind: 'opening', episode: 2 } },
+
+  // Recaps and multi-episode files
+  { filename: '[Grp] Show - 12.5 [BD 1080p].mkv', expected: { kind: 'episode', episode: 12.5, endEpisode: null } },
+  { filename: 'Show [12.5].srt', expected: { episode: 12.5 } },
+  { filename: 'Show S01E01-E02.mkv', expected: { season: 1, episode: 1, endEpisode: 2 } },
+  { filename: 'Show S01E01E02.srt', expected: { season: 1, episode: 1, endEpisode: 2 } },
+  { filename: 'Show S01E03-04.srt', expected: { season: 1, episode: 3, endEpisode: 4 } },
+  { filename: 'Show - 01-02 [720p].mkv', expected: { episode: 1, endEpisode: 2 } },
+  { filename: 'Show Episode 1 & 2.srt', expected: { episode: 1, endEpisode: 2 } },
+  { filename: 'Show 1x01-1x02.srt', expected: { season: 1, episode: 1, endEpisode: 2 } },
+
+  // CJK numbering and full-width digits
+  { filename: '番組 第01話.srt', expected: { kind: 'episode', episode: 1 } },
+  { filename: '番组 第1集.srt', expected: { episode: 1 } },
+  { filename: '番組 第十二話.ass', expected: { episode: 12 } },
+  { filename: '番组 第二十一集.srt', expected: { episode: 21 } },
+  { filename: '番組 第2期 第3話.srt', expected: { season: 2, episode: 3 } },
+  { filename: 'Show ０５.srt', expected: { episode: 5 } },
+
+  // Versions
+  { filename: 'Show - 01v2 [1080p].mkv', expected: { episode: 1, version: 2 } },
+  { filename: '[Grp] Show [05v3][1920x1080].mkv', expected: { episode: 5, version: 3 } },
+  { filename: 'Show S01E04v2.srt', expected: { season: 1, episode: 4, version: 2 } },
+  { filename: 'Show - 06 [v2].srt', expected: { episode: 6, version: 2 } },
+
+  // Numbers that aren't episodes
+  { filename: 'Show [12345678] - 03.mkv', expected: { episode: 3 } },
+  { filename: '[Grp] Show - 04 [ABCD1234].mkv', expected: { episode: 4 } },
+  { filename: 'Show - 05 [AAC2.0][10bit].mkv', expected: { episode: 5 } },
+  { filename: 'Show 2019 - 05.mkv', expected: { episode: 5 } },
+  { filename: 'Show - 07 [1080p][x264].mkv', expected: { episode: 7 } },
+  { filename: 'Show 480p - 09.srt', expected: { episode: 9 } },
+  { filename: 'Spirited Away (2001) 1080p BluRay.mkv', expected: { kind: null, episode: null } },
+  { filename: 'Movie.2160p.HEVC.DDP5.1.mkv', expected: { episode: null } }
+];
+
+// A batch of videos and subtitles, and the subtitle each video should get (null for none)
+export const MATCH_FIXTURES = [
+  {
+    name: 'Bracketed video to S01E01 subtitles',
+    videos: [
+      '[VCB-Studio] Fullmetal Alchemist꞉ Brotherhood [01][Ma10p_1080p][x265_flac].mkv',
+      '[VCB-Studio] Fullmetal Alchemist꞉ Brotherhood [02][Ma10p_1080p][x265_flac].mkv',
+      '[VCB-Studio] Fullmetal Alchemist꞉ Brotherhood [03][Ma10p_1080p][x265_flac].mkv'
+    ],
+    subtitles: [
+      'Fullmetal Alchemist - Brotherhood S01E01 the First Day jpn.srt',
+      'Fullmetal Alchemist - Brotherhood S01E02 the First Day jpn.srt',
+      'Fullmetal Alchemist - Brotherhood S01E03 City of Heresy jpn.srt'
+    ],
+    expected: {
+      '[VCB-Studio] Fullmetal Alchemist꞉ Brotherhood [01][Ma10p_1080p][x265_flac].mkv': 'Fullmetal Alchemist - Brotherhood S01E01 the First Day jpn.srt',
+      '[VCB-Studio] Fullmetal Alchemist꞉ Brotherhood [02][Ma10p_1080p][x265_flac].mkv': 'Fullmetal Alchemist - Brotherhood S01E02 the First Day jpn.srt',
+      '[VCB-Studio] Fullmetal Alchemist꞉ Brotherhood [03][Ma10p_1080p][x265_flac].mkv': 'Fullmetal Alchemist - Brotherhood S01E03 City of Heresy jpn.srt'
+    }
+  },
+  {
+    name: 'Season and episode across naming styles',
+    videos: ['Attack on Titan S04E01 1080p BluRay x264.mkv'],
+    subtitles: [
+      '[HorribleSubs] Shingeki no Kyojin - 02 [1080p].srt',
+      'Attack.on.Titan.Episode.03.srt',
+      'AOT_Season_4_Episode_1_English.srt'
+    ],
+    expected: { 'Attack on Titan S04E01 1080p BluRay x264.mkv': 'AOT_Season_4_Episode_1_English.srt' }
+  },
+  {
+    name: 'Four-digit episode numbers',
+    videos: ['One Piece Episode 1000.mkv'],
+    subtitles: ['One.Piece.999.srt', 'One.Piece.1000.srt', 'One Piece 1001.srt'],
+    expected: { 'One Piece Episode 1000.mkv': 'One.Piece.1000.srt' }
+  },
+  {
+    name: 'Bracketed and parenthesized numbers',
+    videos: ['[SubsPlease] Demon Slayer [12] (1080p).mkv'],
+    subtitles: ['Demon_Slayer_11_English.srt', '[Anime] Demon Slayer (12) Subtitles.srt'],
+    expected: { '[SubsPlease] Demon Slayer [12] (1080p).mkv': '[Anime] Demon Slayer (12) Subtitles.srt' }
+  },
+  {
+    name: 'Movies without episode numbers stay unmatched',
+    videos: ['Spirited Away (2001) 1080p BluRay.mkv'],
+    subtitles: ['Princess Mononoke 1997.srt', 'Your Name Episode 01.srt', 'Spirited Away Movie.srt'],
+    expected: { 'Spirited Away (2001) 1080p BluRay.mkv': null }
+  },
+  {
+    name: 'Specials match specials, not regular episodes',
+    videos: ['Show S01E01.mkv', 'Show S00E01.mkv'],
+    subtitles: ['Show - 01.srt', 'Show - SP01.srt'],
+    expected: { 'Show S01E01.mkv': 'Show - 01.srt', 'Show S00E01.mkv': 'Show - SP01.srt' }
+  },
+  {
+    name: 'OVAs and creditless openings/endings',
+    videos: ['[Grp] Show - 01 [1080p].mkv', '[Grp] Show - OVA [1080p].mkv', '[Grp] Show - NCOP1 [1080p].mkv', '[Grp] Show - NCED1 [1080p].mkv'],
+    subtitles: ['Show 01.ass', 'Show OVA.ass', 'Show NCOP 1.ass', 'Show NCED 1.ass'],
+    expected: {
+      '[Grp] Show - 01 [1080p].mkv': 'Show 01.ass',
+      '[Grp] Show - OVA [1080p].mkv': 'Show OVA.ass',
+      '[Grp] Show - NCOP1 [1080p].mkv': 'Show NCOP 1.ass',
+      '[Grp] Show - NCED1 [1080p].mkv': 'Show NCED 1.ass'
+    }
+  },
+  {
+    name: 'Recap episodes with decimal numbers',
+    videos: ['[Grp] Show - 12 [1080p].mkv', '[Grp] Show - 12.5 [1080p].mkv', '[Grp] Show - 13 [1080p].mkv'],
+    subtitles: ['Show - 12.srt', 'Show - 12.5.srt', 'Show - 13.srt'],
+    expected: {
+      '[Grp] Show - 12 [1080p].mkv': 'Show - 12.srt',
+      '[Grp] Show - 12.5 [1080p].mkv': 'Show - 12.5.srt',
+      '[Grp] Show - 13 [1080p].mkv': 'Show - 13.srt'
+    }
+  },
+  {
+    name: 'Double episodes prefer the double subtitle',
+    videos: ['Show S01E01-E02.mkv', 'Show S01E03.mkv'],
+    subtitles: ['Show S01E01.srt', 'Show S01E01E02.srt', 'Show S01E03.srt'],
+    expected: { 'Show S01E01-E02.mkv': 'Show S01E01E02.srt', 'Show S01E03.mkv': 'Show S01E03.srt' }
+  },
+  {
+    name: 'Double episode falls back to an overlapping single',
+    videos: ['Show S01E01-E02.mkv'],
+    subtitles: ['Show S01E01.srt', 'Show S01E05.srt'],
+    expected: { 'Show S01E01-E02.mkv': 'Show S01E01.srt' }
+  },
+  {
+    name: 'CJK episode numbering',
+    videos: ['[Grp] 番組 - 01 [1080p].mkv', '[Grp] 番組 - 02 [1080p].mkv', '[Grp] 番組 - 12 [1080p].mkv'],
+    subtitles: ['番組 第01話.srt', '番組 第2話.srt', '番組 第十二話.srt'],
+    expected: {
+      '[Grp] 番組 - 01 [1080p].mkv': '番組 第01話.srt',
+      '[Grp] 番組 - 02 [1080p].mkv': '番組 第2話.srt',
+      '[Grp] 番組 - 12 [1080p].mkv': '番組 第十二話.srt'
+    }
+  },
+  {
+    name: 'Versioned releases',
+    videos: ['[Grp] Show - 01v2 [1080p].mkv', '[Grp] Show - 02 [1080p].mkv'],
+    subtitles: ['Show - 01.srt', 'Show - 02v3.srt'],
+    expected: { '[Grp] Show - 01v2 [1080p].mkv': 'Show - 01.srt', '[Grp] Show - 02 [1080p].mkv': 'Show - 02v3.srt' }
+  },
+  {
+    name: 'Resolutions and CRC hashes are not episode numbers',
+    videos: ['[Grp] Show - 03 [720p][0A1B2C3D].mkv', '[Grp] Show - 04 [1080p][12345678].mkv'],
+    subtitles: ['Show 04.srt', 'Show 03.srt', 'Show 720.srt'],
+    expected: { '[Grp] Show - 03 [720p][0A1B2C3D].mkv': 'Show 03.srt', '[Grp] Show - 04 [1080p][12345678].mkv': 'Show 04.srt' }
+  },
+  {
+    name: 'Sequential videos to seasonal subtitles',
+    videos: ['[Grp] Show [13].mkv', '[Grp] Show [14].mkv'],
+    subtitles: [
+      ...Array.from({ length: 13 }, (_, i) => `Show S01E${String(i + 1).padStart(2, '0')}.srt`),
+      'Show S02E01.srt'
+    ],
+    expected: { '[Grp] Show [13].mkv': 'Show S01E13.srt', '[Grp] Show [14].mkv': 'Show S02E01.srt' }
+  },
+  {
+    name: 'Number in the title before the episode',
+    videos: ['86 - Eighty Six - 03.mkv', '86 - Eighty Six - 04.mkv'],
+    subtitles: ['[Subs] 86 - Eighty Six - 04.srt', '[Subs] 86 - Eighty Six - 03.srt'],
+    expected: { '86 - Eighty Six - 03.mkv': '[Subs] 86 - Eighty Six - 03.srt', '86 - Eighty Six - 04.mkv': '[Subs] 86 - Eighty Six - 04.srt' }
+  },
+  {
+    name: 'Two videos never share a subtitle',
+    videos: ['Show - 05 [A].mkv', 'Show - 05 [B].mkv'],
+    subtitles: ['Show - 05.srt'],
+    expected: { 'Show - 05 [A].mkv': 'Show - 05.srt', 'Show - 05 [B].mkv': null }
+  }
+];
@@ -0,0 +1,110 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { FolderScanner } from '../src/folder-scanner.js';
+import { FileManager } from '../src/file-manager.js';
+import { quietConsole } from './support/helpers.js';
+
+before(quietConsole);
+
+const file = name => new File([''], name);
+
+// A file picked with <input webkitdirectory>
+function pickedFile(path) {
+  const picked = file(path.split('/').pop());
+  Object.defineProperty(picked, 'webkitRelativePath', { value: path });
+  return picked;
+}
+
+// FileSystemHandle trees (getAsFileSystemHandle): a string is a file, an object a folder
+function createHandle(name, content) {
+  if (typeof content === 'string') {
+    return { kind: 'file', name, getFile: async () => file(name) };
+  }
+  return {
+    kind: 'directory',
+    name,
+    async *values() {
+      for (const [childName, child] of Object.entries(content)) {
+        yield createHandle(childName, child);
+      }
+    }
+  };
+}
+
+// FileSystemEntry trees (webkitGetAsEntry), whose readers return two entries per call
+function createEntry(name, content) {
+  if (typeof content === 'string') {
+    return { isFile: true, name, file: resolve => resolve(file(name)) };
+  }
+  return {
+    isFile: false,
+    name,
+    createReader() {
+      const children = Object.entries(content).map(([childName, child]) => createEntry(childName, child));
+      return { readEntries: resolve => resolve(children.splice(0, 2)) };
+    }
+  };
+}
+
+function dropItem({ handle = null, entry = null, file: dropped = null }) {
+  return {
+    kind: 'file',
+    getAsFileSystemHandle: handle ? () => handle : undefined,
+    webkitGetAsEntry: () => entry,
+    getAsFile: () => dropped
+  };
+}
+
+const SEASON = {
+  'ep10.mkv': '',
+  'ep2.mkv': '',
+  'ep2.srt': '',
+  'notes.txt': '',
+  '._ep2.mkv': '',
+  Extras: { 'ep2.ass': '', 'cover.jpg': '' }
+};
+
+const SEASON_PATHS = ['Season 1/ep2.mkv', 'Season 1/ep2.srt', 'Season 1/ep10.mkv', 'Season 1/Extras/ep2.ass'];
+
+describe('FolderScanner', () => {
+  const scanner = new FolderScanner(new FileManager());
+
+  test('walks dropped folder handles, keeping videos and subtitles in natural order', async () => {
+    const results = await scanner.scanDataTransfer({
+      items: [dropItem({ handle: Promise.resolve(createHandle('Season 1', SEASON)) })]
+    });
+    assert.deepEqual(results.map(result => result.path), SEASON_PATHS);
+    assert.deepEqual(results.map(result => result.file.name), ['ep2.mkv', 'ep2.srt', 'ep10.mkv', 'ep2.ass']);
+  });
+
+  test('falls back to directory entries read in chunks', async () => {
+    const results = await scanner.scanDataTransfer({
+      items: [dropItem({ handle: Promise.reject(new Error('Not allowed')), entry: createEntry('Season 1', SEASON) })]
+    });
+    assert.deepEqual(results.map(result => result.path), SEASON_PATHS);
+  });
+
+  test('keeps any file dropped on its own', async () => {
+    const notes = file('notes.txt');
+    const results = await scanner.scanDataTransfer({
+      items: [dropItem({ entry: createEntry('ep1.mkv', '') }), dropItem({ file: notes })]
+    });
+    assert.deepEqual(results.map(result => result.path), ['ep1.mkv', 'notes.txt']);
+    assert.equal(results[1].file, notes);
+  });
+
+  test('reads the file list when a drop has no items', async () => {
+    const dropped = file('ep1.mkv');
+    assert.deepEqual(await scanner.scanDataTransfer({ files: [dropped] }), [{ file: dropped, path: 'ep1.mkv' }]);
+  });
+
+  test('filters and orders files picked with a folder input', () => {
+    const results = scanner.scanFileList([
+      pickedFile('Show/ep10.mkv'),
+      pickedFile('Show/readme.txt'),
+      pickedFile('Show/ep9.srt'),
+      file('loose.txt')
+    ]);
+    assert.deepEqual(results.map(result => result.path), ['loose.txt', 'Show/ep9.srt', 'Show/ep10.mkv']);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { IntelligentFileMatcher, DEFAULT_MINIMUM_MATCH_SCORE } from '../src/intelligent-file-matcher.js';
+import { ANALYSIS_FIXTURES, MATCH_FIXTURES } from './fixtures/matcher-fixtures.js';
+import { quietConsole } from './support/helpers.js';
+
+before(quietConsole);
+
+describe('IntelligentFileMatcher.analyzeFilename', () => {
+  const matcher = new IntelligentFileMatcher();
+
+  for (const fixture of ANALYSIS_FIXTURES) {
+    test(fixture.filename, () => {
+      const info = matcher.analyzeFilename(fixture.filename);
+      const actual = Object.fromEntries(Object.keys(fixture.expected).map(key => [key, info[key]]));
+      assert.deepEqual(actual, fixture.expected);
+    });
+  }
+});
+
+describe('IntelligentFileMatcher.findMultipleMatches', () => {
+  const matcher = new IntelligentFileMatcher();
+
+  for (const fixture of MATCH_FIXTURES) {
+    test(fixture.name, () => {
+      const matches = matcher.findMultipleMatches(
+        fixture.videos.map(name => ({ name })),
+        fixture.subtitles.map(name => ({ name }))
+      );
+      const actual = Object.fromEntries(
+        matches.map(match => [match.videoFile.name, match.subtitleFile?.name ?? null])
+      );
+      assert.deepEqual(actual, fixture.expected);
+    });
+  }
+
+  test('matches a 50-episode batch one-to-one', () => {
+    const videos = [];
+    const subtitles = [];
+    for (let i = 1; i <= 50; i++) {
+      videos.push({ name: `[Anime Group] Series Name [${String(i).padStart(2, '0')}] [1080p].mkv` });
+      subtitles.push({ name: `Series Name Episode ${i} English.srt` });
+    }
+
+    const matches = matcher.findMultipleMatches(videos, subtitles);
+    assert.equal(matches.filter(match => match.matched).length, 50);
+    matches.forEach((match, index) => assert.equal(match.subtitleFile, subtitles[index]));
+  });
+
+  test('pairs against more scores than a call can take as arguments', () => {
+    const scores = [Array.from({ length: 500000 }, (_, column) => (column === 123456 ? 90 : 10))];
+    assert.deepEqual(matcher.solveAssignment(scores), [123456]);
+  });
+});
+
+describe('IntelligentFileMatcher scoring', () => {
+  const matcher = new IntelligentFileMatcher();
+
+  test('explains a score as the sum of its parts', () => {
+    const breakdown = matcher.getScoreBreakdown(
+      matcher.analyzeFilename('Show S01E05 [1080p].mkv'),
+      matcher.analyzeFilename('Show S01E05.srt')
+    );
+    const parts = breakdown.episode + breakdown.season + breakdown.title + breakdown.pattern + breakdown.confidence;
+    assert.equal(breakdown.reason, null);
+    assert.equal(breakdown.episode, 50);
+    assert.equal(breakdown.score, Math.min(100, Math.max(0, parts)));
+  });
+
+  test('scores 0 with a reason when episodes differ', () => {
+    const breakdown = matcher.getScoreBreakdown(
+      matcher.analyzeFilename('Show - 05.mkv'),
+      matcher.analyzeFilename('Show - 06.srt')
+    );
+    assert.equal(breakdown.score, 0);
+    assert.equal(breakdown.reason, 'episode-mismatch');
+  });
+
+  test('takes the minimum score from the config', () => {
+    assert.equal(matcher.getMinimumMatchScore(), DEFAULT_MINIMUM_MATCH_SCORE);
+    assert.equal(matcher.getMinimumMatchScore({ minimumMatchScore: 75 }), 75);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResultExporter, MANIFEST_FILENAME } from '../src/result-exporter.js';
+import { ZipWriter } from '../src/zip-writer.js';
+import { FileManager } from '../src/file-manager.js';
+import { defaultConfig } from '../src/types.js';
+
+const result = (sourcePath, withSubtitles = true) => ({
+  audioBlob: new Blob(['audio']),
+  subtitleBlob: withSubtitles ? new Blob(['subtitles']) : undefined,
+  originalFilename: sourcePath.split('/').pop(),
+  sourcePath,
+  originalDuration: 45000,
+  condensedDuration: 12500,
+  periodsCount: 3
+});
+
+describe('ResultExporter', () => {
+  const exporter = new ResultExporter(new FileManager());
+  const config = { ...defaultConfig, outputCondensedSubtitles: true };
+
+  test('keeps source subfolders and gives equal names a suffix', () => {
+    const files = exporter.getOutputFiles(
+      [result('Season 1/ep01.mkv'), result('ep01.mkv', false), result('ep01.mp4'), result('../ep02.mkv', false)],
+      config
+    );
+    assert.deepEqual(files.map(file => [file.path, file.kind]), [
+      ['Season 1/ep01_con.mp3', 'audio'],
+      ['Season 1/ep01_con.srt', 'subtitles'],
+      ['ep01_con.mp3', 'audio'],
+      ['ep01_con (2).mp3', 'audio'],
+      ['ep01_con (2).srt', 'subtitles'],
+      ['ep02_con.mp3', 'audio']
+    ]);
+  });
+
+  test('lists every source in the manifest', () => {
+    const files = exporter.getOutputFiles([result('Season 1/ep01.mkv')], config);
+    const manifest = JSON.parse(exporter.createManifest(files, config, new Date('2024-05-01T12:00:00Z')));
+
+    assert.equal(manifest.created, '2024-05-01T12:00:00.000Z');
+    assert.equal(manifest.settings.condensedSubtitlesFormat, 'srt');
+    assert.deepEqual(manifest.files, [{
+      source: 'Season 1/ep01.mkv',
+      audio: 'Season 1/ep01_con.mp3',
+      subtitles: 'Season 1/ep01_con.srt',
+      originalDuration: 45000,
+      condensedDuration: 12500,
+      segments: 3,
+      speechRatio: null,
+      timing: null,
+      subtitleEncoding: null
+    }]);
+  });
+
+  test('packages results and the manifest into a ZIP', async () => {
+    const zip = new Uint8Array(await (await exporter.createZip([result('ep01.mkv')], config)).arrayBuffer());
+    const view = new DataView(zip.buffer);
+    const end = zip.length - 22;
+
+    assert.equal(view.getUint32(0, true), 0x04034b50);
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    assert.equal(view.getUint16(end + 10, true), 3);
+
+    const names = new TextDecoder().decode(zip);
+    assert.ok(names.includes('ep01_con.mp3'));
+    assert.ok(names.includes(MANIFEST_FILENAME));
+  });
+});
+
+describe('ZipWriter', () => {
+  test('computes the standard CRC-32', async () => {
+    assert.equal(await new ZipWriter().computeCrc(new Blob(['123456789'])), 0xcbf43926);
+  });
+
+  test('stores dates in MS-DOS format', () => {
+    const { time, day } = new ZipWriter().toDosDateTime(new Date(2024, 4, 1, 13, 45, 31));
+    assert.equal(time, (13 << 11) | (45 << 5) | 15);
+    assert.equal(day, (44 << 9) | (5 << 5) | 1);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SubtitleAligner, FRAME_RATE_SCALES } from '../src/subtitle-aligner.js';
+
+const FRAME_MS = 10;
+
+// Eighty lines of 1-4s with irregular 0.5-12s gaps, over about ten minutes
+const INTERVALS = [];
+for (let i = 0, seed = 7, time = 5000; i < 80; i++) {
+  const next = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const start = time + Math.round(500 + next() * 11500);
+  time = start + Math.round(1000 + next() * 3000);
+  INTERVALS.push([start, time]);
+}
+
+// Speech mask for lines moved to t * scale + offset
+function speechMask(intervals, { offset = 0, scale = 1 } = {}) {
+  const mask = new Uint8Array(80000);
+  for (const [start, end] of intervals) {
+    mask.fill(1, Math.round((start * scale + offset) / FRAME_MS), Math.round((end * scale + offset) / FRAME_MS));
+  }
+  return mask;
+}
+
+describe('SubtitleAligner', () => {
+  const aligner = new SubtitleAligner();
+
+  test('finds the shift of subtitles that run early', () => {
+    const result = aligner.align(INTERVALS, speechMask(INTERVALS, { offset: 2340 }), FRAME_MS);
+    assert.equal(result.offset, 2340);
+    assert.equal(result.scale, 1);
+    assert.equal(result.reliable, true);
+  });
+
+  test('finds a frame rate stretch with a shift', () => {
+    const scale = FRAME_RATE_SCALES.find(candidate => candidate.label === '25 → 23.976 fps').scale;
+    const result = aligner.align(INTERVALS, speechMask(INTERVALS, { offset: -1500, scale }), FRAME_MS);
+    assert.equal(result.scale, scale);
+    assert.ok(Math.abs(result.offset + 1500) <= FRAME_MS);
+    assert.equal(result.reliable, true);
+  });
+
+  test('keeps shifts within maxShiftMs', () => {
+    const result = new SubtitleAligner({ maxShiftMs: 1000 }).align(INTERVALS, speechMask(INTERVALS, { offset: 5000 }), FRAME_MS);
+    assert.ok(Math.abs(result.offset) <= 1000);
+    assert.equal(result.reliable, false);
+  });
+
+  test('does not trust speech unrelated to the subtitles', () => {
+    const mask = new Uint8Array(80000);
+    for (let i = 0; i < mask.length; i += 300) mask.fill(1, i, i + 150);
+
+    const result = aligner.align(INTERVALS, mask, FRAME_MS);
+    assert.equal(result.reliable, false);
+  });
+
+  test('returns no timing without subtitles or audio', () => {
+    const none = { offset: 0, scale: 1, confidence: 0, reliable: false };
+    assert.deepEqual(aligner.align([], speechMask(INTERVALS), FRAME_MS), none);
+    assert.deepEqual(aligner.align(INTERVALS, new Uint8Array(0), FRAME_MS), none);
+  });
+});
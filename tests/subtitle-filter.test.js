@@ -0,0 +1,75 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SubtitleFilter, DEFAULT_FILTER_RULES } from '../src/subtitle-filter.js';
+
+const line = (text, startTime = 0, endTime = 2000) => ({ text, startTime, endTime });
+
+describe('SubtitleFilter.apply', () => {
+  const filter = new SubtitleFilter();
+
+  test('runs each rule type', () => {
+    const rules = [
+      { name: 'No credits', type: 'exclude', pattern: '^Translated by', flags: 'i', enabled: true },
+      { name: 'Strip notes', type: 'strip', pattern: '♪', flags: '', enabled: true },
+      { name: 'Japanese only', type: 'include', pattern: '\\p{Script=Hiragana}', flags: 'u', enabled: true },
+      { name: 'Too short', type: 'minLength', value: 3, enabled: true },
+      { name: 'Signs', type: 'maxDuration', value: 5000, enabled: true }
+    ];
+    const subs = [
+      line('translated by someone'),
+      line('♪♪'),
+      line('Hello there'),
+      line('あ'),
+      line('おはようございます', 0, 8000),
+      line('♪ おはよう ♪'),
+      line('   ')
+    ];
+
+    const { kept, removed } = filter.apply(subs, rules);
+    assert.deepEqual(kept, [subs[5]]);
+    assert.deepEqual(removed.map(({ rule }) => rule?.name ?? null), [
+      'No credits', 'Strip notes', 'Japanese only', 'Too short', 'Signs', null
+    ]);
+  });
+
+  test('skips disabled rules', () => {
+    const rules = DEFAULT_FILTER_RULES.map(rule => ({ ...rule, enabled: false }));
+    assert.equal(filter.apply([line('（笑）')], rules).kept.length, 1);
+  });
+
+  test('rejects invalid rules', () => {
+    assert.throws(
+      () => filter.apply([line('a')], [{ name: 'Broken', type: 'exclude', pattern: '(', enabled: true }]),
+      /^Error: Filter rule "Broken": invalid pattern/
+    );
+    assert.equal(filter.validateRule({ type: 'minLength', value: -1 }), 'value must be a non-negative number');
+    assert.equal(filter.validateRule({ type: 'replace', pattern: 'a' }), 'unknown rule type "replace"');
+  });
+});
+
+describe('SubtitleFilter rules', () => {
+  const filter = new SubtitleFilter();
+
+  test('maps configs from before the rule engine onto rules', () => {
+    const rules = filter.getRules({ filterParentheses: false, filteredCharacters: '♪]' });
+    assert.equal(rules[0].enabled, false);
+    assert.equal(rules[1].name, 'Filtered characters');
+    assert.equal(rules[1].pattern, '[♪\\]]');
+    assert.equal(filter.apply([line('♪]')], rules).kept.length, 0);
+  });
+
+  test('exports and imports rule files', () => {
+    const imported = filter.importRules(filter.exportRules(DEFAULT_FILTER_RULES));
+    assert.deepEqual(imported, DEFAULT_FILTER_RULES);
+  });
+
+  test('imports bare rule arrays and fills in missing names', () => {
+    const [rule] = filter.importRules('[{ "type": "maxDuration", "value": "8000" }]');
+    assert.deepEqual(rule, { name: 'Rule 1', type: 'maxDuration', enabled: true, value: 8000 });
+  });
+
+  test('rejects files that are not rule lists', () => {
+    assert.throws(() => filter.importRules('not json'), /not valid JSON/);
+    assert.throws(() => filter.importRules('{ "version": 1 }'), /has no "rules" list/);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { SubtitleProcessor } from '../src/subtitle-processor.js';
+import { defaultConfig } from '../src/types.js';
+import { SUBTITLE_FIXTURES, readFixture, quietConsole } from './support/helpers.js';
+
+before(quietConsole);
+
+// The lines every fixture in tests/fixtures/subtitles holds: [start, end, text]
+const SAMPLE_LINES = [
+  [1000, 3400, 'おはよう。'],
+  [3800, 6000, '今日は早いね。'],
+  [12000, 14000, '（ドアが開く音）'],
+  [20000, 22400, 'はい、元気です。'],
+  [23000, 25000, '♪〜♪'],
+  [40000, 42600, 'また明日。\nじゃあね。']
+];
+
+const FORMATS = {
+  'sample.srt': 'srt',
+  'sample.vtt': 'vtt',
+  'sample.ass': 'ass',
+  'sample.ttml': 'ttml',
+  'sample.sbv': 'sbv',
+  'sample.sub': 'microdvd',
+  'sample.smi': 'sami',
+  'sample.json3': 'json3'
+};
+
+describe('SubtitleProcessor.parseSubtitles', () => {
+  const processor = new SubtitleProcessor();
+
+  for (const fixture of SUBTITLE_FIXTURES) {
+    test(`detects and parses ${fixture}`, () => {
+      const content = readFixture(`subtitles/${fixture}`);
+      assert.equal(processor.detectFormat(content), FORMATS[fixture]);
+
+      const subs = processor.parseSubtitles(content);
+      assert.deepEqual(subs.map(sub => [sub.startTime, sub.endTime, sub.text]), SAMPLE_LINES);
+      assert.deepEqual(subs.map(sub => sub.id), [1, 2, 3, 4, 5, 6]);
+    });
+  }
+
+  test('keeps VTT cue identifiers, settings and voices', () => {
+    const [first, second] = processor.parseVTT(readFixture('subtitles/sample.vtt'));
+    assert.equal(first.cueId, 'opening');
+    assert.equal(first.settings, 'line:90%');
+    assert.equal(first.speaker, '母');
+    assert.equal(second.speaker, '息子');
+  });
+
+  test('keeps ASS styles and actors and sorts events by start time', () => {
+    const subs = processor.parseASS(readFixture('subtitles/sample.ass'));
+    assert.equal(subs[0].style, 'Default');
+    assert.equal(subs[0].actor, '母');
+    assert.deepEqual(subs.map(sub => sub.startTime), [1000, 3800, 12000, 20000, 23000, 40000]);
+  });
+
+  test('times MicroDVD lines with the video frame rate when the file states none', () => {
+    const content = '{24}{48}一行目\n{72}{}二行目';
+    assert.equal(processor.needsFrameRate(content), true);
+
+    const subs = processor.parseSubtitles(content, { frameRate: 24 });
+    assert.deepEqual(subs.map(sub => [sub.startTime, sub.endTime]), [[1000, 2000], [3000, 6000]]);
+    assert.equal(processor.needsFrameRate(readFixture('subtitles/sample.sub')), false);
+  });
+
+  test('uses the TTML default tick rate', () => {
+    const ttml = attributes => `<tt xmlns="http://www.w3.org/ns/ttml"${attributes}><body><div>` +
+      '<p begin="2t" end="4t">Line</p></div></body></tt>';
+    const times = attributes => processor.parseTTML(ttml(attributes)).map(sub => [sub.startTime, sub.endTime]);
+
+    // One tick per second without a frame rate, one per sub-frame with one
+    assert.deepEqual(times(''), [[2000, 4000]]);
+    assert.deepEqual(times(' ttp:frameRate="25"'), [[80, 160]]);
+    assert.deepEqual(times(' ttp:frameRate="25" ttp:subFrameRate="2"'), [[40, 80]]);
+    assert.deepEqual(times(' ttp:frameRate="25" ttp:tickRate="10"'), [[200, 400]]);
+  });
+
+  test('drops ASS drawings and override tags', () => {
+    const text = processor.cleanASSText('{\\an8}Sign{\\p1}m 0 0 l 100 0 100 100{\\p0} text\\hhere');
+    assert.equal(text, 'Sign text here');
+  });
+
+  test('falls back to SRT for unknown content', () => {
+    assert.equal(processor.detectFormat('1\n00:00:01,000 --> 00:00:02,000\nHi'), 'srt');
+    assert.deepEqual(processor.parseSubtitles('not subtitles at all'), []);
+  });
+
+  test('reports parse failures with context', () => {
+    assert.throws(() => processor.parseSubtitles('{ "events": [ broken'), /^Error: Failed to parse subtitles: /);
+  });
+});
+
+describe('SubtitleProcessor filtering', () => {
+  const processor = new SubtitleProcessor();
+  const content = readFixture('subtitles/sample.srt');
+
+  test('removes sound effects and music with the default rules', () => {
+    const lines = processor.reviewSubtitles(content, defaultConfig);
+    assert.deepEqual(lines.map(line => line.kept), [true, true, false, true, false, true]);
+    assert.equal(lines[2].reason, 'Lines in parentheses/brackets');
+    assert.equal(lines[4].reason, 'Music notes');
+  });
+
+  test('lets line overrides force lines in and out', () => {
+    const overrides = new Map([[0, false], [2, true]]);
+    const lines = processor.reviewSubtitles(content, defaultConfig, null, {}, overrides);
+    assert.deepEqual(lines.map(line => line.kept), [false, true, true, true, false, true]);
+    assert.deepEqual(lines.map(line => line.overridden), [true, false, true, false, false, false]);
+  });
+
+  test('groups removed lines by rule in the preview', () => {
+    const preview = processor.previewFilters(content, defaultConfig);
+    assert.equal(preview.total, 6);
+    assert.equal(preview.kept, 4);
+    assert.deepEqual(preview.groups.map(group => [group.name, group.subs.length]), [
+      ['Lines in parentheses/brackets', 1],
+      ['Music notes', 1]
+    ]);
+  });
+
+  test('excludes ASS events by style and actor patterns', () => {
+    const config = { ...defaultConfig, excludedActors: '息*' };
+    const lines = processor.reviewSubtitles(readFixture('subtitles/sample.ass'), config);
+    assert.equal(lines[1].kept, false);
+    assert.equal(lines[1].reason, 'Excluded ASS styles/actors');
+  });
+
+  test('shifts and stretches timings, dropping lines moved before the start', () => {
+    const subs = processor.parseSubtitles(content);
+    const shifted = processor.applyTiming(subs, { offset: -2000, scale: 1 });
+    assert.deepEqual(shifted.map(sub => [sub.startTime, sub.endTime]).slice(0, 2), [[0, 1400], [1800, 4000]]);
+
+    const dropped = processor.applyTiming(subs, { offset: -3500, scale: 1 });
+    assert.equal(dropped.length, 5);
+
+    const stretched = processor.applyTiming(subs, { offset: 0, scale: 1.001 });
+    assert.equal(stretched[5].startTime, 40040);
+  });
+
+  test('throws when a file holds no subtitle lines', () => {
+    assert.throws(() => processor.extractPeriods('', defaultConfig), /No subtitle entries found/);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Minimal AudioBuffer (Web Audio) for code that only reads samples:
+ * numberOfChannels, sampleRate, length, duration and getChannelData.
+ */
+export class FakeAudioBuffer {
+  /**
+   * channels is an array of sample arrays, one per channel, all the same length
+   */
+  constructor(channels, sampleRate) {
+    this.channels = channels.map(samples => Float32Array.from(samples));
+    this.sampleRate = sampleRate;
+  }
+
+  get numberOfChannels() {
+    return this.channels.length;
+  }
+
+  get length() {
+    return this.channels[0]?.length ?? 0;
+  }
+
+  get duration() {
+    return this.length / this.sampleRate;
+  }
+
+  getChannelData(channel) {
+    if (channel >= this.channels.length) {
+      throw new RangeError(`Channel ${channel} does not exist`);
+    }
+    return this.channels[channel];
+  }
+}
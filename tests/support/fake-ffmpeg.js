@@ -0,0 +1,278 @@
+/**
+ * Fake FFmpeg
+ *
+ * Stands in for @ffmpeg/ffmpeg so AudioProcessor and CondenserEngine run in Node.
+ * It keeps an in-memory file system and understands the handful of commands the
+ * engine sends. The "video" files are JSON descriptions made by createFakeVideo
+ * (see helpers.js):
+ *
+ *   { duration, streams: [{ type, codec, language, title, isDefault, fps, content }],
+ *     speech: [[startMs, endMs], ...] }
+ *
+ * Probing prints FFmpeg's usual input summary for them, PCM reads return a tone
+ * during `speech` and near-silence elsewhere, subtitle extraction writes the stream's
+ * `content`, and condensing writes a JSON record of the codec and the kept segments
+ * instead of encoded audio.
+ */
+
+export const FFFSType = {
+  MEMFS: 'MEMFS',
+  NODEFS: 'NODEFS',
+  NODERAWFS: 'NODERAWFS',
+  IDBFS: 'IDBFS',
+  WORKERFS: 'WORKERFS',
+  PROXYFS: 'PROXYFS'
+};
+
+// Tone written into PCM reads where the description has speech
+const SPEECH_TONE_HZ = 200;
+const SPEECH_AMPLITUDE = 0.3;
+const NOISE_AMPLITUDE = 0.0005;
+
+export class FFmpeg {
+  constructor() {
+    this.loaded = false;
+    this.files = new Map();
+    this.directories = new Set(['/']);
+    this.mounts = new Map(); // Mount point -> Map of file name -> File
+    this.listeners = { log: [], progress: [] };
+    this.commands = []; // Arguments of every exec, for assertions
+    this.loadConfigs = [];
+  }
+
+  on(event, callback) {
+    this.listeners[event]?.push(callback);
+  }
+
+  off(event, callback) {
+    this.listeners[event] = (this.listeners[event] || []).filter(listener => listener !== callback);
+  }
+
+  async load(config = {}) {
+    this.loadConfigs.push(config);
+    const isFirstLoad = !this.loaded;
+    this.loaded = true;
+    return isFirstLoad;
+  }
+
+  terminate() {
+    this.loaded = false;
+    this.files.clear();
+    this.mounts.clear();
+    this.directories = new Set(['/']);
+  }
+
+  async createDir(path) {
+    this.assertLoaded();
+    if (this.directories.has(path)) {
+      throw new Error(`FS error: ${path} exists`);
+    }
+    this.directories.add(path);
+  }
+
+  async mount(fsType, { files = [] }, mountPoint) {
+    this.assertLoaded();
+    if (fsType !== FFFSType.WORKERFS) {
+      throw new Error(`Unsupported file system: ${fsType}`);
+    }
+    if (!this.directories.has(mountPoint)) {
+      throw new Error(`FS error: ${mountPoint} does not exist`);
+    }
+    this.mounts.set(mountPoint, new Map(files.map(file => [file.name, file])));
+    return true;
+  }
+
+  async unmount(mountPoint) {
+    this.assertLoaded();
+    if (!this.mounts.delete(mountPoint)) {
+      throw new Error(`FS error: nothing mounted at ${mountPoint}`);
+    }
+    return true;
+  }
+
+  async writeFile(path, data) {
+    this.assertLoaded();
+    this.files.set(path, typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data));
+    return true;
+  }
+
+  async readFile(path, encoding = 'binary') {
+    this.assertLoaded();
+    const data = this.files.get(path);
+    if (!data) {
+      throw new Error(`FS error: ${path} not found`);
+    }
+    return encoding === 'utf8' ? new TextDecoder().decode(data) : data;
+  }
+
+  async deleteFile(path) {
+    this.assertLoaded();
+    if (!this.files.delete(path)) {
+      throw new Error(`FS error: ${path} not found`);
+    }
+    return true;
+  }
+
+  async exec(args) {
+    this.assertLoaded();
+    this.commands.push(args);
+
+    const inputPath = args[args.indexOf('-i') + 1];
+    const media = await this.readMedia(inputPath);
+    if (!media) {
+      this.log(`${inputPath}: Invalid data found when processing input`);
+      return 1;
+    }
+
+    // Without an output file FFmpeg prints the input summary and fails
+    if (args[args.length - 1] === inputPath) {
+      this.logInputSummary(inputPath, media);
+      this.log('At least one output file must be specified');
+      return 1;
+    }
+
+    const outputPath = args[args.length - 1];
+    if (args.includes('-filter_script:a')) {
+      return this.condense(args, outputPath);
+    }
+    if (args.includes('f32le')) {
+      return this.writePcm(args, outputPath, media);
+    }
+    if (args.includes('-c:s')) {
+      return this.extractSubtitles(args, outputPath, media);
+    }
+
+    this.log(`Unsupported command: ${args.join(' ')}`);
+    return 1;
+  }
+
+  /**
+   * Description of the file at an input path, or null if it isn't a fake video
+   */
+  async readMedia(path) {
+    const mountPoint = [...this.mounts.keys()].find(point => path.startsWith(`${point}/`));
+    const source = mountPoint
+      ? this.mounts.get(mountPoint).get(path.slice(mountPoint.length + 1))
+      : this.files.get(path);
+    if (!source) return null;
+
+    const text = source instanceof Uint8Array ? new TextDecoder().decode(source) : await source.text();
+    try {
+      return JSON.parse(text);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Print the input summary FFmpeg shows for `-i`
+   */
+  logInputSummary(path, media) {
+    this.log(`Input #0, matroska,webm, from '${path}':`);
+    this.log(`  Duration: ${formatDuration(media.duration)}, start: 0.000000, bitrate: N/A`);
+
+    media.streams.forEach((stream, index) => {
+      const language = stream.language ? `(${stream.language})` : '';
+      const kind = stream.type[0].toUpperCase() + stream.type.slice(1);
+      const details = {
+        video: `, yuv420p, 1920x1080, ${stream.fps ?? 23.98} fps, ${stream.fps ?? 23.98} tbr, 1k tbn`,
+        audio: `, 48000 Hz, ${stream.channels === 1 ? 'mono' : 'stereo'}, fltp`,
+        subtitle: ''
+      }[stream.type] || '';
+      const flags = stream.isDefault ? ' (default)' : '';
+
+      this.log(`  Stream #0:${index}${language}: ${kind}: ${stream.codec}${details}${flags}`);
+      if (stream.title) {
+        this.log('    Metadata:');
+        this.log(`      title           : ${stream.title}`);
+      }
+    });
+  }
+
+  /**
+   * Write the kept segments (read back from the aselect filter script) as the "encoded" audio
+   */
+  condense(args, outputPath) {
+    const filter = new TextDecoder().decode(this.files.get(args[args.indexOf('-filter_script:a') + 1]));
+    const segments = [...filter.matchAll(/between\(t,([\d.]+),([\d.]+)\)/g)]
+      .map(match => [Math.round(parseFloat(match[1]) * 1000), Math.round(parseFloat(match[2]) * 1000)]);
+    const duration = segments.reduce((sum, [start, end]) => sum + end - start, 0);
+
+    // Progress times are in microseconds, like ffmpeg.wasm reports them
+    this.emit('progress', { progress: 0.5, time: duration * 500 });
+    this.emit('progress', { progress: 1, time: duration * 1000 });
+
+    const codecIndex = args.indexOf('-acodec');
+    const record = { codec: codecIndex >= 0 ? args[codecIndex + 1] : null, segments };
+    this.files.set(outputPath, new TextEncoder().encode(JSON.stringify(record)));
+    return 0;
+  }
+
+  /**
+   * Mono float samples for a `-ss start -t duration` window
+   */
+  writePcm(args, outputPath, media) {
+    const startMs = parseFloat(args[args.indexOf('-ss') + 1]) * 1000;
+    const durationMs = parseFloat(args[args.indexOf('-t') + 1]) * 1000;
+    const sampleRate = parseInt(args[args.indexOf('-ar') + 1]);
+    const samples = new Float32Array(Math.round(durationMs / 1000 * sampleRate));
+    const speech = media.speech || [];
+
+    let seed = 1;
+    for (let i = 0; i < samples.length; i++) {
+      const time = startMs + i * 1000 / sampleRate;
+      if (speech.some(([start, end]) => time >= start && time < end)) {
+        samples[i] = SPEECH_AMPLITUDE * Math.sin(2 * Math.PI * SPEECH_TONE_HZ * time / 1000);
+      } else {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        samples[i] = NOISE_AMPLITUDE * (seed / 1073741824 - 1);
+      }
+    }
+
+    this.files.set(outputPath, new Uint8Array(samples.buffer));
+    return 0;
+  }
+
+  /**
+   * Write an embedded text subtitle stream's content
+   */
+  extractSubtitles(args, outputPath, media) {
+    const streamIndex = parseInt(args[args.indexOf('-map') + 1].split(':')[1]);
+    const stream = media.streams[streamIndex];
+    if (stream?.type !== 'subtitle' || stream.content === undefined) {
+      this.log(`Stream #0:${streamIndex} is not a text subtitle stream`);
+      return 1;
+    }
+
+    this.files.set(outputPath, new TextEncoder().encode(stream.content));
+    return 0;
+  }
+
+  log(message) {
+    this.emit('log', { type: 'stderr', message });
+  }
+
+  emit(event, data) {
+    for (const listener of this.listeners[event]) {
+      listener(data);
+    }
+  }
+
+  assertLoaded() {
+    if (!this.loaded) {
+      throw new Error('ffmpeg is not loaded, call `await ffmpeg.load()` first');
+    }
+  }
+}
+
+/**
+ * Milliseconds as FFmpeg's HH:MM:SS.cc
+ */
+function formatDuration(ms) {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const centiseconds = Math.floor((ms % 1000) / 10);
+  return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':') +
+    `.${String(centiseconds).padStart(2, '0')}`;
+}
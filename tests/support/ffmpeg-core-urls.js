@@ -0,0 +1,14 @@
+/**
+ * Stand-in for src/ffmpeg-core-urls.js. The fake FFmpeg never loads a core,
+ * so the locations only need to be recognizable.
+ */
+export const CORE_URLS = {
+  coreURL: 'test://ffmpeg-core.js',
+  wasmURL: 'test://ffmpeg-core.wasm'
+};
+
+export const CORE_MT_URLS = {
+  coreURL: 'test://ffmpeg-core-mt.js',
+  wasmURL: 'test://ffmpeg-core-mt.wasm',
+  workerURL: 'test://ffmpeg-core-mt.worker.js'
+};
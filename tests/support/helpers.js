@@ -0,0 +1,63 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import { mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * Shared helpers for the test files
+ */
+
+const FIXTURES_URL = new URL('../fixtures/', import.meta.url);
+
+// Subtitle fixtures, all holding the same six lines (see tests/fixtures/subtitles)
+export const SUBTITLE_FIXTURES = ['srt', 'vtt', 'ass', 'ttml', 'sbv', 'sub', 'smi', 'json3']
+  .map(extension => `sample.${extension}`);
+
+/**
+ * Text of a file under tests/fixtures
+ */
+export function readFixture(path) {
+  return readFileSync(new URL(path, FIXTURES_URL), 'utf8');
+}
+
+/**
+ * Bytes of a binary file under tests/fixtures
+ */
+export function readFixtureBytes(path) {
+  return new Uint8Array(readFileSync(new URL(path, FIXTURES_URL)));
+}
+
+/**
+ * A fixture as a File, the way the app receives dropped files
+ */
+export function readFixtureFile(path) {
+  return new File([readFileSync(new URL(path, FIXTURES_URL))], path.split('/').pop());
+}
+
+/**
+ * Compare output with a golden file under tests/fixtures/golden.
+ * Run with UPDATE_GOLDEN=1 to rewrite the golden file instead.
+ */
+export function assertGolden(actual, name) {
+  const url = new URL(`golden/${name}`, FIXTURES_URL);
+  if (process.env.UPDATE_GOLDEN) {
+    writeFileSync(url, actual);
+    return;
+  }
+  assert.equal(actual, readFileSync(url, 'utf8'), `${name} differs from its golden file`);
+}
+
+/**
+ * A video file the fake FFmpeg can read (see fake-ffmpeg.js for the description format)
+ */
+export function createFakeVideo(name, { duration, streams, speech = [] }) {
+  return new File([JSON.stringify({ duration, streams, speech })], name, { type: 'video/x-matroska' });
+}
+
+/**
+ * Silence the engine's console logging for the rest of the test file
+ */
+export function quietConsole() {
+  for (const method of ['log', 'warn', 'error']) {
+    mock.method(console, method, () => {});
+  }
+}
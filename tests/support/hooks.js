@@ -0,0 +1,22 @@
+/**
+ * Module resolution hooks for the test run
+ *
+ * The engine imports @ffmpeg/ffmpeg, whose Node entry point is empty, and
+ * src/ffmpeg-core-urls.js, which relies on Vite's ?url imports and import.meta.env.
+ * Both are redirected to the stand-ins in this folder.
+ */
+
+const FAKE_FFMPEG_URL = new URL('./fake-ffmpeg.js', import.meta.url).href;
+const CORE_URLS_STUB_URL = new URL('./ffmpeg-core-urls.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === '@ffmpeg/ffmpeg') {
+    return { url: FAKE_FFMPEG_URL, shortCircuit: true };
+  }
+
+  const resolved = await nextResolve(specifier, context);
+  if (resolved.url.endsWith('/src/ffmpeg-core-urls.js')) {
+    return { url: CORE_URLS_STUB_URL, shortCircuit: true };
+  }
+  return resolved;
+}
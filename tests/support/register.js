@@ -0,0 +1,7 @@
+/**
+ * Preloaded by `npm test` (node --import). Browser-only modules are swapped for
+ * stand-ins before any test imports the engine; see hooks.js.
+ */
+import { register } from 'node:module';
+
+register('./hooks.js', import.meta.url);
@@ -0,0 +1,80 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoiceActivityDetector } from '../src/voice-activity-detector.js';
+
+const SAMPLE_RATE = 16000;
+
+// Mono PCM with a 200Hz tone during speech ([start, end] in ms) and faint noise elsewhere
+function createSamples(durationMs, speech) {
+  const samples = new Float32Array(durationMs / 1000 * SAMPLE_RATE);
+  let seed = 1;
+  for (let i = 0; i < samples.length; i++) {
+    const time = i * 1000 / SAMPLE_RATE;
+    if (speech.some(([start, end]) => time >= start && time < end)) {
+      samples[i] = 0.3 * Math.sin(2 * Math.PI * 200 * time / 1000);
+    } else {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      samples[i] = 0.0005 * (seed / 1073741824 - 1);
+    }
+  }
+  return samples;
+}
+
+// Detect speech regions, feeding the audio in two-second windows
+function detect(detector, durationMs, speech) {
+  const samples = createSamples(durationMs, speech);
+  const track = detector.createFeatureTrack(durationMs);
+  const windowSize = 2 * SAMPLE_RATE;
+  for (let offset = 0; offset < samples.length; offset += windowSize) {
+    detector.analyzeWindow(track, offset / SAMPLE_RATE * 1000, samples.subarray(offset, offset + windowSize), SAMPLE_RATE);
+  }
+  return detector.getSpeechRegions(detector.classify(track));
+}
+
+// Speech mask with 10ms frames
+function mask(durationMs, speech) {
+  const result = new Uint8Array(durationMs / 10);
+  for (const [start, end] of speech) result.fill(1, start / 10, end / 10);
+  return result;
+}
+
+describe('VoiceActivityDetector', () => {
+  const detector = new VoiceActivityDetector();
+
+  test('finds speech in audio fed in windows', () => {
+    const regions = detect(detector, 10000, [[2000, 5000], [7000, 8500]]);
+    assert.deepEqual(regions, [{ start: 2000, end: 5000 }, { start: 7000, end: 8500 }]);
+  });
+
+  test('bridges short pauses and drops short bursts', () => {
+    const regions = detect(detector, 10000, [[2000, 3000], [3100, 4000], [6000, 6100], [7000, 8000]]);
+    assert.deepEqual(regions, [{ start: 2000, end: 4000 }, { start: 7000, end: 8000 }]);
+  });
+
+  test('finds nothing in silence', () => {
+    assert.deepEqual(detect(detector, 4000, []), []);
+    assert.deepEqual(detector.classify(detector.createFeatureTrack(1000)), new Uint8Array(100));
+  });
+
+  test('clamps the aggressiveness to 0-3', () => {
+    assert.equal(new VoiceActivityDetector({ aggressiveness: 7 }).aggressiveness, 3);
+    assert.equal(new VoiceActivityDetector({ aggressiveness: -1 }).aggressiveness, 0);
+  });
+
+  test('reads speech regions within a time range', () => {
+    const speech = mask(10000, [[1000, 2000], [3000, 6000]]);
+    assert.deepEqual(detector.getSpeechRegions(speech, 1500, 4000), [{ start: 1500, end: 2000 }, { start: 3000, end: 4000 }]);
+  });
+
+  test('tightens periods to their speech, splitting at long silences', () => {
+    const speech = mask(20000, [[2000, 3000], [3500, 4000], [5500, 6000], [12000, 13000]]);
+    const periods = [{ start: 1500, end: 6500 }, { start: 8000, end: 11000 }, { start: 11000, end: 13050 }];
+
+    const tightened = detector.tightenPeriods(periods, speech);
+    assert.deepEqual(
+      tightened.map(period => [period.start, period.end]),
+      [[1850, 4150], [5350, 6150], [11850, 13050]]
+    );
+    assert.deepEqual(tightened.map(period => period.source), [periods[0], periods[0], periods[2]]);
+  });
+});
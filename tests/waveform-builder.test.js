@@ -0,0 +1,34 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WaveformBuilder } from '../src/waveform-builder.js';
+
+describe('WaveformBuilder', () => {
+  test('covers the duration with peaksPerSecond buckets', () => {
+    const builder = new WaveformBuilder({ peaksPerSecond: 10 });
+    assert.equal(builder.createPeaks(1000).length, 10);
+    assert.equal(builder.createPeaks(1050).length, 11);
+    assert.equal(new WaveformBuilder().createPeaks(2000).length, 100);
+  });
+
+  test('keeps the loudest absolute level of each bucket across windows', () => {
+    const builder = new WaveformBuilder({ peaksPerSecond: 10 });
+    const peaks = builder.createPeaks(1000);
+
+    // 100 samples per second: ten samples per peak
+    const first = new Float32Array(20).fill(0.1);
+    first[3] = -0.8;
+    first[15] = 0.4;
+    builder.addSamples(peaks, 0, first, 100);
+    builder.addSamples(peaks, 100, new Float32Array(10).fill(0.2), 100);
+    builder.addSamples(peaks, 500, new Float32Array(10).fill(-0.5), 100);
+
+    assert.deepEqual([...peaks].map(peak => Math.round(peak * 10) / 10), [0.8, 0.4, 0, 0, 0, 0.5, 0, 0, 0, 0]);
+  });
+
+  test('ignores samples past the end of the track', () => {
+    const builder = new WaveformBuilder({ peaksPerSecond: 10 });
+    const peaks = builder.createPeaks(200);
+    builder.addSamples(peaks, 100, new Float32Array(50).fill(1), 100);
+    assert.deepEqual([...peaks], [0, 1]);
+  });
+});
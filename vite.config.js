@@ -11,10 +11,16 @@ export default defineConfig({
       'Cross-Origin-Opener-Policy': 'same-origin',
     },
   },
+  worker: {
+    // The condenser worker starts FFmpeg's own worker, which needs ES module output
+    format: 'es',
+  },
   optimizeDeps: {
     exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util']
   },
   build: {
     target: 'esnext',
+    // FFmpeg core files must stay real same-origin files (the core-mt worker can't start from a data: URL)
+    assetsInlineLimit: (filePath) => (filePath.includes('@ffmpeg/core') ? false : undefined),
   }
 })